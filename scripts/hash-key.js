@@ -0,0 +1,7 @@
+// 生成代理 API Key 及其哈希，哈希可以写入密钥表的 key_hash 字段
+// 用法: node scripts/hash-key.js [已有的 key]
+import { generateApiKey, hashApiKey } from "../src/auth.js";
+
+const apiKey = process.argv[2] || generateApiKey();
+console.log(`key:      ${apiKey}`);
+console.log(`key_hash: ${hashApiKey(apiKey)}`);
@@ -0,0 +1,236 @@
+import crypto from "crypto";
+import fs from "fs";
+import { cancelOnClose, describeError } from "./chat.js";
+import { sendError } from "./errors.js";
+import { logger, recentLogs } from "./logger.js";
+import { metricsSummary } from "./metrics.js";
+import { tokenUsage } from "./ratelimit.js";
+
+// 管理后台：/ 提供网页控制台，/admin/api/* 提供同样功能的 JSON 接口，脚本也可以直接调用。
+// 接口使用 ADMIN_TOKEN 认证（Authorization: Bearer <ADMIN_TOKEN>），未设置 ADMIN_TOKEN 时管理接口关闭。
+
+const MAX_LOG_LIMIT = 500;
+const LOG_LEVELS = ["info", "warn", "error"];
+
+// 控制台页面，不包含任何数据，打开后输入 ADMIN_TOKEN 再通过管理接口读取
+const CONSOLE_PAGE = fs.readFileSync(new URL("./admin.html", import.meta.url), "utf8");
+
+function digest(value) {
+  return crypto.createHash("sha256").update(value).digest();
+}
+
+/**
+ * 创建管理接口的认证中间件
+ * @param {string} adminToken - ADMIN_TOKEN，为空时所有管理接口返回 403
+ * @returns {import("express").RequestHandler}
+ */
+export function createAdminAuth(adminToken) {
+  const expected = adminToken ? digest(adminToken) : null;
+  return (req, res, next) => {
+    if (!expected) {
+      return sendError(res, 403, "管理接口未开启，请设置 ADMIN_TOKEN。", { type: "permission_error", code: "admin_disabled" });
+    }
+    const header = req.headers["authorization"] || "";
+    const token = header.startsWith("Bearer ") ? header.slice(7).trim() : "";
+    // 比较哈希，耗时与 token 内容无关
+    if (!token || !crypto.timingSafeEqual(digest(token), expected)) {
+      return sendError(res, 401, "无效的管理员 token。", { code: "invalid_admin_token" });
+    }
+    next();
+  };
+}
+
+/**
+ * 发送控制台页面
+ * @type {import("express").RequestHandler}
+ */
+export function sendConsole(req, res) {
+  res.type("html").send(CONSOLE_PAGE);
+}
+
+function sendFailure(res, error) {
+  const failure = describeError(error);
+  if (!failure || res.headersSent) {
+    return res.end();
+  }
+  return sendError(res, failure.status, failure.message, failure);
+}
+
+function toModel(route, { router, upstreams }) {
+  return {
+    id: route.id,
+    kind: route.kind,
+    default: route === router.defaultRoute,
+    aliases: route.aliases,
+    strategy: route.strategy,
+    extensions: route.extensions,
+    cache: route.cache,
+    targets: route.targets.map((target) => ({
+      id: target.id,
+      bot_id: target.bot_id,
+      workflow_id: target.workflow_id,
+      api_base: target.api_base,
+      weight: target.weight,
+      // 不返回目标自带的 token，只说明是否配置了
+      has_token: Boolean(target.token),
+      // 熔断中的目标为 false
+      available: upstreams.isAvailable(target),
+    })),
+  };
+}
+
+/**
+ * 创建管理接口的处理函数，需要放在 createAdminAuth 之后
+ * @param {object} options
+ * @param {import("./upstreams.js").ModelRouter} options.router
+ * @param {import("./upstreams.js").UpstreamPool} options.upstreams
+ * @param {import("./chat.js").ChatService} options.chatService
+ * @param {import("./auth.js").KeyRegistry|null} options.keyRegistry - keys 模式下的密钥表，passthrough 模式下为 null
+ * @param {object} options.counterStore - 限流的计数存储，用于显示密钥的 token 用量
+ * @param {function(): Promise<string>} options.reloadConfig - 重新加载模型配置，返回配置来源
+ */
+export function createAdminHandlers({ router, upstreams, chatService, keyRegistry, counterStore, reloadConfig }) {
+  const findModel = (req, res) => {
+    const route = router.list().find((item) => item.id === req.params.id);
+    if (!route) {
+      sendError(res, 404, `模型 '${req.params.id}' 不存在。`, { param: "model", code: "model_not_found" });
+    }
+    return route;
+  };
+
+  const models = (req, res) => {
+    res.json({ object: "list", data: router.list().map((route) => toModel(route, { router, upstreams })) });
+  };
+
+  // 向模型发送一条测试消息，不使用会话；目标没有配置 token 时需要在请求中提供 coze_token
+  const testModel = async (req, res) => {
+    const route = findModel(req, res);
+    if (!route) {
+      return;
+    }
+    const body = req.body || {};
+    if (typeof body.message !== "string" || !body.message.trim()) {
+      return sendError(res, 400, "message 是必需的。", { param: "message" });
+    }
+    if (!body.coze_token && route.targets.some((target) => !target.token)) {
+      return sendError(res, 400, "模型的上游目标没有配置 token，请提供 coze_token。", { param: "coze_token" });
+    }
+    const startedAt = Date.now();
+    const run = chatService.createRun({
+      model: route.id,
+      messages: [{ role: "user", content: body.message }],
+      stream: false,
+      ephemeral: true,
+    }, { apiKey: "admin", cozeToken: body.coze_token || "", key: null });
+    cancelOnClose(run, res);
+    try {
+      await run.start();
+      const result = await run.result();
+      res.locals.usage = result.usage;
+      res.json({
+        model: route.id,
+        upstream: run.target ? run.target.id : null,
+        content: result.content,
+        reasoning: result.reasoning,
+        finish_reason: result.finishReason,
+        usage: result.usage,
+        latency_ms: Date.now() - startedAt,
+      });
+    } catch (error) {
+      sendFailure(res, error);
+    } finally {
+      run.close();
+    }
+  };
+
+  const stats = (req, res) => {
+    res.json(metricsSummary());
+  };
+
+  const logs = (req, res) => {
+    const limit = req.query.limit === undefined ? 100 : parseInt(req.query.limit, 10);
+    if (!(limit >= 1 && limit <= MAX_LOG_LIMIT)) {
+      return sendError(res, 400, `limit 必须在 1 到 ${MAX_LOG_LIMIT} 之间。`, { param: "limit" });
+    }
+    if (req.query.level && !LOG_LEVELS.includes(req.query.level)) {
+      return sendError(res, 400, `level 必须是 ${LOG_LEVELS.join("、")} 之一。`, { param: "level" });
+    }
+    const data = recentLogs.list({ limit, msg: req.query.type === "request" ? "request" : undefined, level: req.query.level });
+    res.json({ object: "list", data });
+  };
+
+  const requireKeys = (res) => {
+    if (!keyRegistry) {
+      sendError(res, 400, "密钥管理需要 AUTH_MODE=keys（设置 KEYS_FILE）。", { code: "keys_disabled" });
+    }
+    return keyRegistry;
+  };
+
+  const withUsage = async (key) => ({ ...key, usage: await tokenUsage(counterStore, key.name) });
+
+  const listKeys = async (req, res) => {
+    if (!requireKeys(res)) {
+      return;
+    }
+    try {
+      res.json({ object: "list", data: await Promise.all(keyRegistry.list().map(withUsage)) });
+    } catch (error) {
+      sendFailure(res, error);
+    }
+  };
+
+  const createKey = async (req, res) => {
+    if (!requireKeys(res)) {
+      return;
+    }
+    try {
+      const apiKey = await keyRegistry.create(req.body || {});
+      const key = keyRegistry.list().find((item) => item.name === req.body.name);
+      logger.info("已签发 API Key", { key: key.name });
+      // 密钥只在创建时返回一次
+      res.json({ ...(await withUsage(key)), key: apiKey });
+    } catch (error) {
+      sendFailure(res, error);
+    }
+  };
+
+  const updateKey = async (req, res) => {
+    if (!requireKeys(res)) {
+      return;
+    }
+    try {
+      await keyRegistry.update(req.params.name, req.body || {});
+      logger.info("已修改 API Key", { key: req.params.name });
+      res.json(await withUsage(keyRegistry.list().find((item) => item.name === req.params.name)));
+    } catch (error) {
+      sendFailure(res, error);
+    }
+  };
+
+  const revokeKey = async (req, res) => {
+    if (!requireKeys(res)) {
+      return;
+    }
+    try {
+      await keyRegistry.revoke(req.params.name);
+      logger.info("已吊销 API Key", { key: req.params.name });
+      res.json({ name: req.params.name, deleted: true });
+    } catch (error) {
+      sendFailure(res, error);
+    }
+  };
+
+  const reload = async (req, res) => {
+    try {
+      const source = await reloadConfig();
+      logger.info("已通过管理接口重新加载模型配置", { source });
+      res.json({ reloaded: true, source, models: router.list().map((route) => route.id) });
+    } catch (error) {
+      // 配置无效时继续使用原来的配置
+      const errors = error.errors || [error.message];
+      sendError(res, 400, `重新加载配置失败: ${errors.join("; ")}`, { code: "invalid_config" });
+    }
+  };
+
+  return { models, testModel, stats, logs, listKeys, createKey, updateKey, revokeKey, reload };
+}
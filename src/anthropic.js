@@ -0,0 +1,321 @@
+import crypto from "crypto";
+import { cancelOnClose, describeError } from "./chat.js";
+import { ChatError, anthropicErrorBody } from "./errors.js";
+import { logger } from "./logger.js";
+import { parseSamplingParams } from "./params.js";
+import { SSEWriter } from "./sse.js";
+
+// Anthropic 前端：POST /v1/messages，供 Anthropic SDK 和 Claude 风格的客户端使用。
+// 请求转换为 OpenAI 格式的消息后与 /v1/chat/completions 共用同一套对话流程。
+
+const STOP_REASONS = {
+  stop: "end_turn",
+  length: "max_tokens",
+  tool_calls: "tool_use",
+};
+
+// 无法传给 Coze 的参数，严格模式下返回 400 错误
+const UNSUPPORTED_PARAMS = ["temperature", "top_p", "top_k"];
+
+function textOf(content) {
+  if (typeof content === "string") {
+    return content;
+  }
+  return (content || []).filter((block) => block.type === "text").map((block) => block.text).join("\n");
+}
+
+// base64 或 URL 形式的图片、文档来源转换为 OpenAI 内容块使用的 URL
+function sourceUrl(source) {
+  if (source.type === "base64") {
+    return `data:${source.media_type};base64,${source.data}`;
+  }
+  if (source.type === "url") {
+    return source.url;
+  }
+  throw new ChatError(`不支持的内容来源类型: ${source.type}`, 400, { param: "messages" });
+}
+
+function toOpenAIPart(block) {
+  if (!block.source || typeof block.source !== "object") {
+    throw new ChatError(`${block.type} 内容块缺少 source 字段。`, 400, { param: "messages" });
+  }
+  // 通过 /v1/files 上传的文件
+  if (block.source.type === "file") {
+    return { type: "file", file: { file_id: block.source.file_id } };
+  }
+  if (block.type === "image") {
+    return { type: "image_url", image_url: { url: sourceUrl(block.source) } };
+  }
+  if (block.source.type === "text") {
+    return { type: "text", text: block.source.data };
+  }
+  const url = sourceUrl(block.source);
+  return {
+    type: "file",
+    file: url.startsWith("data:") ? { file_data: url, filename: block.title } : { file_url: url, filename: block.title },
+  };
+}
+
+/**
+ * 将 Anthropic Messages API 的请求转换为 OpenAI 格式的消息：
+ * - system 字段转换为 system 消息
+ * - text、image、document 内容块转换为 OpenAI 的内容块
+ * - 助手消息中的 tool_use 转换为 tool_calls，用户消息中的 tool_result 转换为 role: "tool" 的消息
+ * @param {object} body - /v1/messages 的请求体
+ * @returns {Array<object>}
+ * @throws {ChatError} messages 缺失或为空，content 不是字符串或数组，或内容块无效
+ */
+export function toOpenAIMessages(body) {
+  if (!Array.isArray(body.messages) || body.messages.length === 0) {
+    throw new ChatError("messages 是必需的，且不能为空。", 400, { param: "messages" });
+  }
+  const messages = [];
+  if (body.system) {
+    messages.push({ role: "system", content: textOf(body.system) });
+  }
+  for (const [index, message] of body.messages.entries()) {
+    if (!message || typeof message !== "object") {
+      throw new ChatError(`messages[${index}] 必须是对象。`, 400, { param: `messages[${index}]` });
+    }
+    if (typeof message.content === "string") {
+      messages.push({ role: message.role, content: message.content });
+      continue;
+    }
+    if (!Array.isArray(message.content)) {
+      throw new ChatError(`messages[${index}].content 必须是字符串或内容块数组。`, 400, { param: `messages[${index}].content` });
+    }
+    const parts = [];
+    const toolCalls = [];
+    for (const block of message.content) {
+      if (!block || typeof block !== "object") {
+        throw new ChatError(`messages[${index}].content 中的内容块必须是对象。`, 400, { param: `messages[${index}].content` });
+      }
+      if (block.type === "text") {
+        parts.push({ type: "text", text: block.text });
+      } else if (block.type === "image" || block.type === "document") {
+        parts.push(toOpenAIPart(block));
+      } else if (block.type === "tool_use") {
+        toolCalls.push({
+          id: block.id,
+          type: "function",
+          function: { name: block.name, arguments: JSON.stringify(block.input || {}) },
+        });
+      } else if (block.type === "tool_result") {
+        messages.push({ role: "tool", tool_call_id: block.tool_use_id, content: textOf(block.content) });
+      }
+      // thinking 等其它内容块不发送给 Coze
+    }
+    if (parts.length === 0 && toolCalls.length === 0) {
+      continue;
+    }
+    // 只有文本时按字符串发送，Coze 不必解析 object_string
+    const content = parts.length === 0
+      ? null
+      : parts.every((part) => part.type === "text") ? parts.map((part) => part.text).join("\n") : parts;
+    messages.push({ role: message.role, content, ...(toolCalls.length > 0 ? { tool_calls: toolCalls } : {}) });
+  }
+  return messages;
+}
+
+// 命中 stop_sequences 时 stop_reason 为 "stop_sequence"
+function stopReasonOf({ finishReason, stopSequence }) {
+  return {
+    stop_reason: stopSequence ? "stop_sequence" : STOP_REASONS[finishReason] || "end_turn",
+    stop_sequence: stopSequence || null,
+  };
+}
+
+function toUsage(usage) {
+  return { input_tokens: usage.prompt_tokens, output_tokens: usage.completion_tokens };
+}
+
+function toToolUse(toolCall) {
+  let input = {};
+  try {
+    input = JSON.parse(toolCall.function.arguments);
+  } catch (error) {
+    // 参数不是合法的 JSON 时按空对象返回
+  }
+  return { type: "tool_use", id: toolCall.id, name: toolCall.function.name, input };
+}
+
+function sendFailure(res, error) {
+  const failure = describeError(error);
+  if (!failure || res.headersSent) {
+    return res.end();
+  }
+  return res.status(failure.status).json(anthropicErrorBody(failure.status, failure.message));
+}
+
+/**
+ * /v1/messages 路由的第一个中间件：之后的认证、限流等中间件以 Anthropic 风格返回错误（见 sendError）
+ */
+export function anthropicErrorFormat(req, res, next) {
+  res.locals.errorFormat = "anthropic";
+  next();
+}
+
+/**
+ * 创建 /v1/messages 的处理函数
+ * @param {import("./chat.js").ChatService} chatService
+ * @param {object} [options]
+ * @param {number} [options.keepAliveInterval] - 流式响应的保活间隔（毫秒），0 表示不发送
+ */
+export function createMessagesHandler(chatService, { keepAliveInterval = 0 } = {}) {
+  return async (req, res) => {
+    const body = req.body;
+    const stream = Boolean(body.stream);
+    const id = `msg_${crypto.randomBytes(12).toString("hex")}`;
+    const sse = stream ? new SSEWriter(res, { keepAliveInterval }) : null;
+    const writeEvent = (type, data) => sse.send({ type, ...data }, type);
+    // 事件流已经开始时，错误以 error 事件返回
+    const writeFailure = async (failure) => {
+      res.locals.error = failure.code || failure.type;
+      logger.error("Coze 流式 API 错误", { error: failure.message });
+      const { error } = anthropicErrorBody(failure.status, failure.message);
+      await writeEvent("error", { error });
+      sse.end();
+    };
+
+    let messages;
+    let params;
+    try {
+      messages = toOpenAIMessages(body);
+      params = parseSamplingParams(body, { unsupported: UNSUPPORTED_PARAMS, strict: chatService.strictParams });
+    } catch (error) {
+      return sendFailure(res, error);
+    }
+    const run = chatService.createRun({
+      model: body.model,
+      messages,
+      user: body.metadata && body.metadata.user_id,
+      stream,
+      conversationId: req.headers["x-conversation-id"],
+      reset: req.headers["x-conversation-reset"] === "true",
+      extensions: body.coze_extensions,
+      workflowParameters: body.coze_parameters,
+      stop: params.stop,
+      maxTokens: params.maxTokens,
+    }, req.auth);
+    cancelOnClose(run, res);
+    // 等待 Coze 返回第一个 token（例如执行插件）时也保活，此后出现的错误只能在事件流中返回
+    if (sse) {
+      sse.keepAlive();
+    }
+
+    try {
+      await run.start();
+    } catch (error) {
+      const failure = describeError(error);
+      if (failure && sse && res.headersSent) {
+        return writeFailure(failure);
+      }
+      if (sse) {
+        sse.stopKeepAlive();
+      }
+      return sendFailure(res, error);
+    }
+
+    if (!stream) {
+      let result;
+      try {
+        result = await run.result();
+      } catch (error) {
+        return sendFailure(res, error);
+      }
+      res.locals.usage = result.usage;
+      return res.json({
+        id,
+        type: "message",
+        role: "assistant",
+        model: body.model,
+        content: [
+          // Coze 的推理内容没有签名，signature 为空字符串
+          ...(result.reasoning ? [{ type: "thinking", thinking: result.reasoning, signature: "" }] : []),
+          ...(result.content ? [{ type: "text", text: result.content }] : []),
+          ...result.toolCalls.map(toToolUse),
+        ],
+        ...stopReasonOf(result),
+        usage: toUsage(result.usage),
+        ...(result.followUps ? { follow_ups: result.followUps } : {}),
+        ...(result.citations ? { citations: result.citations } : {}),
+      });
+    }
+
+    // 当前打开的内容块序号和类型，-1 / null 表示没有
+    let blockIndex = -1;
+    let blockType = null;
+    const closeBlock = async () => {
+      if (blockType) {
+        blockType = null;
+        await writeEvent("content_block_stop", { index: blockIndex });
+      }
+    };
+    const openBlock = async (contentBlock) => {
+      await closeBlock();
+      blockIndex += 1;
+      blockType = contentBlock.type;
+      await writeEvent("content_block_start", { index: blockIndex, content_block: contentBlock });
+    };
+    // 扩展字段在 message_delta 中一起返回
+    const extensions = {};
+
+    await writeEvent("message_start", {
+      message: {
+        id,
+        type: "message",
+        role: "assistant",
+        model: body.model,
+        content: [],
+        stop_reason: null,
+        stop_sequence: null,
+        usage: { input_tokens: 0, output_tokens: 0 },
+      },
+    });
+    try {
+      for await (const event of run.events()) {
+        if (event.type === "delta") {
+          if (blockType !== "text") {
+            await openBlock({ type: "text", text: "" });
+          }
+          await writeEvent("content_block_delta", { index: blockIndex, delta: { type: "text_delta", text: event.content } });
+        } else if (event.type === "reasoning") {
+          if (blockType !== "thinking") {
+            await openBlock({ type: "thinking", thinking: "" });
+          }
+          await writeEvent("content_block_delta", { index: blockIndex, delta: { type: "thinking_delta", thinking: event.content } });
+        } else if (event.type === "citations") {
+          extensions.citations = [...(extensions.citations || []), ...event.citations];
+        } else if (event.type === "follow_ups") {
+          extensions.follow_ups = event.followUps;
+        } else if (event.type === "tool_calls") {
+          for (const toolCall of event.toolCalls) {
+            await openBlock({ ...toToolUse(toolCall), input: {} });
+            await writeEvent("content_block_delta", {
+              index: blockIndex,
+              delta: { type: "input_json_delta", partial_json: toolCall.function.arguments },
+            });
+          }
+        } else if (event.type === "finish") {
+          // 记录本轮用量（计入 token 配额）
+          res.locals.usage = event.usage;
+          await closeBlock();
+          await writeEvent("message_delta", {
+            delta: { ...stopReasonOf(event), ...extensions },
+            usage: toUsage(event.usage),
+          });
+        }
+      }
+      await closeBlock();
+      await writeEvent("message_stop", {});
+    } catch (err) {
+      const failure = describeError(err);
+      if (!failure) {
+        // 客户端已断开，上游请求已中止
+        return;
+      }
+      return writeFailure(failure);
+    }
+    sse.end();
+  };
+}
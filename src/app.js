@@ -0,0 +1,367 @@
+import express from "express";
+import bodyParser from "body-parser";
+import { createAdminAuth, createAdminHandlers, sendConsole } from "./admin.js";
+import { anthropicErrorFormat, createMessagesHandler } from "./anthropic.js";
+import { auditLogFromEnv } from "./audit.js";
+import { KeyRegistry, createAuthMiddleware, resolveAuth } from "./auth.js";
+import { batchQueueFromEnv, createBatchesHandlers } from "./batches.js";
+import { responseCacheFromEnv } from "./cache.js";
+import { ChatService, canUseRoute, describeError } from "./chat.js";
+import { configFromEnv, loadConfigFile, watchConfigFile } from "./config.js";
+import { CozeClient } from "./coze.js";
+import { sendError } from "./errors.js";
+import { createFilesHandlers, fileRegistryFromEnv } from "./files.js";
+import { ReadinessCheck } from "./health.js";
+import { createImageGenerationsHandler } from "./images.js";
+import { logger, requestLogger } from "./logger.js";
+import { registry, trackRequests } from "./metrics.js";
+import { createChatCompletionsHandler } from "./openai.js";
+import { systemPromptOptionsFromEnv } from "./params.js";
+import { SessionManager, createSessionStore } from "./sessions.js";
+import { createCounterStore, createRateLimiter, limitsFromEnv } from "./ratelimit.js";
+import { PendingToolCalls } from "./tools.js";
+import { uploadOptionsFromEnv } from "./uploads.js";
+import { ModelRouter, UpstreamPool } from "./upstreams.js";
+import { PendingInterrupts } from "./workflows.js";
+
+// Express 应用：创建时从环境变量读取配置，不监听端口，由 app.js 启动服务，测试中也可以直接创建。
+
+/**
+ * 创建 Express 应用
+ * @returns {Promise<import("express").Express>}
+ */
+export async function createApp() {
+  const app = express();
+  // 请求 ID 和请求日志；设置 AUDIT_LOG_DIR 时把对话内容记录到审计日志
+  app.use(requestLogger({ audit: auditLogFromEnv(), quietPaths: ["/healthz", "/readyz", "/metrics"] }));
+  // 【重要】增加请求体大小限制，以支持 base64 编码的图片上传
+  app.use(bodyParser.json({ limit: '50mb' }));
+  app.use(bodyParser.urlencoded({ limit: '50mb', extended: true }));
+
+  const coze_api_base = process.env.COZE_API_BASE || "api.coze.cn";
+  const default_bot_id = process.env.BOT_ID || "";
+  // 路由配置：CONFIG_FILE 指定的 JSON / YAML 文件（修改后自动重新加载），未设置时使用 BOT_CONFIG
+  const config_file = process.env.CONFIG_FILE || "";
+  const routing_config = config_file ? await loadConfigFile(config_file) : configFromEnv();
+  // 默认机器人在 /v1/models 中展示的模型名
+  const default_model_name = process.env.DEFAULT_MODEL || "coze";
+  // 是否在 /v1/models 中补充 Coze 机器人的名称和描述，以及缓存时长（秒）
+  const fetch_bot_info = process.env.FETCH_BOT_INFO === "true";
+  const bot_info_cache_ttl = parseInt(process.env.BOT_INFO_CACHE_TTL || "600", 10) * 1000;
+  const server_started_at = Math.floor(Date.now() / 1000);
+  // 非流式模式下轮询 Coze 对话状态的超时时间（秒）和间隔（毫秒）
+  const poll_timeout = parseInt(process.env.POLL_TIMEOUT || "300", 10) * 1000;
+  const poll_interval = parseInt(process.env.POLL_INTERVAL || "1000", 10);
+  // 超时（秒）：连接 Coze（收到响应头）、流式请求等待第一个 token、整个请求的总时长，0 表示不限制
+  const connect_timeout = parseInt(process.env.CONNECT_TIMEOUT || "30", 10) * 1000;
+  const first_token_timeout = parseInt(process.env.FIRST_TOKEN_TIMEOUT || "120", 10) * 1000;
+  const request_timeout = parseInt(process.env.REQUEST_TIMEOUT || "600", 10) * 1000;
+  // 流式响应超过这么长时间（毫秒）没有输出时发送保活注释，0 表示不发送
+  const keep_alive_interval = parseInt(process.env.SSE_KEEPALIVE_INTERVAL || "15000", 10);
+
+  // 模型路由：每个模型可以配置多个上游目标（机器人或工作流、token、Coze 域名）
+  // 配置文件中的默认值优先于对应的环境变量
+  const routerOptions = (config) => ({
+    defaultBotId: config.default_bot_id || default_bot_id,
+    defaultModel: config.default_model || default_model_name,
+    apiBase: config.api_base || coze_api_base,
+    strategy: config.strategy || process.env.UPSTREAM_STRATEGY || "round_robin",
+  });
+  const router = new ModelRouter(routing_config.models, routerOptions(routing_config));
+  if (config_file) {
+    watchConfigFile(config_file, (config) => router.load(config.models, routerOptions(config)));
+  }
+  // 管理接口手动重新加载配置，配置无效时抛出 ConfigError，继续使用原来的配置
+  const reloadConfig = async () => {
+    const config = config_file ? await loadConfigFile(config_file) : configFromEnv();
+    router.load(config.models, routerOptions(config));
+    return config_file || "BOT_CONFIG";
+  };
+  // 上游重试、故障切换和熔断
+  const upstreams = new UpstreamPool({
+    retries: parseInt(process.env.UPSTREAM_RETRIES || "2", 10),
+    baseDelay: parseInt(process.env.UPSTREAM_RETRY_BASE_DELAY || "500", 10),
+    maxDelay: parseInt(process.env.UPSTREAM_RETRY_MAX_DELAY || "8000", 10),
+    failureThreshold: parseInt(process.env.CIRCUIT_FAILURE_THRESHOLD || "5", 10),
+    cooldown: parseInt(process.env.CIRCUIT_COOLDOWN || "30", 10) * 1000,
+  });
+
+  // 会话管理：把客户端对话映射到 Coze 的 conversation_id
+  const sessions = new SessionManager({
+    store: createSessionStore(),
+    mode: process.env.SESSION_MODE || "header",
+    ttl: parseInt(process.env.SESSION_TTL || "86400", 10) * 1000,
+  });
+  // 等待工具结果的 Coze 对话，与会话共用同一个存储
+  const pendingToolCalls = new PendingToolCalls(sessions.store);
+  // 在问答节点中断、等待用户回答的工作流，有效期与会话相同
+  const interrupts = new PendingInterrupts(sessions.store, sessions.ttl);
+  // 图片和文件上传的限制，已上传文件的 file_id 也缓存在同一个存储中
+  const upload_options = uploadOptionsFromEnv();
+  // 通过 /v1/files 上传的文件的元数据，FILES_STORE=file 时保存到 FILES_FILE
+  const files = fileRegistryFromEnv();
+
+  // 认证模式：passthrough 直接转发客户端的 Coze token；keys 使用 KEYS_FILE 中代理签发的 API Key
+  const keys_file = process.env.KEYS_FILE || "";
+  const auth_mode = process.env.AUTH_MODE || (keys_file ? "keys" : "passthrough");
+  if (auth_mode !== "passthrough" && auth_mode !== "keys") {
+    throw new Error(`未知的 AUTH_MODE: ${auth_mode}`);
+  }
+  if (auth_mode === "keys" && !keys_file) {
+    throw new Error("AUTH_MODE=keys 需要设置 KEYS_FILE。");
+  }
+  const keyRegistry = auth_mode === "keys" ? KeyRegistry.load(keys_file) : null;
+  const authenticate = createAuthMiddleware({ mode: auth_mode, registry: keyRegistry });
+  // passthrough 模式下 /v1/models 不要求认证
+  const authenticateOptional = createAuthMiddleware({
+    mode: auth_mode,
+    registry: keyRegistry,
+    optional: auth_mode === "passthrough",
+  });
+
+  // 按调用方限流：每分钟请求数、并发流数和 token 配额
+  const counter_store = createCounterStore();
+  const default_limits = limitsFromEnv();
+  const rateLimit = createRateLimiter({ store: counter_store, defaults: default_limits });
+
+  // OpenAI 和 Anthropic 前端共用的对话流程
+  const chatService = new ChatService({
+    router,
+    upstreams,
+    sessions,
+    pendingToolCalls,
+    interrupts,
+    uploadOptions: upload_options,
+    files,
+    timeouts: {
+      connect: connect_timeout,
+      firstToken: first_token_timeout,
+      request: request_timeout,
+      poll: poll_timeout,
+      pollInterval: poll_interval,
+    },
+    // system 消息的处理方式，以及是否对 Coze 不支持的参数（temperature 等）返回 400 错误
+    systemPrompt: systemPromptOptionsFromEnv(),
+    strictParams: process.env.STRICT_PARAMS === "true",
+  });
+
+  // response_format 的输出校验失败后带着错误信息重试的次数
+  const structured_output_retries = parseInt(process.env.STRUCTURED_OUTPUT_RETRIES || "1", 10);
+  // 重复的请求直接返回缓存的回答，RESPONSE_CACHE 未设置时不缓存
+  const response_cache = responseCacheFromEnv();
+
+  // 批处理队列：继续执行重启前未完成的批处理
+  const batches = batchQueueFromEnv({
+    chatService,
+    files,
+    resolveAuth: (credential) => resolveAuth(credential, { mode: auth_mode, registry: keyRegistry }),
+    // 批处理的请求与在线请求共用按调用方的限额
+    counterStore: counter_store,
+    limits: default_limits,
+    cache: response_cache,
+    structuredOutputRetries: structured_output_retries,
+  });
+  await batches.start();
+
+  // 就绪检查：READINESS_PROBE=true 时还会探测上游 Coze API 能否连接，结果缓存 READINESS_PROBE_TTL 秒
+  const readiness = new ReadinessCheck({
+    router,
+    probeUpstream: process.env.READINESS_PROBE === "true",
+    timeout: parseInt(process.env.READINESS_PROBE_TIMEOUT || "5", 10) * 1000,
+    cacheTtl: parseInt(process.env.READINESS_PROBE_TTL || "30", 10) * 1000,
+  });
+  // 指标中的 model 标签只使用已配置的模型名，避免任意模型名导致标签过多
+  const modelLabel = (model) => {
+    const route = router.resolve(model);
+    return route ? route.id : "unknown";
+  };
+
+  // CORS 跨域配置
+  var corsHeaders = {
+    "Access-Control-Allow-Origin": "*",
+    "Access-Control-Allow-Methods": "GET, POST, PATCH, DELETE, OPTIONS",
+    "Access-Control-Allow-Headers":
+      "DNT,User-Agent,X-Requested-With,If-Modified-Since,Cache-Control,Content-Type,Range,Authorization,X-Api-Key,Anthropic-Version,Anthropic-Beta,X-Conversation-Id,X-Conversation-Reset,X-Request-Id",
+    "Access-Control-Expose-Headers":
+      "Retry-After,X-Request-Id,X-Cache,x-ratelimit-limit-requests,x-ratelimit-remaining-requests,x-ratelimit-reset-requests,x-ratelimit-limit-tokens,x-ratelimit-remaining-tokens,x-ratelimit-reset-tokens",
+    "Access-Control-Max-Age": "86400",
+  };
+
+  app.use((req, res, next) => {
+    res.set(corsHeaders);
+    if (req.method === 'OPTIONS') {
+      return res.status(204).end();
+    }
+    next();
+  });
+
+  // 管理后台页面，数据通过 /admin/api/* 读取
+  app.get("/", sendConsole);
+
+  // 存活检查：进程能处理请求即返回 200
+  app.get("/healthz", (req, res) => {
+    res.json({ status: "ok" });
+  });
+
+  // 就绪检查：未就绪时返回 503 和各项检查结果
+  app.get("/readyz", async (req, res) => {
+    const { ready, checks } = await readiness.check();
+    res.status(ready ? 200 : 503).json({ status: ready ? "ok" : "unavailable", checks });
+  });
+
+  // Prometheus 指标
+  app.get("/metrics", (req, res) => {
+    res.type("text/plain; version=0.0.4; charset=utf-8").send(registry.render());
+  });
+
+  // 机器人信息缓存: api_base/bot_id -> { info, expiresAt }
+  const botInfoCache = new Map();
+
+  /**
+   * 获取 Coze 机器人的线上信息（名称、描述等），结果按机器人缓存
+   * @param {string} botId - 机器人 ID
+   * @param {string} token - Coze API 的 Bearer Token
+   * @param {string} cozeApiBase - Coze API 的基础 URL
+   * @returns {Promise<object|null>} - 机器人信息，获取失败时返回 null
+   */
+  async function getBotInfo(botId, token, cozeApiBase) {
+    const cacheKey = `${cozeApiBase}/${botId}`;
+    const cached = botInfoCache.get(cacheKey);
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.info;
+    }
+
+    try {
+      const info = await new CozeClient({ apiBase: cozeApiBase, token }).getBotInfo(botId);
+      botInfoCache.set(cacheKey, { info, expiresAt: Date.now() + bot_info_cache_ttl });
+      return info;
+    } catch (error) {
+      logger.warn("获取机器人信息时出错", { bot_id: botId, error });
+      return null;
+    }
+  }
+
+  /**
+   * 列出所有可用模型：BOT_CONFIG 中的每个 key 以及默认机器人，只包含当前密钥允许使用的模型
+   * @param {object|null} auth - 认证信息（req.auth）
+   * @returns {Array<{id: string, targets: Array<object>}>}
+   */
+  function listModels(auth) {
+    return router.list().filter((route) => canUseRoute(auth, route));
+  }
+
+  /**
+   * 将模型转换为 OpenAI 的 model 对象，开启 FETCH_BOT_INFO 时补充机器人名称和描述（取第一个上游目标）
+   * @param {{id: string, targets: Array<object>}} model
+   * @param {string|null} token - Coze API 的 Bearer Token，没有时只能使用目标自带的 token
+   * @returns {Promise<object>}
+   */
+  async function formatModel(model, token) {
+    const formatted = {
+      id: model.id,
+      object: "model",
+      created: server_started_at,
+      owned_by: "coze",
+    };
+    const target = model.targets[0];
+    // 工作流没有机器人信息
+    if (fetch_bot_info && model.kind === "bot" && (target.token || token)) {
+      const info = await getBotInfo(target.bot_id, target.token || token, target.api_base);
+      if (info) {
+        formatted.name = info.name;
+        formatted.description = info.description;
+        if (info.create_time) {
+          formatted.created = Number(info.create_time);
+        }
+      }
+    }
+    return formatted;
+  }
+
+  app.get("/v1/models", authenticateOptional, async (req, res) => {
+    const token = req.auth && req.auth.cozeToken;
+    const data = await Promise.all(listModels(req.auth).map((model) => formatModel(model, token)));
+    res.json({ object: "list", data });
+  });
+
+  app.get("/v1/models/:id", authenticateOptional, async (req, res) => {
+    const model = listModels(req.auth).find((m) => m.id === req.params.id);
+    if (!model) {
+      return sendError(res, 404, `模型 '${req.params.id}' 不存在。`, { param: "model", code: "model_not_found" });
+    }
+    res.json(await formatModel(model, req.auth && req.auth.cozeToken));
+  });
+
+  // 重置会话，下一次请求会新建 Coze 会话并发送完整历史。同一个会话 ID 用于多个模型时全部重置
+  app.delete("/v1/conversations/:id", authenticate, async (req, res) => {
+    try {
+      await sessions.remove({ conversationId: req.params.id, token: req.auth.apiKey });
+      res.json({ id: req.params.id, object: "conversation.deleted", deleted: true });
+    } catch (error) {
+      sendFailure(res, error);
+    }
+  });
+
+  // OpenAI Files API：文件上传到 Coze，使用调用方的 token 和默认路由的 Coze 域名
+  const filesHandlers = createFilesHandlers({
+    registry: files,
+    store: sessions.store,
+    uploadOptions: upload_options,
+    apiBase: () => router.apiBase,
+    connectTimeout: connect_timeout,
+    maxLocalBytes: parseInt(process.env.BATCH_MAX_FILE_BYTES || String(100 * 1024 * 1024), 10),
+  });
+  app.post("/v1/files", authenticate, filesHandlers.upload);
+  app.get("/v1/files", authenticate, filesHandlers.list);
+  app.get("/v1/files/:id", authenticate, filesHandlers.retrieve);
+  app.get("/v1/files/:id/content", authenticate, filesHandlers.content);
+  app.delete("/v1/files/:id", authenticate, filesHandlers.remove);
+
+  app.post("/v1/chat/completions", trackRequests("chat_completions", modelLabel), authenticate, rateLimit, createChatCompletionsHandler(chatService, {
+    structuredOutputRetries: structured_output_retries,
+    cache: response_cache,
+    keepAliveInterval: keep_alive_interval,
+  }));
+
+  // Anthropic Messages API 兼容接口
+  app.post("/v1/messages", anthropicErrorFormat, trackRequests("messages", modelLabel), authenticate, rateLimit, createMessagesHandler(chatService, {
+    keepAliveInterval: keep_alive_interval,
+  }));
+
+  // OpenAI Batch API：JSONL 输入文件中的请求由后台队列执行
+  const batchesHandlers = createBatchesHandlers(batches);
+  app.post("/v1/batches", authenticate, batchesHandlers.create);
+  app.get("/v1/batches", authenticate, batchesHandlers.list);
+  app.get("/v1/batches/:id", authenticate, batchesHandlers.retrieve);
+  app.post("/v1/batches/:id/cancel", authenticate, batchesHandlers.cancel);
+
+  // 图片生成：由封装了图片插件的机器人生成，从回答中提取图片 URL
+  app.post("/v1/images/generations", trackRequests("images_generations", modelLabel), authenticate, rateLimit, createImageGenerationsHandler(chatService));
+
+  // 管理接口：需要 ADMIN_TOKEN
+  const adminAuth = createAdminAuth(process.env.ADMIN_TOKEN || "");
+  const adminHandlers = createAdminHandlers({
+    router,
+    upstreams,
+    chatService,
+    keyRegistry,
+    counterStore: counter_store,
+    reloadConfig,
+  });
+  app.get("/admin/api/models", adminAuth, adminHandlers.models);
+  app.post("/admin/api/models/:id/test", adminAuth, adminHandlers.testModel);
+  app.get("/admin/api/stats", adminAuth, adminHandlers.stats);
+  app.get("/admin/api/logs", adminAuth, adminHandlers.logs);
+  app.get("/admin/api/keys", adminAuth, adminHandlers.listKeys);
+  app.post("/admin/api/keys", adminAuth, adminHandlers.createKey);
+  app.patch("/admin/api/keys/:name", adminAuth, adminHandlers.updateKey);
+  app.delete("/admin/api/keys/:name", adminAuth, adminHandlers.revokeKey);
+  app.post("/admin/api/config/reload", adminAuth, adminHandlers.reload);
+
+  return app;
+}
+
+function sendFailure(res, error) {
+  const failure = describeError(error);
+  return sendError(res, failure.status, failure.message, failure);
+}
@@ -0,0 +1,103 @@
+import fs from "fs";
+import path from "path";
+import { logger, redact } from "./logger.js";
+
+// 审计日志：记录每次对话的请求和回答，写入按天和大小轮转的 JSONL 文件，默认关闭。
+// 文件名为 audit-<日期>-<序号>.jsonl，超过 maxFiles 个文件时删除最旧的文件。
+// 记录前同样隐去密钥和 base64 数据（图片、文件内容）。
+
+const FILE_PATTERN = /^audit-(\d{4}-\d{2}-\d{2})-(\d+)\.jsonl$/;
+
+/**
+ * 从环境变量读取审计日志配置，未设置 AUDIT_LOG_DIR 时返回 null（不记录）
+ * @returns {AuditLog|null}
+ */
+export function auditLogFromEnv() {
+  if (!process.env.AUDIT_LOG_DIR) {
+    return null;
+  }
+  return new AuditLog({
+    dir: process.env.AUDIT_LOG_DIR,
+    maxBytes: parseInt(process.env.AUDIT_LOG_MAX_BYTES || "104857600", 10),
+    maxFiles: parseInt(process.env.AUDIT_LOG_MAX_FILES || "30", 10),
+  });
+}
+
+export class AuditLog {
+  /**
+   * @param {object} options
+   * @param {string} options.dir - 日志目录，不存在时自动创建
+   * @param {number} options.maxBytes - 单个文件的最大字节数
+   * @param {number} options.maxFiles - 最多保留的文件数
+   */
+  constructor({ dir, maxBytes, maxFiles }) {
+    this.dir = dir;
+    this.maxBytes = maxBytes;
+    this.maxFiles = maxFiles;
+    fs.mkdirSync(dir, { recursive: true });
+    // 当前写入的文件 { date, sequence, size }
+    this.current = null;
+    // 串行写入，保证记录完整且按顺序
+    this.queue = Promise.resolve();
+  }
+
+  files() {
+    return fs.readdirSync(this.dir).filter((name) => FILE_PATTERN.test(name)).sort((a, b) => {
+      const [, dateA, seqA] = a.match(FILE_PATTERN);
+      const [, dateB, seqB] = b.match(FILE_PATTERN);
+      return dateA === dateB ? Number(seqA) - Number(seqB) : dateA.localeCompare(dateB);
+    });
+  }
+
+  fileName({ date, sequence }) {
+    return path.join(this.dir, `audit-${date}-${sequence}.jsonl`);
+  }
+
+  // 日期变化或文件超过大小限制时切换到新文件
+  rotate(date, bytes) {
+    if (!this.current || this.current.date !== date) {
+      // 重启后接着当天最后一个文件继续写
+      const existing = this.files().filter((name) => name.startsWith(`audit-${date}-`)).pop();
+      const sequence = existing ? Number(existing.match(FILE_PATTERN)[2]) : 1;
+      const file = { date, sequence, size: 0 };
+      try {
+        file.size = fs.statSync(this.fileName(file)).size;
+      } catch (error) {
+        // 文件还不存在
+      }
+      this.current = file;
+    }
+    if (this.current.size > 0 && this.current.size + bytes > this.maxBytes) {
+      this.current = { date, sequence: this.current.sequence + 1, size: 0 };
+    }
+    if (this.current.size === 0) {
+      this.prune();
+    }
+  }
+
+  // 删除超出数量的旧文件（为即将创建的文件留出位置）
+  prune() {
+    const files = this.files();
+    for (const name of files.slice(0, Math.max(0, files.length - this.maxFiles + 1))) {
+      fs.unlinkSync(path.join(this.dir, name));
+    }
+  }
+
+  /**
+   * 追加一条记录，写入失败时只记录错误，不影响请求
+   * @param {object} entry
+   * @returns {Promise<void>}
+   */
+  record(entry) {
+    const line = JSON.stringify(redact(entry)) + "\n";
+    const bytes = Buffer.byteLength(line);
+    this.queue = this.queue
+      .then(async () => {
+        this.rotate(entry.time.slice(0, 10), bytes);
+        await fs.promises.appendFile(this.fileName(this.current), line);
+        this.current.size += bytes;
+      })
+      .catch((error) => logger.error("写入审计日志失败", { error }));
+    return this.queue;
+  }
+}
@@ -0,0 +1,321 @@
+import crypto from "crypto";
+import fs from "fs";
+import { ChatError, sendError } from "./errors.js";
+
+// 认证：两种模式
+// - passthrough：客户端的 Bearer Token 就是 Coze 的 token，直接转发（默认）
+// - keys：客户端使用代理签发的 API Key，由密钥表映射到上游 Coze token 和允许使用的模型
+
+/**
+ * 计算 API Key 的哈希，密钥表中可以只保存哈希（key_hash: "sha256:<hex>"）
+ * @param {string} apiKey
+ * @returns {string}
+ */
+export function hashApiKey(apiKey) {
+  return "sha256:" + crypto.createHash("sha256").update(apiKey).digest("hex");
+}
+
+/**
+ * 生成一个新的 API Key
+ * @returns {string}
+ */
+export function generateApiKey() {
+  return "sk-c2o-" + crypto.randomBytes(24).toString("base64url");
+}
+
+/**
+ * 解析配置中的密钥，"env:NAME" 表示从环境变量读取，避免把 Coze token 明文写进配置文件
+ * @param {string} value
+ * @returns {string}
+ */
+export function resolveSecret(value) {
+  if (typeof value === "string" && value.startsWith("env:")) {
+    return process.env[value.slice(4)];
+  }
+  return value;
+}
+
+function parseExpiry(value) {
+  if (value === undefined || value === null || value === "") {
+    return null;
+  }
+  // 数字按 Unix 时间戳（秒）处理，字符串按 ISO 日期处理
+  const time = typeof value === "number" ? value * 1000 : Date.parse(value);
+  if (Number.isNaN(time)) {
+    throw new Error(`无效的 expires_at: ${value}`);
+  }
+  return time;
+}
+
+// 管理接口可以修改的字段
+const EDITABLE_FIELDS = ["models", "expires_at", "limits"];
+const LIMIT_FIELDS = ["rpm", "concurrent_streams", "daily_tokens", "monthly_tokens"];
+
+function validateKeyFields(fields) {
+  if (fields.models !== undefined &&
+    (!Array.isArray(fields.models) || fields.models.length === 0 || !fields.models.every((model) => typeof model === "string"))) {
+    throw new ChatError("models 必须是非空的字符串数组。", 400, { param: "models" });
+  }
+  if (fields.expires_at !== undefined) {
+    try {
+      parseExpiry(fields.expires_at);
+    } catch (error) {
+      throw new ChatError(error.message, 400, { param: "expires_at" });
+    }
+  }
+  if (fields.limits !== undefined) {
+    const limits = fields.limits;
+    if (!limits || typeof limits !== "object" || Array.isArray(limits) ||
+      !Object.entries(limits).every(([name, value]) => LIMIT_FIELDS.includes(name) && Number.isInteger(value) && value >= 0)) {
+      throw new ChatError(`limits 只能包含 ${LIMIT_FIELDS.join("、")}，值为非负整数。`, 400, { param: "limits" });
+    }
+  }
+}
+
+/**
+ * 代理签发的 API Key 表，从 JSON 文件加载：
+ * { "keys": [{ "name", "key" | "key_hash", "coze_token", "models", "expires_at", "limits" }] }
+ * 通过管理接口创建、修改或吊销密钥时写回同一个文件。
+ */
+export class KeyRegistry {
+  /**
+   * @param {Array<object>} [entries] - 密钥表中的条目
+   * @param {object} [options]
+   * @param {string|null} [options.filePath] - 密钥表文件，修改后写回
+   */
+  constructor(entries = [], { filePath = null } = {}) {
+    this.filePath = filePath;
+    this.entries = new Map();
+    // 哈希 -> 密钥表中的原始条目，写回文件时保留 env:NAME 形式的 coze_token
+    this.configs = new Map();
+    for (const entry of entries) {
+      this.add(entry);
+    }
+  }
+
+  static load(filePath) {
+    let config;
+    try {
+      config = JSON.parse(fs.readFileSync(filePath, "utf8"));
+    } catch (error) {
+      throw new Error(`无法读取密钥表 ${filePath}: ${error.message}`);
+    }
+    return new KeyRegistry(Array.isArray(config) ? config : config.keys || [], { filePath });
+  }
+
+  add(entry) {
+    const hash = entry.key_hash || (entry.key && hashApiKey(entry.key));
+    if (!hash) {
+      throw new Error(`密钥 ${entry.name || ""} 缺少 key 或 key_hash。`);
+    }
+    if (!entry.coze_token) {
+      throw new Error(`密钥 ${entry.name || hash} 缺少 coze_token。`);
+    }
+    const normalized = hash.startsWith("sha256:") ? hash : `sha256:${hash}`;
+    this.entries.set(normalized, {
+      name: entry.name || normalized.slice(7, 15),
+      cozeToken: resolveSecret(entry.coze_token),
+      models: entry.models || ["*"],
+      expiresAt: parseExpiry(entry.expires_at),
+      // 覆盖默认限额: { rpm, concurrent_streams, daily_tokens, monthly_tokens }
+      limits: entry.limits || {},
+    });
+    this.configs.set(normalized, entry);
+  }
+
+  /**
+   * 列出所有密钥（不包含 Coze token）
+   * @returns {Array<{name: string, key_hash: string, models: Array<string>, expires_at: string|null, limits: object}>}
+   */
+  list() {
+    return [...this.entries.entries()].map(([hash, key]) => ({
+      name: key.name,
+      key_hash: hash,
+      models: key.models,
+      expires_at: key.expiresAt ? new Date(key.expiresAt).toISOString() : null,
+      limits: key.limits,
+    }));
+  }
+
+  // 按名称查找密钥的哈希，不存在时抛出 404
+  hashOf(name) {
+    for (const [hash, key] of this.entries) {
+      if (key.name === name) {
+        return hash;
+      }
+    }
+    throw new ChatError(`密钥 '${name}' 不存在。`, 404, { param: "name", code: "key_not_found" });
+  }
+
+  /**
+   * 签发新的密钥，密钥表中只保存哈希
+   * @param {object} fields - { name, coze_token, models, expires_at, limits }
+   * @returns {Promise<string>} - 新的 API Key，只在创建时返回一次
+   */
+  async create(fields) {
+    if (typeof fields.name !== "string" || !fields.name.trim()) {
+      throw new ChatError("name 是必需的。", 400, { param: "name" });
+    }
+    if ([...this.entries.values()].some((key) => key.name === fields.name)) {
+      throw new ChatError(`密钥 '${fields.name}' 已存在。`, 409, { param: "name", code: "key_exists" });
+    }
+    if (typeof fields.coze_token !== "string" || !fields.coze_token) {
+      throw new ChatError("coze_token 是必需的，可以使用 env:NAME 从环境变量读取。", 400, { param: "coze_token" });
+    }
+    validateKeyFields(fields);
+    const apiKey = generateApiKey();
+    const entry = { name: fields.name, key_hash: hashApiKey(apiKey), coze_token: fields.coze_token };
+    for (const field of EDITABLE_FIELDS) {
+      if (fields[field] !== undefined) {
+        entry[field] = fields[field];
+      }
+    }
+    this.add(entry);
+    await this.save();
+    return apiKey;
+  }
+
+  /**
+   * 修改密钥允许的模型、过期时间和限额，正在使用该密钥的请求立即生效
+   * @param {string} name
+   * @param {object} fields - { models, expires_at, limits }，null 表示恢复默认值
+   */
+  async update(name, fields) {
+    const hash = this.hashOf(name);
+    validateKeyFields(Object.fromEntries(Object.entries(fields).filter(([, value]) => value !== null)));
+    const key = this.entries.get(hash);
+    const config = { ...this.configs.get(hash) };
+    for (const field of EDITABLE_FIELDS.filter((item) => fields[item] !== undefined)) {
+      if (fields[field] === null) {
+        delete config[field];
+      } else {
+        config[field] = fields[field];
+      }
+    }
+    // 直接修改密钥对象，认证中间件和限流读取的是同一个对象
+    Object.assign(key, {
+      models: config.models || ["*"],
+      expiresAt: parseExpiry(config.expires_at),
+      limits: config.limits || {},
+    });
+    this.configs.set(hash, config);
+    await this.save();
+  }
+
+  /**
+   * 吊销密钥，之后使用该密钥的请求返回 401
+   * @param {string} name
+   */
+  async revoke(name) {
+    const hash = this.hashOf(name);
+    this.entries.delete(hash);
+    this.configs.delete(hash);
+    await this.save();
+  }
+
+  // 写回密钥表文件，先写临时文件再重命名
+  async save() {
+    if (!this.filePath) {
+      return;
+    }
+    const temp = `${this.filePath}.${process.pid}.tmp`;
+    await fs.promises.writeFile(temp, JSON.stringify({ keys: [...this.configs.values()] }, null, 2) + "\n", { mode: 0o600 });
+    await fs.promises.rename(temp, this.filePath);
+  }
+
+  /**
+   * 查找 API Key 对应的密钥信息，不存在时返回 null
+   */
+  lookup(apiKey) {
+    return this.lookupHash(hashApiKey(apiKey));
+  }
+
+  /**
+   * 按哈希查找密钥信息，不存在时返回 null
+   * @param {string} hash - 见 hashApiKey
+   */
+  lookupHash(hash) {
+    return this.entries.get(hash) || null;
+  }
+}
+
+/**
+ * 判断密钥是否允许使用指定的模型（按模型名或任一上游机器人、工作流 ID 匹配）
+ * @param {object|null} key - 密钥信息，passthrough 模式下为 null
+ * @param {string} model - 模型名
+ * @param {Array<string>} botIds - 模型对应的机器人 ID（工作流模型为工作流 ID）
+ * @returns {boolean}
+ */
+export function isModelAllowed(key, model, botIds) {
+  if (!key || key.models.includes("*")) {
+    return true;
+  }
+  return key.models.includes(model) || botIds.some((botId) => key.models.includes(botId));
+}
+
+/**
+ * 校验保存的凭据并返回认证信息（与认证中间件设置的 req.auth 相同），无效或已过期时返回 null。
+ * 用于没有请求的场景，例如批处理。keys 模式下只需要密钥的哈希，这时认证信息中的 apiKey 为该哈希
+ * @param {object} credential
+ * @param {string} [credential.apiKey] - 客户端使用的 key，passthrough 模式下必需
+ * @param {string} [credential.keyHash] - keys 模式下密钥的哈希，见 hashApiKey
+ * @param {object} options
+ * @param {string} options.mode - passthrough | keys
+ * @param {KeyRegistry} [options.registry] - keys 模式下使用的密钥表
+ * @returns {{apiKey: string, cozeToken: string, key: object|null}|null}
+ */
+export function resolveAuth({ apiKey = null, keyHash = null }, { mode, registry }) {
+  if (mode === "passthrough") {
+    return apiKey ? { apiKey, cozeToken: apiKey, key: null } : null;
+  }
+  const hash = keyHash || (apiKey && hashApiKey(apiKey));
+  const key = hash ? registry.lookupHash(hash) : null;
+  if (!key || (key.expiresAt && key.expiresAt <= Date.now())) {
+    return null;
+  }
+  return { apiKey: apiKey || hash, cozeToken: key.cozeToken, key };
+}
+
+/**
+ * 创建认证中间件，认证成功后设置 req.auth = { apiKey, cozeToken, key }
+ * - apiKey：客户端使用的 key，用于区分调用方（会话、限流等）
+ * - cozeToken：转发给 Coze 的 token
+ * - key：keys 模式下的密钥信息（name、models、expiresAt、limits），passthrough 模式下为 null
+ * @param {object} options
+ * @param {string} options.mode - passthrough | keys
+ * @param {KeyRegistry} [options.registry] - keys 模式下使用的密钥表
+ * @param {boolean} [options.optional] - 为 true 时没有 Authorization 头也放行，req.auth 为 null
+ */
+export function createAuthMiddleware({ mode, registry, optional = false }) {
+  return (req, res, next) => {
+    // Anthropic SDK 使用 x-api-key 请求头传递密钥
+    const authHeader = req.headers["authorization"] ||
+      (req.headers["x-api-key"] ? `Bearer ${req.headers["x-api-key"]}` : undefined);
+    if (!authHeader && optional) {
+      req.auth = null;
+      return next();
+    }
+    if (!authHeader || !authHeader.startsWith("Bearer ")) {
+      return sendError(res, 401, "无效的认证格式，请使用 'Bearer <token>'.", { code: "invalid_api_key" });
+    }
+    const apiKey = authHeader.slice(7).trim();
+    if (!apiKey) {
+      return sendError(res, 401, "缺少 token.", { code: "invalid_api_key" });
+    }
+
+    if (mode === "passthrough") {
+      req.auth = { apiKey, cozeToken: apiKey, key: null };
+      return next();
+    }
+
+    const key = registry.lookup(apiKey);
+    if (!key) {
+      return sendError(res, 401, "无效的 API Key。", { code: "invalid_api_key" });
+    }
+    if (key.expiresAt && key.expiresAt <= Date.now()) {
+      return sendError(res, 401, "API Key 已过期。", { code: "expired_api_key" });
+    }
+    req.auth = { apiKey, cozeToken: key.cozeToken, key };
+    next();
+  };
+}
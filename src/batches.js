@@ -0,0 +1,655 @@
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+import { hashApiKey } from "./auth.js";
+import { describeError } from "./chat.js";
+import { CozeApiError } from "./coze.js";
+import { ChatError, sendError } from "./errors.js";
+import { callerOf, logger, requestContext } from "./logger.js";
+import { formatCompletion, runChatCompletion } from "./openai.js";
+import { checkLimits, limitCaller, limitsOf, recordTokens } from "./ratelimit.js";
+
+// OpenAI Batch API：/v1/batches。输入文件（purpose 为 batch 的 JSONL）的每一行是一个 /v1/chat/completions 请求，
+// 由进程内的队列按 BATCH_CONCURRENCY 并发执行，与在线请求使用相同的转换逻辑。遇到 Coze 限流时整个队列暂停一段时间后重试。
+// 批处理的状态、输入和每个请求的结果保存在 BATCH_DIR 中，重启后继续执行未完成的请求。
+// 为了在重启后以原来的身份继续执行，keys 模式下未结束的批处理会在状态文件中保存调用方密钥的哈希，结束后删除。
+// passthrough 模式下调用方的 token 就是 Coze 的 token，只保存在内存中，重启后未结束的批处理失败。
+// 每个请求执行前重新认证并检查调用方的 token 配额和每分钟请求数，用量与在线请求计入同一个配额。
+
+const ENDPOINTS = ["/v1/chat/completions"];
+const COMPLETION_WINDOWS = { "24h": 24 * 60 * 60 };
+const MAX_REQUESTS = 50000;
+const MAX_LIST_LIMIT = 100;
+const FINAL_STATUSES = ["failed", "completed", "expired", "cancelled"];
+// 同一个请求遇到限流的最多重试次数，以及队列暂停的最长时间
+const MAX_RATE_LIMIT_RETRIES = 10;
+const MAX_PAUSE = 5 * 60 * 1000;
+// Coze 的限流错误码
+const RATE_LIMIT_CODE = 4013;
+
+/**
+ * 从环境变量读取批处理配置
+ * @param {object} options - 见 BatchQueue，环境变量以外的选项
+ * @returns {BatchQueue}
+ */
+export function batchQueueFromEnv(options) {
+  return new BatchQueue({
+    ...options,
+    dir: process.env.BATCH_DIR || "data/batches",
+    concurrency: parseInt(process.env.BATCH_CONCURRENCY || "2", 10),
+    rpm: parseInt(process.env.BATCH_RPM || "0", 10),
+    rateLimitDelay: parseInt(process.env.BATCH_RATE_LIMIT_DELAY || "10000", 10),
+  });
+}
+
+function isRateLimited(error) {
+  return error instanceof CozeApiError && (error.status === 429 || error.code === RATE_LIMIT_CODE);
+}
+
+/**
+ * 转换为 OpenAI 的 batch 对象，去掉内部字段
+ * @param {object} batch
+ * @returns {object}
+ */
+export function toBatchObject(batch) {
+  const { owner, key_hash: keyHash, ...rest } = batch;
+  return rest;
+}
+
+/**
+ * 校验输入文件，返回请求列表和错误（格式与 OpenAI 批处理的 errors.data 相同）
+ * @param {string} text - JSONL 内容
+ * @param {string} endpoint
+ * @returns {{requests: Array<{custom_id: string, body: object}>, errors: Array<object>}}
+ */
+function parseInput(text, endpoint) {
+  const requests = [];
+  const errors = [];
+  const customIds = new Set();
+  text.split("\n").forEach((raw, index) => {
+    const line = index + 1;
+    if (!raw.trim()) {
+      return;
+    }
+    let item;
+    try {
+      item = JSON.parse(raw);
+    } catch (error) {
+      errors.push({ code: "invalid_json_line", message: `第 ${line} 行不是有效的 JSON。`, param: null, line });
+      return;
+    }
+    if (!item || typeof item.custom_id !== "string" || !item.custom_id) {
+      errors.push({ code: "missing_required_parameter", message: `第 ${line} 行缺少 custom_id。`, param: "custom_id", line });
+    } else if (customIds.has(item.custom_id)) {
+      errors.push({ code: "duplicate_custom_id", message: `custom_id '${item.custom_id}' 重复。`, param: "custom_id", line });
+    } else if (item.method !== "POST") {
+      errors.push({ code: "invalid_method", message: `第 ${line} 行的 method 必须是 POST。`, param: "method", line });
+    } else if (item.url !== endpoint) {
+      errors.push({ code: "mismatched_url", message: `第 ${line} 行的 url 必须是 ${endpoint}。`, param: "url", line });
+    } else if (!item.body || typeof item.body !== "object" || Array.isArray(item.body)) {
+      errors.push({ code: "missing_required_parameter", message: `第 ${line} 行缺少 body。`, param: "body", line });
+    } else {
+      customIds.add(item.custom_id);
+      requests.push({ custom_id: item.custom_id, body: item.body });
+    }
+  });
+  if (requests.length === 0 && errors.length === 0) {
+    errors.push({ code: "empty_file", message: "输入文件中没有请求。", param: "input_file_id", line: null });
+  }
+  if (requests.length > MAX_REQUESTS) {
+    errors.push({ code: "too_many_requests", message: `一个批处理最多包含 ${MAX_REQUESTS} 个请求。`, param: "input_file_id", line: null });
+  }
+  return { requests, errors };
+}
+
+export class BatchQueue {
+  /**
+   * @param {object} options
+   * @param {string} options.dir - 保存批处理状态的目录
+   * @param {import("./chat.js").ChatService} options.chatService
+   * @param {import("./files.js").FileRegistry} options.files - 输入文件和结果文件
+   * @param {function(object): object|null} options.resolveAuth - 根据 { apiKey } 或 { keyHash } 认证，见 auth.js；
+   *   每个请求执行前都重新认证，密钥被吊销或过期后剩下的请求失败
+   * @param {object} options.counterStore - 限流的计数存储，见 ratelimit.js
+   * @param {object} options.limits - 默认限额，见 limitsFromEnv
+   * @param {import("./cache.js").ResponseCache|null} [options.cache] - 响应缓存
+   * @param {number} [options.structuredOutputRetries] - 结构化输出校验失败后的最多重试次数
+   * @param {number} options.concurrency - 同时执行的请求数（所有批处理共用）
+   * @param {number} options.rpm - 每分钟最多发起的请求数，0 表示不限制
+   * @param {number} options.rateLimitDelay - 遇到 Coze 限流时队列暂停的时间（毫秒），连续限流时加倍
+   */
+  constructor({
+    dir,
+    chatService,
+    files,
+    resolveAuth,
+    counterStore,
+    limits,
+    cache = null,
+    structuredOutputRetries = 1,
+    concurrency,
+    rpm,
+    rateLimitDelay,
+  }) {
+    this.dir = dir;
+    this.chatService = chatService;
+    this.files = files;
+    this.resolveAuth = resolveAuth;
+    this.counterStore = counterStore;
+    this.limits = limits;
+    this.cache = cache;
+    this.structuredOutputRetries = structuredOutputRetries;
+    this.concurrency = Math.max(1, concurrency);
+    this.rpm = rpm;
+    this.rateLimitDelay = rateLimitDelay;
+    // id -> 批处理（包括 owner 和 key_hash 等内部字段）
+    this.batches = new Map();
+    // 正在执行的批处理：id -> { batch, requests, queue, done, active, attempts, pausedUntil, writes, finishing }
+    this.jobs = new Map();
+    this.running = 0;
+    // 限流：暂停到的时间、连续限流的次数、当前分钟已发起的请求数
+    this.pausedUntil = 0;
+    this.rateLimitStreak = 0;
+    this.window = { minute: 0, count: 0 };
+    this.timer = null;
+  }
+
+  file(id, suffix) {
+    return path.join(this.dir, `${id}${suffix}`);
+  }
+
+  /**
+   * 读取保存的批处理，继续执行未结束的批处理
+   */
+  async start() {
+    let names;
+    try {
+      names = await fs.promises.readdir(this.dir);
+    } catch (error) {
+      // 目录还不存在，没有保存的批处理
+      return;
+    }
+    const batches = [];
+    for (const name of names.filter((item) => /^batch_\w+\.json$/.test(item))) {
+      try {
+        const batch = JSON.parse(await fs.promises.readFile(path.join(this.dir, name), "utf8"));
+        // 旧版本在状态文件中保存了 API Key 原文，不再使用，保存状态时一并删除
+        delete batch.api_key;
+        batches.push(batch);
+      } catch (error) {
+        logger.error("读取批处理状态失败", { file: name, error: error.message });
+      }
+    }
+    // 按创建顺序列出和执行
+    batches.sort((a, b) => a.created_at - b.created_at);
+    for (const batch of batches) {
+      this.batches.set(batch.id, batch);
+      if (!FINAL_STATUSES.includes(batch.status)) {
+        await this.resume(batch);
+      }
+    }
+    this.schedule();
+  }
+
+  // 从保存的输入和结果中恢复执行
+  async resume(batch) {
+    const auth = batch.key_hash ? this.resolveAuth({ keyHash: batch.key_hash }) : null;
+    let requests;
+    const done = new Set();
+    try {
+      ({ requests } = parseInput(await fs.promises.readFile(this.file(batch.id, ".input.jsonl"), "utf8"), batch.endpoint));
+      const results = await fs.promises.readFile(this.file(batch.id, ".results.jsonl"), "utf8").catch(() => "");
+      for (const line of results.split("\n").filter(Boolean)) {
+        done.add(JSON.parse(line).index);
+      }
+    } catch (error) {
+      logger.error("恢复批处理失败", { batch_id: batch.id, error: error.message });
+      requests = null;
+    }
+    if (!auth || !requests) {
+      let message = "批处理的输入已丢失，无法继续执行。";
+      if (!batch.key_hash) {
+        message = "passthrough 模式下不保存调用方的 token，批处理无法在重启后继续执行。";
+      } else if (!auth) {
+        message = "批处理的 API Key 已失效，无法继续执行。";
+      }
+      await this.fail(batch, [{ code: "batch_resume_failed", message, param: null, line: null }]);
+      return;
+    }
+    const job = this.activate(batch, requests, done);
+    logger.info("继续执行批处理", { batch_id: batch.id, remaining: job.queue.length });
+    if (batch.status === "cancelling") {
+      await this.finish(job, "cancelled");
+    } else if (job.queue.length === 0) {
+      await this.finish(job, "completed");
+    }
+  }
+
+  // apiKey 为 passthrough 模式下调用方的 token，只保存在内存中
+  activate(batch, requests, done = new Set(), apiKey = null) {
+    const job = {
+      batch,
+      apiKey,
+      requests,
+      queue: requests.map((request, index) => index).filter((index) => !done.has(index)),
+      done,
+      // 正在执行的请求：index -> 该请求发起的 ChatRun
+      active: new Map(),
+      // 每个请求遇到限流的次数
+      attempts: new Map(),
+      // 超过调用方的每分钟请求数时，暂停到的时间
+      pausedUntil: 0,
+      // 串行写入状态和结果文件
+      writes: Promise.resolve(),
+      finishing: false,
+    };
+    this.jobs.set(batch.id, job);
+    return job;
+  }
+
+  // 依次执行写入操作，失败时只记录错误
+  write(job, action) {
+    job.writes = job.writes.then(action).catch((error) => logger.error("保存批处理状态失败", { batch_id: job.batch.id, error }));
+    return job.writes;
+  }
+
+  async save(batch) {
+    await fs.promises.mkdir(this.dir, { recursive: true });
+    // 先写临时文件再重命名，重启时不会读到写了一半的状态
+    const temp = this.file(batch.id, `.json.${process.pid}.tmp`);
+    await fs.promises.writeFile(temp, JSON.stringify(batch), { mode: 0o600 });
+    await fs.promises.rename(temp, this.file(batch.id, ".json"));
+  }
+
+  /**
+   * 创建批处理：校验输入文件，通过后加入队列；输入有误时返回 status 为 failed 的批处理
+   * @param {object} auth - 认证信息（req.auth）
+   * @param {object} body - 请求体 { input_file_id, endpoint, completion_window, metadata }
+   * @returns {Promise<object>} - OpenAI 的 batch 对象
+   */
+  async create(auth, body) {
+    const owner = callerOf(auth);
+    if (!ENDPOINTS.includes(body.endpoint)) {
+      throw new ChatError(`endpoint 必须是 ${ENDPOINTS.join(", ")}。`, 400, { param: "endpoint" });
+    }
+    const window = COMPLETION_WINDOWS[body.completion_window || "24h"];
+    if (!window) {
+      throw new ChatError(`completion_window 必须是 ${Object.keys(COMPLETION_WINDOWS).join(", ")}。`, 400, {
+        param: "completion_window",
+      });
+    }
+    const file = typeof body.input_file_id === "string" ? await this.files.get(body.input_file_id, owner) : null;
+    if (!file) {
+      throw new ChatError(`文件 '${body.input_file_id}' 不存在。`, 400, { param: "input_file_id", code: "file_not_found" });
+    }
+    const content = file.purpose === "batch" ? await this.files.readContent(file.id) : null;
+    if (!content) {
+      throw new ChatError("输入文件必须是 purpose 为 batch 的 JSONL 文件。", 400, { param: "input_file_id" });
+    }
+
+    const now = Math.floor(Date.now() / 1000);
+    const batch = {
+      id: `batch_${crypto.randomBytes(12).toString("hex")}`,
+      object: "batch",
+      endpoint: body.endpoint,
+      errors: null,
+      input_file_id: file.id,
+      completion_window: body.completion_window || "24h",
+      status: "validating",
+      output_file_id: null,
+      error_file_id: null,
+      created_at: now,
+      in_progress_at: null,
+      expires_at: now + window,
+      finalizing_at: null,
+      completed_at: null,
+      failed_at: null,
+      expired_at: null,
+      cancelling_at: null,
+      cancelled_at: null,
+      request_counts: { total: 0, completed: 0, failed: 0 },
+      metadata: body.metadata || null,
+      owner,
+      key_hash: auth.key ? hashApiKey(auth.apiKey) : null,
+    };
+    this.batches.set(batch.id, batch);
+    const { requests, errors } = parseInput(content.toString("utf8"), batch.endpoint);
+    if (errors.length > 0) {
+      await this.fail(batch, errors);
+      return toBatchObject(batch);
+    }
+    // 保存输入的副本，输入文件被删除后也能在重启后继续执行
+    await fs.promises.mkdir(this.dir, { recursive: true });
+    await fs.promises.writeFile(this.file(batch.id, ".input.jsonl"), content, { mode: 0o600 });
+    Object.assign(batch, { status: "in_progress", in_progress_at: now });
+    batch.request_counts.total = requests.length;
+    await this.save(batch);
+    this.activate(batch, requests, new Set(), auth.key ? null : auth.apiKey);
+    logger.info("批处理已创建", { batch_id: batch.id, requests: requests.length });
+    this.schedule();
+    return toBatchObject(batch);
+  }
+
+  async fail(batch, errors) {
+    delete batch.key_hash;
+    Object.assign(batch, {
+      status: "failed",
+      failed_at: Math.floor(Date.now() / 1000),
+      errors: { object: "list", data: errors },
+    });
+    await this.save(batch);
+  }
+
+  /**
+   * @param {string} id
+   * @param {string} owner - 调用方，只能访问自己创建的批处理
+   * @returns {object|null}
+   */
+  get(id, owner) {
+    const batch = this.batches.get(id);
+    return batch && batch.owner === owner ? batch : null;
+  }
+
+  /**
+   * @param {string} owner
+   * @returns {Array<object>} - 按创建时间从新到旧排列
+   */
+  list(owner) {
+    return [...this.batches.values()].filter((batch) => batch.owner === owner).reverse();
+  }
+
+  /**
+   * 取消批处理：中止正在执行的请求，已完成的结果仍会写入结果文件
+   * @param {object} batch
+   * @returns {Promise<object>} - OpenAI 的 batch 对象
+   */
+  async cancel(batch) {
+    const job = this.jobs.get(batch.id);
+    if (job && !job.finishing) {
+      Object.assign(batch, { status: "cancelling", cancelling_at: Math.floor(Date.now() / 1000) });
+      await this.write(job, () => this.save(batch));
+      await this.finish(job, "cancelled");
+    }
+    return toBatchObject(batch);
+  }
+
+  // 延迟一段时间后再调度
+  wake(delay) {
+    clearTimeout(this.timer);
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      this.schedule();
+    }, delay);
+    // 等待中的批处理不阻止进程退出
+    this.timer.unref();
+  }
+
+  // 在并发和限流允许的范围内，按创建顺序开始执行等待中的请求
+  schedule() {
+    const now = Date.now();
+    for (const job of this.jobs.values()) {
+      if (!job.finishing && now / 1000 >= job.batch.expires_at) {
+        this.finish(job, "expired").catch((error) => logger.error("结束批处理失败", { batch_id: job.batch.id, error }));
+      }
+    }
+    if (now < this.pausedUntil) {
+      return this.wake(this.pausedUntil - now);
+    }
+    while (this.running < this.concurrency) {
+      const waiting = [...this.jobs.values()].filter((item) => !item.finishing && item.queue.length > 0);
+      const job = waiting.find((item) => item.pausedUntil <= Date.now());
+      if (!job) {
+        // 只剩下超过调用方每分钟请求数的批处理，等到最早的一个可以继续时再调度
+        if (waiting.length > 0) {
+          this.wake(Math.min(...waiting.map((item) => item.pausedUntil)) - Date.now());
+        }
+        return;
+      }
+      if (this.rpm) {
+        const minute = Math.floor(Date.now() / 60000);
+        if (this.window.minute !== minute) {
+          this.window = { minute, count: 0 };
+        }
+        if (this.window.count >= this.rpm) {
+          return this.wake((minute + 1) * 60000 - Date.now());
+        }
+        this.window.count++;
+      }
+      const index = job.queue.shift();
+      this.running++;
+      const requestId = `batch_req_${crypto.randomBytes(12).toString("hex")}`;
+      requestContext.run({ requestId }, () => this.execute(job, index, requestId))
+        .catch((error) => logger.error("执行批处理请求失败", { batch_id: job.batch.id, error }))
+        .finally(() => {
+          this.running--;
+          this.schedule();
+        });
+    }
+  }
+
+  // 执行一个请求并记录结果，遇到 Coze 限流时放回队列
+  async execute(job, index, requestId) {
+    const request = job.requests[index];
+    const runs = [];
+    job.active.set(index, runs);
+    let response;
+    let usage = null;
+    try {
+      // 每个请求重新认证，批处理执行期间被吊销或过期的密钥不能继续使用
+      const auth = this.resolveAuth(job.batch.key_hash ? { keyHash: job.batch.key_hash } : { apiKey: job.apiKey });
+      if (!auth) {
+        throw new ChatError("批处理的 API Key 已被吊销或已过期。", 401, { code: "invalid_api_key" });
+      }
+      const caller = limitCaller(auth);
+      const { limited } = await checkLimits(this.counterStore, limitsOf(this.limits, auth), caller);
+      if (limited && !limited.quota) {
+        // 超过调用方的每分钟请求数：放回队列，这个批处理等到下一分钟再继续
+        job.queue.unshift(index);
+        job.pausedUntil = Date.now() + limited.retryAfter;
+        return;
+      }
+      if (limited) {
+        throw new ChatError(limited.message, 429, { type: limited.type, code: limited.code });
+      }
+      const { results, cached } = await runChatCompletion(this.chatService, { ...request.body, stream: false }, {
+        auth,
+        cache: this.cache,
+        structuredOutputRetries: this.structuredOutputRetries,
+        onRun: (run) => runs.push(run),
+      });
+      this.rateLimitStreak = 0;
+      const body = formatCompletion(request.body, results);
+      // 命中缓存时没有消耗 Coze 的 token，不计入配额
+      if (!cached) {
+        usage = { caller, tokens: body.usage.total_tokens };
+      }
+      response = { status_code: 200, request_id: requestId, body };
+    } catch (error) {
+      if (job.finishing) {
+        // 批处理已取消或过期，中止的请求不记录结果
+        return;
+      }
+      const attempts = (job.attempts.get(index) || 0) + 1;
+      if (isRateLimited(error) && attempts <= MAX_RATE_LIMIT_RETRIES) {
+        job.attempts.set(index, attempts);
+        job.queue.unshift(index);
+        this.rateLimitStreak++;
+        const delay = Math.min(this.rateLimitDelay * 2 ** (this.rateLimitStreak - 1), MAX_PAUSE);
+        this.pausedUntil = Math.max(this.pausedUntil, Date.now() + delay);
+        logger.warn("Coze 限流，批处理队列暂停", { batch_id: job.batch.id, delay_ms: delay });
+        return;
+      }
+      const failure = describeError(error) || { status: 500, message: error.message, type: "server_error", param: null, code: null };
+      response = {
+        status_code: failure.status,
+        request_id: requestId,
+        body: { error: { message: failure.message, type: failure.type, param: failure.param, code: failure.code } },
+      };
+    } finally {
+      // 对话已结束，清理超时计时器
+      runs.forEach((run) => run.close());
+      job.active.delete(index);
+    }
+    if (usage && usage.tokens) {
+      await recordTokens(this.counterStore, usage.caller, usage.tokens);
+    }
+    await this.record(job, index, {
+      id: requestId,
+      custom_id: request.custom_id,
+      response,
+      error: null,
+    });
+    if (job.done.size === job.requests.length) {
+      await this.finish(job, "completed");
+    }
+  }
+
+  // 追加一个请求的结果并更新计数
+  async record(job, index, line) {
+    if (job.finishing) {
+      return;
+    }
+    const { batch } = job;
+    job.done.add(index);
+    if (line.response && line.response.status_code < 400) {
+      batch.request_counts.completed++;
+    } else {
+      batch.request_counts.failed++;
+    }
+    await this.write(job, async () => {
+      await fs.promises.appendFile(this.file(batch.id, ".results.jsonl"), JSON.stringify({ index, line }) + "\n");
+      await this.save(batch);
+    });
+  }
+
+  /**
+   * 结束批处理：成功的结果写入结果文件，失败的请求写入错误文件（过期时还包括未执行的请求）
+   * @param {object} job
+   * @param {string} status - completed | cancelled | expired
+   */
+  async finish(job, status) {
+    if (job.finishing) {
+      return;
+    }
+    job.finishing = true;
+    const { batch } = job;
+    for (const runs of job.active.values()) {
+      runs.forEach((run) => run.cancel());
+    }
+    const now = Math.floor(Date.now() / 1000);
+    Object.assign(batch, { status: "finalizing", finalizing_at: now });
+    await this.write(job, () => this.save(batch));
+
+    const results = await fs.promises.readFile(this.file(batch.id, ".results.jsonl"), "utf8").catch(() => "");
+    const lines = results.split("\n").filter(Boolean).map((item) => JSON.parse(item))
+      .sort((a, b) => a.index - b.index);
+    const outputs = lines.filter((item) => item.line.response && item.line.response.status_code < 400).map((item) => item.line);
+    const errors = lines.filter((item) => !item.line.response || item.line.response.status_code >= 400).map((item) => item.line);
+    if (status === "expired") {
+      job.requests.forEach((request, index) => {
+        if (!job.done.has(index)) {
+          batch.request_counts.failed++;
+          errors.push({
+            id: `batch_req_${crypto.randomBytes(12).toString("hex")}`,
+            custom_id: request.custom_id,
+            response: null,
+            error: { code: "batch_expired", message: "批处理在完成时限内没有执行这个请求。" },
+          });
+        }
+      });
+    }
+    const toFile = async (items, kind) => items.length === 0 ? null : (await this.files.create({
+      owner: batch.owner,
+      filename: `${batch.id}_${kind}.jsonl`,
+      purpose: "batch_output",
+      data: Buffer.from(items.map((item) => JSON.stringify(item)).join("\n") + "\n"),
+    })).id;
+    try {
+      batch.output_file_id = await toFile(outputs, "output");
+      batch.error_file_id = await toFile(errors, "error");
+    } catch (error) {
+      logger.error("保存批处理结果失败", { batch_id: batch.id, error });
+    }
+    const { key_hash: keyHash, ...finished } = { ...batch, status, [`${status}_at`]: Math.floor(Date.now() / 1000) };
+    await this.write(job, async () => {
+      await this.save(finished);
+      // 结果已写入文件，不再需要输入和中间结果
+      await fs.promises.rm(this.file(batch.id, ".input.jsonl"), { force: true });
+      await fs.promises.rm(this.file(batch.id, ".results.jsonl"), { force: true });
+    });
+    // 保存完成后才对外显示最终状态
+    delete batch.key_hash;
+    Object.assign(batch, finished);
+    this.jobs.delete(batch.id);
+    logger.info("批处理已结束", { batch_id: batch.id, status, request_counts: batch.request_counts });
+  }
+}
+
+function sendFailure(res, error) {
+  const failure = describeError(error);
+  return sendError(res, failure.status, failure.message, failure);
+}
+
+/**
+ * 创建 /v1/batches 接口的处理函数，需要放在认证中间件之后
+ * @param {BatchQueue} queue
+ * @returns {{create: import("express").RequestHandler, list: import("express").RequestHandler,
+ *   retrieve: import("express").RequestHandler, cancel: import("express").RequestHandler}}
+ */
+export function createBatchesHandlers(queue) {
+  const create = async (req, res) => {
+    try {
+      res.json(await queue.create(req.auth, req.body || {}));
+    } catch (error) {
+      sendFailure(res, error);
+    }
+  };
+
+  const list = (req, res) => {
+    const limit = req.query.limit === undefined ? 20 : parseInt(req.query.limit, 10);
+    if (!(limit >= 1 && limit <= MAX_LIST_LIMIT)) {
+      return sendError(res, 400, `limit 必须在 1 到 ${MAX_LIST_LIMIT} 之间。`, { param: "limit" });
+    }
+    let batches = queue.list(callerOf(req.auth));
+    if (req.query.after) {
+      const index = batches.findIndex((batch) => batch.id === req.query.after);
+      batches = index === -1 ? [] : batches.slice(index + 1);
+    }
+    const data = batches.slice(0, limit).map(toBatchObject);
+    res.json({
+      object: "list",
+      data,
+      first_id: data.length > 0 ? data[0].id : null,
+      last_id: data.length > 0 ? data[data.length - 1].id : null,
+      has_more: batches.length > limit,
+    });
+  };
+
+  const find = (req, res) => {
+    const batch = queue.get(req.params.id, callerOf(req.auth));
+    if (!batch) {
+      sendError(res, 404, `批处理 '${req.params.id}' 不存在。`, { param: "id", code: "batch_not_found" });
+    }
+    return batch;
+  };
+
+  const retrieve = (req, res) => {
+    const batch = find(req, res);
+    if (batch) {
+      res.json(toBatchObject(batch));
+    }
+  };
+
+  const cancel = async (req, res) => {
+    const batch = find(req, res);
+    if (!batch) {
+      return;
+    }
+    if (FINAL_STATUSES.includes(batch.status)) {
+      return sendError(res, 409, `批处理的状态为 ${batch.status}，无法取消。`, { param: "id" });
+    }
+    res.json(await queue.cancel(batch));
+  };
+
+  return { create, list, retrieve, cancel };
+}
@@ -0,0 +1,198 @@
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+import { logger } from "./logger.js";
+
+// 响应缓存：相同的模型、消息和参数直接返回缓存的回答，不再请求 Coze。默认关闭，按模型开启。
+// 缓存按调用方区分，key 为规范化后的请求的哈希。只缓存正常结束的机器人对话，
+// 调用端插件、继续会话和工作流的请求不缓存。
+
+/**
+ * 从环境变量读取缓存配置，RESPONSE_CACHE 未设置或为 off 时返回 null（不缓存）
+ * @returns {ResponseCache|null}
+ */
+export function responseCacheFromEnv() {
+  const type = process.env.RESPONSE_CACHE || "off";
+  let store;
+  switch (type) {
+    case "off":
+      return null;
+    case "memory":
+      store = new MemoryCacheStore(parseInt(process.env.RESPONSE_CACHE_MAX_ENTRIES || "1000", 10));
+      break;
+    case "file":
+      store = new FileCacheStore(process.env.RESPONSE_CACHE_DIR || "data/cache");
+      break;
+    default:
+      throw new Error(`未知的 RESPONSE_CACHE: ${type}`);
+  }
+  return new ResponseCache({
+    store,
+    ttl: parseInt(process.env.RESPONSE_CACHE_TTL || "3600", 10) * 1000,
+    models: (process.env.RESPONSE_CACHE_MODELS || "").split(",").map((item) => item.trim()).filter(Boolean),
+  });
+}
+
+/**
+ * 内存缓存，超过 maxEntries 时淘汰最久未使用的条目
+ */
+export class MemoryCacheStore {
+  constructor(maxEntries) {
+    this.maxEntries = maxEntries;
+    // Map 按插入顺序迭代，读取时重新插入即可实现 LRU
+    this.entries = new Map();
+  }
+
+  async get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) {
+      return null;
+    }
+    this.entries.delete(key);
+    if (entry.expiresAt <= Date.now()) {
+      return null;
+    }
+    this.entries.set(key, entry);
+    return entry.value;
+  }
+
+  async set(key, value, ttl) {
+    this.entries.delete(key);
+    this.entries.set(key, { value, expiresAt: Date.now() + ttl });
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+}
+
+/**
+ * 磁盘缓存，每个条目一个 JSON 文件，重启后仍然有效。过期的条目在读取时删除。
+ */
+export class FileCacheStore {
+  constructor(dir) {
+    this.dir = dir;
+    fs.mkdirSync(dir, { recursive: true });
+  }
+
+  file(key) {
+    return path.join(this.dir, `${key}.json`);
+  }
+
+  async get(key) {
+    let entry;
+    try {
+      entry = JSON.parse(await fs.promises.readFile(this.file(key), "utf8"));
+    } catch (error) {
+      return null;
+    }
+    if (entry.expiresAt <= Date.now()) {
+      await fs.promises.rm(this.file(key), { force: true });
+      return null;
+    }
+    return entry.value;
+  }
+
+  async set(key, value, ttl) {
+    // 先写临时文件再重命名，读取时不会读到写了一半的文件
+    const temp = `${this.file(key)}.${process.pid}.tmp`;
+    await fs.promises.writeFile(temp, JSON.stringify({ value, expiresAt: Date.now() + ttl }));
+    await fs.promises.rename(temp, this.file(key));
+  }
+}
+
+// 按 key 排序序列化，字段顺序不同的相同对象得到相同的结果
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(",")}]`;
+  }
+  if (value && typeof value === "object") {
+    return `{${Object.keys(value)
+      .filter((key) => value[key] !== undefined)
+      .sort()
+      .map((key) => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+      .join(",")}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+}
+
+// 只有文本的内容块数组与字符串等价
+function normalizeContent(content) {
+  if (Array.isArray(content) && content.every((part) => part.type === "text")) {
+    return content.map((part) => part.text).join("");
+  }
+  return content;
+}
+
+export class ResponseCache {
+  /**
+   * @param {object} options
+   * @param {object} options.store - 存储，需实现 get/set
+   * @param {number} options.ttl - 有效期（毫秒）
+   * @param {Array<string>} options.models - 开启缓存的模型，"*" 表示全部（配置文件中也可以为单个模型设置 cache: true）
+   */
+  constructor({ store, ttl, models }) {
+    this.store = store;
+    this.ttl = ttl;
+    this.models = models;
+  }
+
+  /**
+   * 判断模型是否开启了缓存
+   * @param {object|null} route - ModelRouter 中的路由
+   * @returns {boolean}
+   */
+  enabledFor(route) {
+    if (!route || route.kind !== "bot") {
+      return false;
+    }
+    return route.cache || this.models.includes("*") || this.models.includes(route.id);
+  }
+
+  /**
+   * 计算缓存 key
+   * @param {object} request
+   * @param {string} request.model - 路由的模型名（别名已解析）
+   * @param {string} request.caller - 调用方
+   * @param {Array<object>} request.messages - OpenAI 格式的消息
+   * @param {object} request.params - 影响回答的其它参数
+   * @returns {string}
+   */
+  key({ model, caller, messages, params }) {
+    const normalized = {
+      model,
+      caller,
+      messages: messages.map((message) => ({ ...message, content: normalizeContent(message.content) })),
+      params,
+    };
+    return crypto.createHash("sha256").update(stableStringify(normalized)).digest("hex");
+  }
+
+  /**
+   * @param {string} key
+   * @returns {Promise<Array<object>|null>} - 缓存的结果（每个 choice 一项），出错时视为未命中
+   */
+  async get(key) {
+    try {
+      return await this.store.get(key);
+    } catch (error) {
+      logger.error("读取响应缓存失败", { error });
+      return null;
+    }
+  }
+
+  /**
+   * 缓存对话结果，只缓存正常结束（stop 或 length）的结果
+   * @param {string} key
+   * @param {Array<object>} results - 与 ChatRun.result() 相同格式的结果，每个 choice 一项
+   */
+  async set(key, results) {
+    if (!results.every((result) => result.finishReason === "stop" || result.finishReason === "length")) {
+      return;
+    }
+    try {
+      await this.store.set(key, results, this.ttl);
+    } catch (error) {
+      logger.error("写入响应缓存失败", { error });
+    }
+  }
+}
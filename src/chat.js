@@ -0,0 +1,734 @@
+import { isModelAllowed } from "./auth.js";
+import { CozeApiError, CozeClient, WORKFLOW_OUTPUT_EVENTS, primeStream, toAdditionalMessages } from "./coze.js";
+import { ChatError } from "./errors.js";
+import { parseCitations, resolveExtensions } from "./extensions.js";
+import { OutputLimiter, appendInstructions, applySystemPrompt, systemPromptOf } from "./params.js";
+import { callerOf, logger } from "./logger.js";
+import { firstTokenDuration } from "./metrics.js";
+import { extractToolOutputs, toOpenAIToolCalls } from "./tools.js";
+import { UploadError, Uploader } from "./uploads.js";
+import { buildUsage } from "./usage.js";
+import { lastUserText, workflowParameters } from "./workflows.js";
+
+// 与前端协议无关的对话流程：模型路由、会话、工具调用、工作流、上游重试、取消和超时。
+// OpenAI（/v1/chat/completions）和 Anthropic（/v1/messages）前端都把请求转换为 OpenAI 格式的消息交给这里，
+// 再把结果或流式事件转换为各自的响应格式。
+
+// 计入首个 token 时间的事件
+const FIRST_TOKEN_EVENTS = ["delta", "reasoning", "tool_calls"];
+
+/**
+ * 判断认证信息是否允许使用某个模型路由
+ * @param {object|null} auth - 认证信息（req.auth）
+ * @param {object} route - ModelRouter 中的路由
+ * @returns {boolean}
+ */
+export function canUseRoute(auth, route) {
+  return isModelAllowed(auth && auth.key, route.id, route.targets.map((target) => target.workflow_id || target.bot_id));
+}
+
+/**
+ * 把对话过程中的错误转换为 HTTP 状态码和 OpenAI 风格的错误信息。
+ * 客户端已断开（请求被中止）时返回 null，无需响应。
+ * @param {Error} error
+ * @returns {{status: number, message: string, type: string, param: string|null, code: string|null}|null}
+ */
+export function describeError(error) {
+  if (error instanceof ChatError) {
+    return { status: error.status, message: error.message, type: error.type, param: error.param, code: error.code };
+  }
+  if (error.name === "AbortError") {
+    return null;
+  }
+  if (error instanceof UploadError) {
+    logger.warn("文件上传失败", { error });
+    return { status: error.status, message: "上传文件到 Coze 失败: " + error.message, type: "invalid_request_error", param: "messages", code: null };
+  }
+  if (error instanceof CozeApiError) {
+    logger.error("Coze API 错误", { error: { message: error.message, status: error.status, code: error.code } });
+    return {
+      status: error.status,
+      message: error.message,
+      type: error.status === 504 ? "timeout_error" : "api_error",
+      param: null,
+      code: error.code === undefined ? null : String(error.code),
+    };
+  }
+  logger.error("服务器内部错误", { error });
+  return { status: 500, message: "服务器内部错误: " + error.message, type: "server_error", param: null, code: null };
+}
+
+/**
+ * 客户端断开连接（例如点击“停止生成”）时取消对话，响应结束后清理超时计时器。
+ * 对话同时记录到 res.locals.runs，供请求日志和审计日志使用。
+ * @param {ChatRun} run
+ * @param {import("express").Response} res
+ */
+export function cancelOnClose(run, res) {
+  res.locals.runs = [...(res.locals.runs || []), run];
+  res.once("close", () => {
+    run.close();
+    if (!res.writableFinished) {
+      logger.info("客户端已断开连接，取消上游请求", { model: run.request.model });
+      run.cancel();
+    }
+  });
+}
+
+export class ChatService {
+  /**
+   * @param {object} options
+   * @param {import("./upstreams.js").ModelRouter} options.router - 模型路由
+   * @param {import("./upstreams.js").UpstreamPool} options.upstreams - 上游重试和故障切换
+   * @param {import("./sessions.js").SessionManager} options.sessions - 会话管理
+   * @param {import("./tools.js").PendingToolCalls} options.pendingToolCalls - 等待工具结果的对话
+   * @param {import("./workflows.js").PendingInterrupts} options.interrupts - 等待用户回答的工作流
+   * @param {object} options.uploadOptions - 见 uploadOptionsFromEnv
+   * @param {import("./files.js").FileRegistry} [options.files] - 通过 /v1/files 上传的文件，消息中可以引用
+   * @param {object} options.timeouts - 超时（毫秒）：connect、firstToken、request、poll，以及轮询间隔 pollInterval
+   * @param {object} options.systemPrompt - 系统提示词的处理方式，见 systemPromptOptionsFromEnv
+   * @param {boolean} [options.strictParams] - 严格模式：不支持的参数返回 400 错误
+   */
+  constructor({
+    router,
+    upstreams,
+    sessions,
+    pendingToolCalls,
+    interrupts,
+    uploadOptions,
+    files = null,
+    timeouts,
+    systemPrompt,
+    strictParams = false,
+  }) {
+    this.router = router;
+    this.upstreams = upstreams;
+    this.sessions = sessions;
+    this.pendingToolCalls = pendingToolCalls;
+    this.interrupts = interrupts;
+    this.uploadOptions = uploadOptions;
+    this.files = files;
+    this.timeouts = timeouts;
+    this.systemPrompt = systemPrompt;
+    this.strictParams = strictParams;
+  }
+
+  /**
+   * 创建一次对话，调用 start() 之前即可通过 cancelOnClose 绑定客户端连接
+   * @param {object} request
+   * @param {string} request.model - 模型名
+   * @param {Array<object>} request.messages - OpenAI 格式的消息
+   * @param {string} [request.user] - 调用方提供的用户标识
+   * @param {boolean} request.stream - 是否流式输出
+   * @param {string} [request.conversationId] - X-Conversation-Id 请求头
+   * @param {boolean} [request.reset] - 是否重置会话
+   * @param {Array<string>|boolean} [request.extensions] - 请求开启的扩展字段，见 extensions.js
+   * @param {Array<string>} [request.stop] - 停止序列
+   * @param {number|null} [request.maxTokens] - 最大输出 token 数
+   * @param {boolean} [request.ephemeral] - 不使用也不保存会话（n > 1 时除第一个以外的对话）
+   * @param {string} [request.instructions] - 发送时附加到最后一条用户消息的说明，不计入会话
+   * @param {object} [request.workflowParameters] - 工作流的输入参数（请求中的 coze_parameters）
+   * @param {object} auth - 认证信息（req.auth）
+   * @returns {ChatRun} - 工作流模型返回 WorkflowRun
+   */
+  createRun(request, auth) {
+    const route = this.router.resolve(request.model);
+    return route && route.kind === "workflow"
+      ? new WorkflowRun(this, request, auth)
+      : new ChatRun(this, request, auth);
+  }
+}
+
+/**
+ * 一次对话请求。start() 发起 Coze 对话后，流式请求通过 events() 读取事件，非流式请求通过 result() 读取结果。
+ */
+export class ChatRun {
+  constructor(service, request, auth) {
+    this.service = service;
+    this.request = request;
+    this.auth = auth;
+    this.startedAt = process.hrtime.bigint();
+    // 输出给客户端的回答和结束原因，用于审计日志
+    this.answer = "";
+    this.finishReason = null;
+    this.abortController = new AbortController();
+    // 当前使用的 Coze 客户端和成功发起对话的上游目标
+    this.client = null;
+    this.target = null;
+    // Coze 对话结束后无需再取消
+    this.finished = false;
+    this.timedOut = false;
+    const timeout = service.timeouts.request;
+    this.timer = timeout
+      ? setTimeout(() => {
+        this.timedOut = true;
+        this.cancel();
+      }, timeout)
+      : null;
+  }
+
+  /**
+   * 中止上游请求，并取消正在进行的 Coze 对话，避免继续消耗额度
+   */
+  cancel() {
+    this.abortController.abort();
+    if (!this.finished) {
+      cancelChat(this.client);
+    }
+  }
+
+  close() {
+    clearTimeout(this.timer);
+  }
+
+  // 请求总时长超时导致的中止转换为 504 错误
+  wrapError(error) {
+    if (error.name === "AbortError" && this.timedOut) {
+      return new ChatError(`请求超时（${this.service.timeouts.request / 1000} 秒）。`, 504, {
+        type: "timeout_error",
+        code: "request_timeout",
+      });
+    }
+    return error;
+  }
+
+  /**
+   * 校验模型和工具结果，查找会话，并在上游目标上发起 Coze 对话
+   */
+  async start() {
+    try {
+      await this.prepare();
+      this.output = await this.service.upstreams.execute(this.route, async (target) => {
+        const output = await this.startOn(target);
+        this.target = target;
+        return output;
+      }, {
+        pinned: this.pending ? this.pending.target : this.session.target,
+        // 暂停的对话只能在原来的目标上恢复
+        failover: !this.pending,
+        signal: this.abortController.signal,
+      });
+    } catch (error) {
+      throw this.wrapError(error);
+    }
+  }
+
+  // 查找模型路由并检查权限
+  resolveRoute() {
+    const { service, request, auth } = this;
+    const route = service.router.resolve(request.model);
+    if (!route) {
+      throw new ChatError(`模型 '${request.model}' 不存在。`, 404, { param: "model", code: "model_not_found" });
+    }
+    if (!canUseRoute(auth, route)) {
+      throw new ChatError(`当前 API Key 无权使用模型 '${request.model}'。`, 403, {
+        type: "permission_error",
+        param: "model",
+        code: "model_not_allowed",
+      });
+    }
+    this.route = route;
+    return route;
+  }
+
+  async prepare() {
+    const { service, request, auth } = this;
+    const route = this.resolveRoute();
+    this.extensions = resolveExtensions(request.extensions, route.extensions);
+    // 模型配置的 system_prompt_prefix 拼接在客户端的系统提示词之前
+    this.system = [route.systemPromptPrefix, systemPromptOf(request.messages)].filter(Boolean).join("\n\n");
+
+    // 查找会话：会话存在时只发送新增的消息，历史由 Coze 会话保存
+    this.sessionContext = {
+      conversationId: request.conversationId,
+      user: request.user,
+      model: route.id,
+      // 会话按调用方区分：passthrough 模式下是 Coze token，keys 模式下是代理签发的 API Key
+      token: auth.apiKey,
+    };
+    if (request.ephemeral) {
+      this.session = { conversationId: null, target: null, messages: request.messages };
+    } else {
+      if (request.reset) {
+        await service.sessions.reset(this.sessionContext);
+      }
+      this.session = await service.sessions.resume(this.sessionContext, request.messages);
+    }
+
+    // 末尾是 role: "tool" 的消息时，提交工具结果以恢复暂停的对话
+    this.toolOutputs = extractToolOutputs(request.messages);
+    this.pending = null;
+    if (this.toolOutputs.length > 0) {
+      this.pending = await service.pendingToolCalls.lookup(auth.apiKey, this.toolOutputs[0].tool_call_id);
+      if (!this.pending) {
+        throw new ChatError(`tool_call_id '${this.toolOutputs[0].tool_call_id}' 不存在或已过期。`, 400, {
+          param: "messages",
+          code: "tool_call_not_found",
+        });
+      }
+      await service.pendingToolCalls.forget(auth.apiKey, this.toolOutputs);
+    }
+  }
+
+  // 在一个上游目标上发起对话，可重试的错误由 upstreams 退避重试或切换目标。
+  // 流式请求要等到第一个输出事件才算成功，之后的错误无法再切换目标。
+  async startOn(target) {
+    const { service, request, session, pending } = this;
+    const client = new CozeClient({
+      apiBase: target.api_base,
+      token: target.token || this.auth.cozeToken,
+      signal: this.abortController.signal,
+      connectTimeout: service.timeouts.connect,
+    });
+    this.client = client;
+    let started;
+    if (pending) {
+      started = await client.submitToolOutputs(pending.conversation_id, pending.chat_id, this.toolOutputs, request.stream);
+    } else {
+      // 会话只在创建它的目标上有效，切换到其它目标时新建会话并发送完整历史
+      const resumed = session.conversationId && session.target === target.id;
+      // 任意一轮中的图片和文件都会上传到 Coze，以 object_string 格式发送
+      const uploader = new Uploader(client, service.sessions.store, service.uploadOptions, {
+        registry: service.files,
+        owner: callerOf(this.auth),
+      });
+      // system 消息不直接发送，按 SYSTEM_PROMPT_MODE 拼接到用户消息或放进 custom_variables / parameters
+      const { messages, body } = applySystemPrompt(
+        resumed ? session.messages : request.messages,
+        this.system,
+        service.systemPrompt,
+        { fresh: !resumed }
+      );
+      const customVariables = { ...this.route.customVariables, ...body.custom_variables };
+      const requestBody = {
+        bot_id: target.bot_id,
+        user_id: request.user !== undefined ? request.user : this.route.userId || "apiuser",
+        additional_messages: await toAdditionalMessages(
+          appendInstructions(messages, request.instructions),
+          (part) => uploader.resolvePart(part)
+        ),
+        ...body,
+        ...(Object.keys(customVariables).length > 0 ? { custom_variables: customVariables } : {}),
+      };
+      const conversationId = resumed ? session.conversationId : "";
+      started = request.stream
+        ? await client.streamChat(requestBody, conversationId)
+        : await client.createChat(requestBody, conversationId);
+    }
+    try {
+      if (request.stream) {
+        return await primeStream(started, { timeout: service.timeouts.firstToken, abortController: this.abortController });
+      }
+      // v3 接口的非流式响应不包含回答，需要轮询直到对话结束
+      const chat = await client.waitForChat(started, {
+        timeout: service.timeouts.poll,
+        interval: service.timeouts.pollInterval,
+      });
+      this.finished = true;
+      return chat;
+    } catch (error) {
+      // 对话可能已经在 Coze 创建，重试或返回错误之前先取消
+      cancelChat(client);
+      throw error;
+    }
+  }
+
+  /**
+   * 读取流式对话的事件：
+   * - { type: "reasoning", content }：推理模型的思考过程
+   * - { type: "delta", content }
+   * - { type: "citations", citations }：知识库引用，开启 citations 扩展时返回
+   * - { type: "follow_ups", followUps }：推荐的后续问题，开启 follow_ups 扩展时在 finish 之前返回
+   * - { type: "tool_calls", toolCalls }：机器人调用端插件，对话暂停
+   * - { type: "finish", finishReason: "stop" | "length" | "tool_calls", stopSequence, usage }
+   * 输出遇到 stop 或超过 max_tokens 时截断并取消 Coze 对话，stopSequence 为命中的停止序列。
+   * 对话失败时抛出 CozeApiError。
+   * @returns {AsyncGenerator<object>}
+   */
+  async* events() {
+    let first = true;
+    for await (const event of this.readEvents()) {
+      // 流式请求记录首个 token 的时间
+      if (first && this.request.stream && FIRST_TOKEN_EVENTS.includes(event.type)) {
+        first = false;
+        firstTokenDuration.observe({ model: this.route.id }, Number(process.hrtime.bigint() - this.startedAt) / 1e9);
+      }
+      if (event.type === "delta") {
+        this.answer += event.content;
+      } else if (event.type === "finish") {
+        this.finishReason = event.finishReason;
+      }
+      yield event;
+    }
+  }
+
+  // 读取 Coze 对话的事件，事件格式见 events()
+  async* readEvents() {
+    const { service, request } = this;
+    let conversationId = this.session.conversationId;
+    let answer = "";
+    const followUps = [];
+    const limiter = new OutputLimiter({ stop: request.stop, maxTokens: request.maxTokens });
+    try {
+      for await (const { event, data } of this.output) {
+        let chunk;
+        try {
+          if (!data.startsWith("{")) continue;
+          chunk = JSON.parse(data);
+        } catch (error) {
+          logger.warn("解析数据块时出错", { event, error: error.message });
+          continue;
+        }
+        if (chunk.conversation_id) {
+          conversationId = chunk.conversation_id;
+        }
+
+        if (event === "conversation.message.delta") {
+          if (chunk.role === "assistant" && chunk.type === "answer") {
+            if (chunk.reasoning_content) {
+              yield { type: "reasoning", content: chunk.reasoning_content };
+            }
+            if (chunk.content) {
+              const { text, finishReason, stopSequence } = limiter.push(chunk.content);
+              if (text) {
+                answer += text;
+                yield { type: "delta", content: text };
+              }
+              if (finishReason) {
+                // 已截断，剩余的输出不再需要
+                cancelChat(this.client);
+                this.finished = true;
+                this.saveSession(conversationId, answer);
+                yield { type: "finish", finishReason, stopSequence, usage: buildUsage(null, request.messages, answer) };
+                return;
+              }
+            }
+          }
+        } else if (event === "conversation.message.completed") {
+          // 后续问题和知识库召回以完整消息的形式返回，没有增量事件
+          if (chunk.type === "follow_up" && this.extensions.has("follow_ups")) {
+            followUps.push(chunk.content);
+          } else if (chunk.type === "verbose" && this.extensions.has("citations")) {
+            const citations = parseCitations(chunk.content);
+            if (citations.length > 0) {
+              yield { type: "citations", citations };
+            }
+          }
+        } else if (event === "conversation.chat.completed") {
+          this.finished = true;
+          // 输出保留的末尾文本
+          const rest = limiter.flush();
+          if (rest.text) {
+            answer += rest.text;
+            yield { type: "delta", content: rest.text };
+          }
+          if (followUps.length > 0) {
+            yield { type: "follow_ups", followUps };
+          }
+          this.saveSession(conversationId, answer);
+          yield {
+            type: "finish",
+            finishReason: rest.finishReason || "stop",
+            stopSequence: null,
+            // 截断后 Coze 统计的用量与实际输出不符，改为估算
+            usage: buildUsage(rest.finishReason ? null : chunk.usage, request.messages, answer),
+          };
+          return;
+        } else if (event === "conversation.chat.requires_action") {
+          this.finished = true;
+          const toolCalls = toOpenAIToolCalls(chunk);
+          await service.pendingToolCalls.remember(this.auth.apiKey, chunk, toolCalls, this.target.id);
+          yield { type: "tool_calls", toolCalls };
+          yield {
+            type: "finish",
+            finishReason: "tool_calls",
+            stopSequence: null,
+            usage: buildUsage(chunk.usage, request.messages, answer),
+          };
+          return;
+        } else if (event === "conversation.chat.failed") {
+          this.finished = true;
+          const lastError = chunk.last_error || {};
+          throw new CozeApiError(lastError.msg || "Coze 对话失败。", { code: lastError.code });
+        } else if (event === "error") {
+          throw new CozeApiError(chunk.code + " " + chunk.msg, { code: chunk.code });
+        }
+        // 其它事件（conversation.chat.created 等）无需转发
+      }
+    } catch (error) {
+      throw this.wrapError(error);
+    }
+  }
+
+  /**
+   * 读取非流式对话的结果。followUps 和 citations 只在开启对应扩展时返回，否则为 null。
+   * 回答按 stop 和 max_tokens 截断，finishReason 为 "stop" 或 "length"。
+   * cards 为回答中卡片消息（content_type 为 card）的原始内容。
+   * @returns {Promise<{content: string|null, reasoning: string|null, followUps: Array<string>|null,
+   *   citations: Array<object>|null, cards: Array<string>, toolCalls: Array<object>, finishReason: string,
+   *   stopSequence: string|null, usage: object}>}
+   */
+  async result() {
+    const { service, request, client } = this;
+    const chat = this.output;
+    try {
+      if (chat.status === "requires_action") {
+        // 机器人调用端插件，对话暂停，把 tool_calls 返回给客户端
+        const toolCalls = toOpenAIToolCalls(chat);
+        await service.pendingToolCalls.remember(this.auth.apiKey, chat, toolCalls, this.target.id);
+        this.finishReason = "tool_calls";
+        return {
+          content: null,
+          reasoning: null,
+          followUps: null,
+          citations: null,
+          cards: [],
+          toolCalls,
+          finishReason: "tool_calls",
+          stopSequence: null,
+          usage: buildUsage(chat.usage, request.messages, ""),
+        };
+      }
+      if (chat.status !== "completed") {
+        const errorMsg = chat.last_error && chat.last_error.msg ? chat.last_error.msg : `Coze 对话状态为 ${chat.status}。`;
+        throw new CozeApiError(errorMsg, { status: 500 });
+      }
+
+      const cozeMessages = await client.listMessages(chat.conversation_id, chat.id);
+      const answerMessages = cozeMessages.filter(
+        (message) => message.role === "assistant" && message.type === "answer"
+      );
+      if (answerMessages.length === 0) {
+        throw new CozeApiError("未找到 answer 类型的消息。", { status: 500 });
+      }
+      const answer = answerMessages.map((message) => message.content).join("").trim();
+      const limiter = new OutputLimiter({ stop: request.stop, maxTokens: request.maxTokens });
+      const limited = limiter.push(answer);
+      const rest = limiter.flush();
+      const content = limited.text + rest.text;
+      const finishReason = limited.finishReason || rest.finishReason;
+      const reasoning = answerMessages.map((message) => message.reasoning_content || "").join("");
+      this.saveSession(chat.conversation_id, content);
+      this.answer = content;
+      this.finishReason = finishReason || "stop";
+      return {
+        content,
+        reasoning: reasoning || null,
+        followUps: this.extensions.has("follow_ups")
+          ? cozeMessages.filter((message) => message.type === "follow_up").map((message) => message.content)
+          : null,
+        citations: this.extensions.has("citations")
+          ? cozeMessages.filter((message) => message.type === "verbose").flatMap((message) => parseCitations(message.content))
+          : null,
+        cards: answerMessages.filter((message) => message.content_type === "card").map((message) => message.content),
+        toolCalls: [],
+        finishReason: finishReason || "stop",
+        stopSequence: limited.stopSequence || null,
+        usage: buildUsage(finishReason ? null : chat.usage, request.messages, content),
+      };
+    } catch (error) {
+      throw this.wrapError(error);
+    }
+  }
+
+  saveSession(conversationId, answer) {
+    if (this.request.ephemeral) {
+      return;
+    }
+    this.service.sessions.save(this.sessionContext, conversationId, this.request.messages, answer, this.target.id)
+      .catch((error) => logger.error("保存会话失败", { error }));
+  }
+}
+
+/**
+ * 一次工作流执行。流式和非流式请求都使用 Coze 的流式接口，非流式请求读取全部事件后返回结果。
+ * 工作流没有会话、工具调用和扩展字段；问答节点的中断记录在 interrupts 中，下一轮请求的用户消息作为回答。
+ */
+export class WorkflowRun extends ChatRun {
+  async prepare() {
+    const { service, request, auth } = this;
+    this.resolveRoute();
+    this.extensions = new Set();
+    this.session = { conversationId: null, target: null, messages: request.messages };
+    this.interruptContext = { model: this.route.id, token: auth.apiKey };
+    this.parameters = workflowParameters(request.messages, request.workflowParameters, this.route.input);
+    // 上一轮在问答节点中断时，恢复原来的执行（只能在原来的目标上恢复）
+    const history = request.messages.slice(0, -1);
+    this.pending = request.ephemeral ? null : await service.interrupts.lookup(this.interruptContext, history);
+    if (this.pending) {
+      await service.interrupts.forget(this.interruptContext, history);
+    }
+  }
+
+  async startOn(target) {
+    const { service, request, pending } = this;
+    const client = new CozeClient({
+      apiBase: target.api_base,
+      token: target.token || this.auth.cozeToken,
+      signal: this.abortController.signal,
+      connectTimeout: service.timeouts.connect,
+    });
+    this.client = client;
+    const events = pending
+      ? await client.resumeWorkflow({
+        workflow_id: pending.workflow_id,
+        event_id: pending.event_id,
+        interrupt_type: pending.interrupt_type,
+        resume_data: lastUserText(request.messages),
+      })
+      : await client.streamWorkflow({
+        workflow_id: target.workflow_id,
+        parameters: this.parameters,
+        ...(target.bot_id ? { bot_id: target.bot_id } : {}),
+      });
+    return primeStream(events, {
+      timeout: request.stream ? service.timeouts.firstToken : 0,
+      outputEvents: WORKFLOW_OUTPUT_EVENTS,
+      abortController: this.abortController,
+    });
+  }
+
+  /**
+   * 读取工作流的事件，转换为与 ChatRun.events() 相同的 delta 和 finish 事件
+   * @returns {AsyncGenerator<object>}
+   */
+  async* readEvents() {
+    const { service, request } = this;
+    let answer = "";
+    let usage = null;
+    const limiter = new OutputLimiter({ stop: request.stop, maxTokens: request.maxTokens });
+    // 截断时 Coze 统计的用量与实际输出不符，改为估算
+    const finish = (finishReason, stopSequence = null, truncated = false) => ({
+      type: "finish",
+      finishReason,
+      stopSequence,
+      usage: buildUsage(truncated ? null : usage, request.messages, answer),
+    });
+    try {
+      for await (const { event, data } of this.output) {
+        let chunk;
+        try {
+          chunk = JSON.parse(data);
+        } catch (error) {
+          // PING 等事件没有 JSON 数据
+          continue;
+        }
+        if (event === "Message") {
+          if (chunk.usage) {
+            usage = chunk.usage;
+          }
+          if (!chunk.content) continue;
+          const { text, finishReason, stopSequence } = limiter.push(chunk.content);
+          if (text) {
+            answer += text;
+            yield { type: "delta", content: text };
+          }
+          if (finishReason) {
+            this.finished = true;
+            yield finish(finishReason, stopSequence, true);
+            return;
+          }
+        } else if (event === "Interrupt") {
+          this.finished = true;
+          const rest = limiter.flush();
+          // 问答节点的问题通常已在之前的 Message 事件中输出
+          const text = rest.text || (answer ? "" : `工作流在节点「${chunk.node_title || ""}」等待输入。`);
+          if (text) {
+            answer += text;
+            yield { type: "delta", content: text };
+          }
+          const interrupt = chunk.interrupt_data || {};
+          if (!request.ephemeral) {
+            await service.interrupts.remember(this.interruptContext, [...request.messages, { role: "assistant", content: answer }], {
+              workflow_id: this.pending ? this.pending.workflow_id : this.target.workflow_id,
+              event_id: interrupt.event_id,
+              interrupt_type: interrupt.type,
+              target: this.target.id,
+            });
+          }
+          yield finish("stop");
+          return;
+        } else if (event === "Error") {
+          throw new CozeApiError(chunk.error_message || "Coze 工作流执行失败。", { code: chunk.error_code });
+        } else if (event === "Done") {
+          break;
+        }
+      }
+      this.finished = true;
+      const rest = limiter.flush();
+      if (rest.text) {
+        answer += rest.text;
+        yield { type: "delta", content: rest.text };
+      }
+      yield finish(rest.finishReason || "stop", null, Boolean(rest.finishReason));
+    } catch (error) {
+      throw this.wrapError(error);
+    }
+  }
+
+  /**
+   * 读取全部事件，返回与 ChatRun.result() 相同格式的结果
+   */
+  async result() {
+    let content = "";
+    let finished = null;
+    for await (const event of this.events()) {
+      if (event.type === "delta") {
+        content += event.content;
+      } else if (event.type === "finish") {
+        finished = event;
+      }
+    }
+    return {
+      content,
+      reasoning: null,
+      followUps: null,
+      citations: null,
+      cards: [],
+      toolCalls: [],
+      finishReason: finished.finishReason,
+      stopSequence: finished.stopSequence,
+      usage: finished.usage,
+    };
+  }
+}
+
+/**
+ * 同时读取多个对话的流式事件（n > 1），按到达顺序返回 { index, event }。
+ * 任意一个对话出错时抛出错误，并关闭其余对话的事件流。
+ * @param {Array<ChatRun>} runs
+ * @returns {AsyncGenerator<{index: number, event: object}>}
+ */
+export async function* mergeEvents(runs) {
+  const iterators = runs.map((run) => run.events());
+  const next = (index) => iterators[index].next().then((result) => ({ index, result }));
+  const pending = new Map(iterators.map((iterator, index) => [index, next(index)]));
+  try {
+    while (pending.size > 0) {
+      const { index, result } = await Promise.race(pending.values());
+      if (result.done) {
+        pending.delete(index);
+        continue;
+      }
+      pending.set(index, next(index));
+      yield { index, event: result.value };
+    }
+  } finally {
+    for (const [index, promise] of pending) {
+      // 出错或客户端断开后其余事件流的错误无需处理
+      promise.catch(() => {});
+      iterators[index].return().catch(() => {});
+    }
+  }
+}
+
+function cancelChat(client) {
+  const chat = client && client.chat;
+  if (!chat || !chat.id) {
+    return;
+  }
+  client.chat = null;
+  client.cancelChat(chat.conversation_id, chat.id)
+    .then(() => logger.info("已取消 Coze 对话", { chat_id: chat.id }))
+    .catch((error) => logger.warn("取消 Coze 对话失败", { chat_id: chat.id, error: error.message }));
+}
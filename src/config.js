@@ -0,0 +1,220 @@
+import fs from "fs";
+import path from "path";
+import YAML from "yaml";
+import { EXTENSIONS } from "./extensions.js";
+import { validateSchema } from "./jsonschema.js";
+import { logger } from "./logger.js";
+import { normalizeRoute } from "./upstreams.js";
+
+// 路由配置：模型 -> 机器人或工作流。可以写在 CONFIG_FILE 指定的 JSON / YAML 文件中（修改后自动重新加载），
+// 也可以沿用 BOT_CONFIG 环境变量。加载时按 Schema 校验，错误信息指出出错的模型和字段。
+
+const TARGET_PROPERTIES = {
+  bot_id: { type: ["string", "integer"] },
+  workflow_id: { type: ["string", "integer"] },
+  token: { type: "string" },
+  api_base: { type: "string", minLength: 1 },
+  weight: { type: "number", exclusiveMinimum: 0 },
+};
+
+const TARGET_SCHEMA = { type: "object", properties: TARGET_PROPERTIES, additionalProperties: false };
+
+const TARGETS_SCHEMA = {
+  type: "array",
+  minItems: 1,
+  items: { type: ["string", "object"] },
+};
+
+const MODEL_SCHEMA = {
+  type: "object",
+  properties: {
+    ...TARGET_PROPERTIES,
+    targets: TARGETS_SCHEMA,
+    strategy: { enum: ["round_robin", "weighted"] },
+    extensions: { type: "array", items: { enum: EXTENSIONS } },
+    // 工作流中接收用户消息的输入参数名
+    input: { type: "string", minLength: 1 },
+    // 请求没有 user 字段时使用的 Coze user_id
+    user_id: { type: "string", minLength: 1 },
+    // 每次对话都传给机器人的 custom_variables
+    custom_variables: { type: "object", additionalProperties: { type: "string" } },
+    // 拼接在客户端系统提示词之前
+    system_prompt_prefix: { type: "string" },
+    aliases: { type: "array", items: { type: "string", minLength: 1 } },
+    // 开启响应缓存（需要设置 RESPONSE_CACHE）
+    cache: { type: "boolean" },
+  },
+  additionalProperties: false,
+};
+
+const CONFIG_SCHEMA = {
+  type: "object",
+  properties: {
+    // 以下四项未设置时分别使用 BOT_ID、DEFAULT_MODEL、COZE_API_BASE 和 UPSTREAM_STRATEGY
+    default_bot_id: { type: ["string", "integer"] },
+    default_model: { type: "string", minLength: 1 },
+    api_base: { type: "string", minLength: 1 },
+    strategy: { enum: ["round_robin", "weighted"] },
+    models: { type: "object" },
+  },
+  required: ["models"],
+  additionalProperties: false,
+};
+
+export class ConfigError extends Error {
+  /**
+   * @param {string} source - 配置来源（文件路径或 BOT_CONFIG）
+   * @param {Array<string>} errors - 错误信息
+   */
+  constructor(source, errors) {
+    super(`${source} 配置无效:\n${errors.map((error) => `  - ${error}`).join("\n")}`);
+    this.name = "ConfigError";
+    this.errors = errors;
+  }
+}
+
+function validateModel(name, value) {
+  const at = `$.models.${name}`;
+  if (typeof value === "string" || typeof value === "number") {
+    return [];
+  }
+  if (Array.isArray(value)) {
+    return [
+      ...validateSchema(value, TARGETS_SCHEMA, TARGETS_SCHEMA, at),
+      ...value.flatMap((target, index) => (typeof target === "object"
+        ? validateSchema(target, TARGET_SCHEMA, TARGET_SCHEMA, `${at}[${index}]`)
+        : [])),
+    ];
+  }
+  const errors = validateSchema(value, MODEL_SCHEMA, MODEL_SCHEMA, at);
+  if (errors.length === 0 && Array.isArray(value.targets)) {
+    value.targets.forEach((target, index) => {
+      if (typeof target === "object") {
+        errors.push(...validateSchema(target, TARGET_SCHEMA, TARGET_SCHEMA, `${at}.targets[${index}]`));
+      }
+    });
+  }
+  return errors;
+}
+
+/**
+ * 校验路由配置，返回所有错误
+ * @param {object} config - { models, default_bot_id, default_model, api_base, strategy }
+ * @returns {Array<string>}
+ */
+export function validateConfig(config) {
+  const errors = validateSchema(config, CONFIG_SCHEMA);
+  if (errors.length > 0) {
+    return errors;
+  }
+  // 别名 -> 模型名，检查别名是否重复或与模型名冲突
+  const names = new Map(Object.keys(config.models).map((name) => [name, name]));
+  for (const [name, value] of Object.entries(config.models)) {
+    const modelErrors = validateModel(name, value);
+    if (modelErrors.length === 0) {
+      try {
+        normalizeRoute(value, { apiBase: config.api_base || "api.coze.cn", strategy: "round_robin" });
+      } catch (error) {
+        modelErrors.push(`$.models.${name}: ${error.message}`);
+      }
+    }
+    errors.push(...modelErrors);
+    for (const alias of (value && value.aliases) || []) {
+      if (names.has(alias)) {
+        errors.push(`$.models.${name}.aliases: '${alias}' 与模型 '${names.get(alias)}' 重复`);
+      } else {
+        names.set(alias, name);
+      }
+    }
+  }
+  return errors;
+}
+
+/**
+ * 从 BOT_CONFIG 环境变量读取路由配置
+ * @returns {{models: object}}
+ * @throws {ConfigError}
+ */
+export function configFromEnv() {
+  let models = {};
+  if (process.env.BOT_CONFIG) {
+    try {
+      models = JSON.parse(process.env.BOT_CONFIG);
+    } catch (error) {
+      throw new ConfigError("BOT_CONFIG", [`不是合法的 JSON: ${error.message}`]);
+    }
+  }
+  const config = { models };
+  const errors = validateConfig(config);
+  if (errors.length > 0) {
+    throw new ConfigError("BOT_CONFIG", errors);
+  }
+  return config;
+}
+
+function parseFile(filePath, text) {
+  const extension = path.extname(filePath).toLowerCase();
+  if (extension === ".yaml" || extension === ".yml") {
+    try {
+      return YAML.parse(text);
+    } catch (error) {
+      throw new ConfigError(filePath, [`不是合法的 YAML: ${error.message}`]);
+    }
+  }
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    throw new ConfigError(filePath, [`不是合法的 JSON: ${error.message}`]);
+  }
+}
+
+/**
+ * 读取并校验配置文件，按扩展名识别 JSON（.json）或 YAML（.yaml / .yml）
+ * @param {string} filePath
+ * @returns {Promise<object>}
+ * @throws {ConfigError}
+ */
+export async function loadConfigFile(filePath) {
+  let text;
+  try {
+    text = await fs.promises.readFile(filePath, "utf8");
+  } catch (error) {
+    throw new ConfigError(filePath, [`无法读取文件: ${error.message}`]);
+  }
+  const config = parseFile(filePath, text);
+  const errors = validateConfig(config);
+  if (errors.length > 0) {
+    throw new ConfigError(filePath, errors);
+  }
+  return config;
+}
+
+/**
+ * 监视配置文件，修改后重新加载。新配置无效时记录错误并继续使用上一份有效配置。
+ * 监视的是所在目录，编辑器以替换文件的方式保存时也能收到通知。
+ * @param {string} filePath
+ * @param {function(object): void} onChange - 新配置校验通过后调用
+ * @returns {fs.FSWatcher}
+ */
+export function watchConfigFile(filePath, onChange) {
+  const fileName = path.basename(filePath);
+  let timer = null;
+  const reload = async () => {
+    try {
+      onChange(await loadConfigFile(filePath));
+      logger.info("已重新加载配置文件", { file: filePath });
+    } catch (error) {
+      logger.error("重新加载配置文件失败，继续使用上一份有效配置", { file: filePath, errors: error.errors || [error.message] });
+    }
+  };
+  const watcher = fs.watch(path.dirname(path.resolve(filePath)), (eventType, changed) => {
+    if (changed && changed !== fileName) {
+      return;
+    }
+    // 保存文件时通常会连续触发多次事件
+    clearTimeout(timer);
+    timer = setTimeout(reload, 200);
+  });
+  watcher.unref();
+  return watcher;
+}
@@ -0,0 +1,422 @@
+import fetch from "node-fetch";
+import FormData from "form-data";
+import { finished } from "stream";
+import { logger } from "./logger.js";
+import { upstreamDuration } from "./metrics.js";
+import { parseSSE } from "./sse.js";
+
+// Coze v3 对话接口和工作流接口的客户端：构造 additional_messages、解析流式事件、
+// 非流式模式下轮询对话状态直到完成。
+
+// 对话仍在进行中的状态，其余状态（completed、failed、requires_action、canceled）都是终态
+const PENDING_STATUSES = ["created", "in_progress"];
+// 可以安全重试的 Coze 错误码：请求频率超限、服务内部错误
+const RETRYABLE_CODES = [4013, 5000];
+// 会向客户端输出内容的流式事件，在此之前出现的错误都可以安全地重试
+const OUTPUT_EVENTS = [
+  "conversation.message.delta",
+  "conversation.chat.completed",
+  "conversation.chat.requires_action",
+];
+// 工作流流式接口中会向客户端输出内容的事件
+export const WORKFLOW_OUTPUT_EVENTS = ["Message", "Interrupt", "Done"];
+
+export class CozeApiError extends Error {
+  /**
+   * @param {string} message
+   * @param {object} [options]
+   * @param {number} [options.status] - 建议返回给客户端的 HTTP 状态码
+   * @param {number|string} [options.code] - Coze 返回的错误码
+   * @param {boolean} [options.retryable] - 是否可以安全地重试
+   */
+  constructor(message, { status = 502, code, retryable = RETRYABLE_CODES.includes(code) } = {}) {
+    super(message);
+    this.name = "CozeApiError";
+    this.status = status;
+    this.code = code;
+    this.retryable = retryable;
+  }
+}
+
+export class CozeClient {
+  /**
+   * @param {object} options
+   * @param {string} options.apiBase - Coze API 的域名，例如 api.coze.cn，也可以是带协议的地址，例如 http://127.0.0.1:8080
+   * @param {string} options.token - Coze API 的 Bearer Token
+   * @param {AbortSignal} [options.signal] - 中止所有请求（例如客户端断开连接时）
+   * @param {number} [options.connectTimeout] - 等待 Coze 响应头的超时时间（毫秒），0 表示不限制
+   */
+  constructor({ apiBase, token, signal = null, connectTimeout = 0 }) {
+    this.apiBase = apiBase;
+    this.token = token;
+    this.signal = signal;
+    this.connectTimeout = connectTimeout;
+    // 最近一次发起的对话 { id, conversation_id }，用于取消
+    this.chat = null;
+  }
+
+  url(path, query = {}) {
+    const params = new URLSearchParams();
+    for (const [key, value] of Object.entries(query)) {
+      if (value) {
+        params.set(key, value);
+      }
+    }
+    const search = params.toString();
+    // 不带协议时使用 https，带协议时原样使用（例如本地的模拟服务）
+    const origin = /^https?:\/\//.test(this.apiBase) ? this.apiBase : `https://${this.apiBase}`;
+    return `${origin}${path}${search ? `?${search}` : ""}`;
+  }
+
+  async fetch(method, path, { query, body, headers = {}, signal = this.signal } = {}) {
+    const controller = new AbortController();
+    const abort = () => controller.abort();
+    if (signal) {
+      if (signal.aborted) {
+        controller.abort();
+      }
+      signal.addEventListener("abort", abort, { once: true });
+    }
+    // 调用方的 signal 在整个对话期间都有效（非流式对话会多次轮询），每个请求结束后都要移除监听，
+    // 否则监听器不断累积，已结束请求的 controller 也无法释放
+    const release = () => signal && signal.removeEventListener("abort", abort);
+    // 连接超时只限制到收到响应头为止，之后的响应体由调用方的 signal 控制
+    let timedOut = false;
+    const timer = this.connectTimeout
+      ? setTimeout(() => {
+        timedOut = true;
+        controller.abort();
+      }, this.connectTimeout)
+      : null;
+    const started = process.hrtime.bigint();
+    const observe = (status) => upstreamDuration.observe(
+      { api_base: this.apiBase, path, status },
+      Number(process.hrtime.bigint() - started) / 1e9
+    );
+    try {
+      const response = await fetch(this.url(path, query), {
+        method,
+        headers: {
+          ...(body && !(body instanceof FormData) ? { "Content-Type": "application/json" } : {}),
+          ...headers,
+          Authorization: `Bearer ${this.token}`,
+        },
+        body: body instanceof FormData ? body : body && JSON.stringify(body),
+        signal: controller.signal,
+      });
+      observe(response.status);
+      // 响应体（例如流式对话的事件流）读完或中止之前，仍然由调用方的 signal 中止
+      if (response.body) {
+        finished(response.body, release);
+      } else {
+        release();
+      }
+      return response;
+    } catch (error) {
+      release();
+      observe(timedOut ? "timeout" : "error");
+      if (timedOut) {
+        throw new CozeApiError(`连接 Coze 超时（${this.connectTimeout / 1000} 秒）。`, {
+          status: 504,
+          code: "connect_timeout",
+          retryable: true,
+        });
+      }
+      throw error;
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /**
+   * 发起请求并返回响应中的 data 字段，Coze 返回错误码时抛出 CozeApiError
+   */
+  async request(method, path, options) {
+    const response = await this.fetch(method, path, options);
+    return readResult(response);
+  }
+
+  /**
+   * 发起对话（非流式），返回 Chat 对象，此时对话通常仍在进行中
+   * @param {object} body - /v3/chat 的请求体
+   * @param {string} [conversationId]
+   * @returns {Promise<object>}
+   */
+  async createChat(body, conversationId) {
+    this.chat = await this.request("POST", "/v3/chat", {
+      query: { conversation_id: conversationId },
+      body: { ...body, stream: false },
+    });
+    return this.chat;
+  }
+
+  /**
+   * 发起流式对话
+   * @returns {Promise<AsyncGenerator<{event: string, data: string}>>}
+   */
+  async streamChat(body, conversationId) {
+    const response = await this.fetch("POST", "/v3/chat", {
+      query: { conversation_id: conversationId },
+      body: { ...body, stream: true },
+    });
+    return this.trackChat(await readStream(response));
+  }
+
+  /**
+   * 提交端插件的执行结果，恢复 requires_action 状态的对话。
+   * stream 为 true 时返回事件流，否则返回 Chat 对象。
+   */
+  async submitToolOutputs(conversationId, chatId, toolOutputs, stream) {
+    this.chat = { id: chatId, conversation_id: conversationId };
+    const response = await this.fetch("POST", "/v3/chat/submit_tool_outputs", {
+      query: { conversation_id: conversationId, chat_id: chatId },
+      body: { tool_outputs: toolOutputs, stream },
+    });
+    return stream ? readStream(response) : readResult(response);
+  }
+
+  /**
+   * 取消进行中的对话。不受 signal 影响，客户端断开后仍然可以调用。
+   */
+  async cancelChat(conversationId, chatId) {
+    return this.request("POST", "/v3/chat/cancel", {
+      body: { conversation_id: conversationId, chat_id: chatId },
+      signal: null,
+    });
+  }
+
+  /**
+   * 从事件流的 conversation.chat.created 事件中记录对话 ID
+   */
+  async* trackChat(events) {
+    for await (const item of events) {
+      if (item.event === "conversation.chat.created") {
+        try {
+          const chat = JSON.parse(item.data);
+          this.chat = { id: chat.id, conversation_id: chat.conversation_id };
+        } catch (error) {
+          // 无法解析时无法取消该对话，不影响转发
+        }
+      }
+      yield item;
+    }
+  }
+
+  async retrieveChat(conversationId, chatId) {
+    return this.request("GET", "/v3/chat/retrieve", {
+      query: { conversation_id: conversationId, chat_id: chatId },
+    });
+  }
+
+  async listMessages(conversationId, chatId) {
+    return this.request("GET", "/v3/chat/message/list", {
+      query: { conversation_id: conversationId, chat_id: chatId },
+    });
+  }
+
+  /**
+   * 轮询对话状态，直到对话结束或超时
+   * @param {object} chat - createChat 返回的 Chat 对象
+   * @param {object} options
+   * @param {number} options.timeout - 超时时间（毫秒）
+   * @param {number} options.interval - 轮询间隔（毫秒）
+   * @returns {Promise<object>} - 终态的 Chat 对象
+   */
+  async waitForChat(chat, { timeout, interval }) {
+    const deadline = Date.now() + timeout;
+    while (PENDING_STATUSES.includes(chat.status)) {
+      if (Date.now() + interval > deadline) {
+        throw new CozeApiError(`等待 Coze 对话完成超时（${timeout / 1000} 秒）。`, {
+          status: 504,
+          code: "timeout",
+        });
+      }
+      await new Promise((resolve) => setTimeout(resolve, interval));
+      chat = await this.retrieveChat(chat.conversation_id, chat.id);
+    }
+    if (chat.status === "failed") {
+      const lastError = chat.last_error || {};
+      throw new CozeApiError(lastError.msg || "Coze 对话失败。", { code: lastError.code });
+    }
+    return chat;
+  }
+
+  /**
+   * 上传文件，返回 file_id
+   * @param {Buffer} buffer - 文件内容
+   * @param {string} filename
+   * @param {string} contentType
+   * @returns {Promise<string>}
+   */
+  async uploadFile(buffer, filename, contentType) {
+    const form = new FormData();
+    form.append("file", buffer, { filename, contentType });
+    const file = await this.request("POST", "/v1/files/upload", { body: form });
+    logger.debug("文件已上传到 Coze", { file_id: file.id });
+    return file.id;
+  }
+
+  /**
+   * 以流式方式执行工作流
+   * @param {object} body - /v1/workflow/stream_run 的请求体：{ workflow_id, parameters, bot_id }
+   * @returns {Promise<AsyncGenerator<{event: string, data: string}>>} - Message、Interrupt、Error、Done 等事件
+   */
+  async streamWorkflow(body) {
+    const response = await this.fetch("POST", "/v1/workflow/stream_run", { body });
+    return readStream(response);
+  }
+
+  /**
+   * 回答问答节点等中断，以流式方式继续执行工作流
+   * @param {object} body - /v1/workflow/stream_resume 的请求体：{ workflow_id, event_id, interrupt_type, resume_data }
+   * @returns {Promise<AsyncGenerator<{event: string, data: string}>>}
+   */
+  async resumeWorkflow(body) {
+    const response = await this.fetch("POST", "/v1/workflow/stream_resume", { body });
+    return readStream(response);
+  }
+
+  async getBotInfo(botId) {
+    return this.request("GET", "/v1/bot/get_online_info", { query: { bot_id: botId } });
+  }
+}
+
+async function readResult(response) {
+  let result;
+  try {
+    result = await response.json();
+  } catch (error) {
+    throw new CozeApiError(`无法解析 Coze 的响应（HTTP ${response.status}）。`, {
+      retryable: response.status === 429 || response.status >= 500,
+    });
+  }
+  if (!response.ok || result.code !== 0) {
+    throw new CozeApiError(result.msg || `Coze 返回了 HTTP ${response.status}。`, {
+      status: response.status >= 500 || response.ok ? 502 : response.status,
+      code: result.code,
+      retryable: response.status === 429 || response.status >= 500 || RETRYABLE_CODES.includes(result.code),
+    });
+  }
+  return result.data;
+}
+
+async function readStream(response) {
+  const contentType = response.headers.get("content-type") || "";
+  // 请求出错时 Coze 返回的是普通 JSON 而不是事件流
+  if (!response.ok || contentType.includes("application/json")) {
+    await readResult(response);
+    throw new CozeApiError("来自 Coze API 的意外响应。");
+  }
+  return parseSSE(response.body);
+}
+
+/**
+ * 读取事件流，直到第一个会向客户端输出内容的事件。
+ * 在此之前出现的 error 或 conversation.chat.failed 事件以 CozeApiError 抛出，此时还没有向客户端写入任何内容，可以安全地重试。
+ * @param {AsyncGenerator<{event: string, data: string}>} events
+ * @param {object} [options]
+ * @param {number} [options.timeout] - 等待第一个输出事件的超时时间（毫秒），0 表示不限制
+ * @param {Array<string>} [options.outputEvents] - 输出事件，工作流使用 WORKFLOW_OUTPUT_EVENTS
+ * @param {AbortController} [options.abortController] - 超时时中止，关闭仍在读取的事件流
+ * @returns {Promise<AsyncGenerator<{event: string, data: string}>>} - 包含已读取事件的完整事件流
+ */
+export async function primeStream(events, { timeout = 0, outputEvents = OUTPUT_EVENTS, abortController = null } = {}) {
+  const buffered = [];
+  const deadline = timeout ? Date.now() + timeout : 0;
+  for (;;) {
+    const { value, done } = await nextEvent(events, deadline, abortController);
+    if (done) {
+      break;
+    }
+    if (value.event === "error" || value.event === "conversation.chat.failed" || value.event === "Error") {
+      let payload = {};
+      try {
+        payload = JSON.parse(value.data);
+      } catch (error) {
+        // 无法解析时使用默认错误信息
+      }
+      // 工作流的 Error 事件使用 error_code 和 error_message 字段
+      const lastError = payload.last_error || payload;
+      throw new CozeApiError(lastError.msg || lastError.error_message || "Coze 对话失败。", {
+        code: lastError.code !== undefined ? lastError.code : lastError.error_code,
+      });
+    }
+    buffered.push(value);
+    if (outputEvents.includes(value.event)) {
+      break;
+    }
+  }
+  return (async function* () {
+    yield* buffered;
+    yield* events;
+  })();
+}
+
+// 带截止时间读取下一个事件，超时抛出 CozeApiError，并中止 abortController 关闭上游的事件流
+async function nextEvent(events, deadline, abortController) {
+  if (!deadline) {
+    return events.next();
+  }
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => {
+      // 先以超时结束，中止导致的 AbortError 不会再作为结果
+      reject(new CozeApiError("等待 Coze 返回第一个 token 超时。", { status: 504, code: "first_token_timeout" }));
+      if (abortController) {
+        abortController.abort();
+      }
+    }, Math.max(0, deadline - Date.now()));
+  });
+  try {
+    return await Promise.race([events.next(), timeout]);
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * 将 OpenAI 格式的消息转换为 Coze v3 的 additional_messages。
+ * 包含图片或文件的消息（任意一轮）会上传文件，并以 object_string 格式发送。
+ * tool 消息和只包含 tool_calls 的助手消息由 submit_tool_outputs 处理，这里会被跳过。
+ * @param {Array<object>} messages - OpenAI 格式的消息
+ * @param {function(object): Promise<object|null>} resolvePart - 上传内容块中的图片或文件，
+ *   返回 Coze 的 { type, file_id } 对象，不是图片或文件时返回 null
+ * @returns {Promise<Array<object>>}
+ */
+export async function toAdditionalMessages(messages, resolvePart) {
+  const additionalMessages = [];
+  for (const message of messages) {
+    if (message.role === "tool" || message.content === null || message.content === undefined) {
+      continue;
+    }
+    const type = message.role === "assistant" ? "answer" : "question";
+    if (typeof message.content === "string") {
+      additionalMessages.push({ role: message.role, content: message.content, content_type: "text", type });
+      continue;
+    }
+    if (message.role === "assistant") {
+      // Coze 只接受用户消息使用 object_string，助手消息只保留文本
+      const text = message.content.filter((part) => part.type === "text").map((part) => part.text).join("");
+      additionalMessages.push({ role: message.role, content: text, content_type: "text", type });
+      continue;
+    }
+    const objects = [];
+    for (const part of message.content) {
+      if (part.type === "text" || part.type === "input_text") {
+        objects.push({ type: "text", text: part.text });
+        continue;
+      }
+      const object = await resolvePart(part);
+      if (object) {
+        objects.push(object);
+      }
+    }
+    additionalMessages.push({
+      role: message.role,
+      content: JSON.stringify(objects),
+      content_type: "object_string",
+      type,
+    });
+  }
+  return additionalMessages;
+}
@@ -0,0 +1,86 @@
+// OpenAI 风格的错误响应: { error: { message, type, param, code } }
+// Anthropic 接口（/v1/messages）使用 Anthropic 风格: { type: "error", error: { type, message } }
+
+// HTTP 状态码对应的 Anthropic 错误类型
+const ANTHROPIC_ERROR_TYPES = {
+  400: "invalid_request_error",
+  401: "authentication_error",
+  403: "permission_error",
+  404: "not_found_error",
+  413: "request_too_large",
+  429: "rate_limit_error",
+  504: "timeout_error",
+};
+
+/**
+ * 请求无法处理时抛出的错误，携带 HTTP 状态码和 OpenAI 风格的错误信息
+ */
+export class ChatError extends Error {
+  /**
+   * @param {string} message
+   * @param {number} status - HTTP 状态码
+   * @param {object} [options]
+   * @param {string} [options.type] - OpenAI 风格的错误类型
+   * @param {string|null} [options.param] - 出错的参数
+   * @param {string|null} [options.code] - 错误码
+   */
+  constructor(message, status, { type = "invalid_request_error", param = null, code = null } = {}) {
+    super(message);
+    this.name = "ChatError";
+    this.status = status;
+    this.type = type;
+    this.param = param;
+    this.code = code;
+  }
+}
+
+/**
+ * 构造 OpenAI 风格的错误对象，流式响应中也以同样的格式发送错误
+ * @param {string} message - 错误信息
+ * @param {object} [options]
+ * @param {string} [options.type] - 错误类型，默认 invalid_request_error
+ * @param {string|null} [options.param] - 出错的参数
+ * @param {string|null} [options.code] - 错误码
+ * @returns {{error: {message: string, type: string, param: string|null, code: string|null}}}
+ */
+export function errorBody(message, { type = "invalid_request_error", param = null, code = null } = {}) {
+  return {
+    error: {
+      message,
+      type,
+      param,
+      code,
+    },
+  };
+}
+
+/**
+ * 构造 Anthropic 风格的错误对象
+ * @param {number} status - HTTP 状态码
+ * @param {string} message - 错误信息
+ * @returns {{type: string, error: {type: string, message: string}}}
+ */
+export function anthropicErrorBody(status, message) {
+  return {
+    type: "error",
+    error: {
+      type: ANTHROPIC_ERROR_TYPES[status] || (status >= 500 ? "api_error" : "invalid_request_error"),
+      message,
+    },
+  };
+}
+
+/**
+ * 发送错误响应。res.locals.errorFormat 为 "anthropic" 时（/v1/messages）使用 Anthropic 风格，
+ * 认证和限流中间件的错误因此也与接口的格式一致；否则使用 OpenAI 风格。
+ * @param {import("express").Response} res
+ * @param {number} status - HTTP 状态码
+ * @param {string} message - 错误信息
+ * @param {object} [options] - 见 errorBody
+ */
+export function sendError(res, status, message, options) {
+  if (res.locals && res.locals.errorFormat === "anthropic") {
+    return res.status(status).json(anthropicErrorBody(status, message));
+  }
+  return res.status(status).json(errorBody(message, options));
+}
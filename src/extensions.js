@@ -0,0 +1,45 @@
+// 可选的扩展字段：Coze 推荐的后续问题（follow_ups）和知识库引用（citations）。
+// 客户端通过请求中的 coze_extensions 开启，也可以在 BOT_CONFIG 中按模型开启。
+
+export const EXTENSIONS = ["follow_ups", "citations"];
+
+/**
+ * 合并请求和模型配置中开启的扩展
+ * @param {Array<string>|boolean|undefined} requested - 请求中的 coze_extensions，true 表示全部开启
+ * @param {Array<string>} configured - 模型配置中的 extensions
+ * @returns {Set<string>}
+ */
+export function resolveExtensions(requested, configured = []) {
+  const names = requested === true ? EXTENSIONS : [...(Array.isArray(requested) ? requested : []), ...configured];
+  return new Set(names.filter((name) => EXTENSIONS.includes(name)));
+}
+
+/**
+ * 从 Coze 的 verbose 消息中解析知识库召回的片段，不是知识库召回时返回空数组
+ * @param {string} content - verbose 消息的内容
+ * @returns {Array<{title: string|null, url: string|null, content: string, score: number|null}>}
+ */
+export function parseCitations(content) {
+  let verbose;
+  let data;
+  try {
+    verbose = JSON.parse(content);
+    if (verbose.msg_type !== "knowledge_recall") {
+      return [];
+    }
+    data = typeof verbose.data === "string" ? JSON.parse(verbose.data) : verbose.data;
+  } catch (error) {
+    return [];
+  }
+  return ((data && data.chunks) || []).map((chunk) => {
+    const meta = chunk.meta || {};
+    const link = meta.link || {};
+    const document = meta.document || {};
+    return {
+      title: link.title || document.name || null,
+      url: link.url || null,
+      content: chunk.slice || "",
+      score: chunk.score === undefined ? null : chunk.score,
+    };
+  });
+}
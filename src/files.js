@@ -0,0 +1,400 @@
+import crypto from "crypto";
+import express from "express";
+import fs from "fs";
+import path from "path";
+import { describeError } from "./chat.js";
+import { CozeClient } from "./coze.js";
+import { sendError } from "./errors.js";
+import { callerOf, logger } from "./logger.js";
+import { UploadError, Uploader, mimeTypeOf } from "./uploads.js";
+
+// OpenAI Files API：上传的文件转发到 Coze /v1/files/upload，返回 OpenAI 的 file 对象。
+// Coze 没有列出或删除文件的接口，文件的元数据（包括 Coze 的 file_id）保存在本地，
+// 查询、列表和删除都只操作本地记录。文件按调用方隔离，对话消息中可以通过 file_id 引用。
+// 批处理的输入文件（purpose 为 batch）和结果文件（batch_output）不上传到 Coze，内容保存在本地，可以下载。
+
+const PURPOSES = ["assistants", "batch", "fine-tune", "vision", "user_data", "evals"];
+// 内容保存在本地的文件用途
+const LOCAL_PURPOSES = ["batch", "batch_output"];
+// multipart 请求体中除文件内容以外的部分（分隔符、字段）允许的大小
+const MULTIPART_OVERHEAD = 1024 * 1024;
+const MAX_LIST_LIMIT = 10000;
+
+/**
+ * 根据环境变量创建文件元数据存储
+ * @returns {FileRegistry}
+ */
+export function fileRegistryFromEnv() {
+  switch (process.env.FILES_STORE || "memory") {
+    case "file":
+      return new FileRegistry({
+        filePath: process.env.FILES_FILE || "data/files.json",
+        contentDir: process.env.FILES_DIR || "data/files",
+      });
+    case "memory":
+      return new FileRegistry();
+    default:
+      throw new Error(`未知的 FILES_STORE: ${process.env.FILES_STORE}`);
+  }
+}
+
+/**
+ * 已上传文件的元数据：{ id, bytes, created_at, filename, purpose, mime_type, coze_file_id, api_base, coze_scope, owner }。
+ * coze_scope 是上传时 Coze 域名和 token 的哈希（见 Uploader），只有同一个 Coze 账号才能引用这个 coze_file_id。
+ * 指定 filePath 时以 JSON 形式保存在本地文件中，重启后仍然有效。内容保存在本地的文件 coze_file_id 为 null。
+ */
+export class FileRegistry {
+  /**
+   * @param {object} [options]
+   * @param {string|null} [options.filePath] - 保存元数据的文件，不指定时只保存在内存中
+   * @param {string|null} [options.contentDir] - 保存本地文件内容的目录，不指定时内容保存在内存中
+   */
+  constructor({ filePath = null, contentDir = null } = {}) {
+    this.filePath = filePath;
+    this.contentDir = contentDir;
+    // id -> 元数据，按上传顺序排列
+    this.entries = new Map();
+    // 没有 contentDir 时的本地文件内容：id -> Buffer
+    this.contents = new Map();
+    if (filePath && fs.existsSync(filePath)) {
+      try {
+        this.entries = new Map(JSON.parse(fs.readFileSync(filePath, "utf8")).map((file) => [file.id, file]));
+      } catch (error) {
+        logger.error("读取文件元数据失败，将使用空列表", { file: filePath, error: error.message });
+      }
+    }
+  }
+
+  async add(file) {
+    this.entries.set(file.id, file);
+    await this.flush();
+    return file;
+  }
+
+  /**
+   * 创建内容保存在本地的文件，例如批处理的输入和结果
+   * @param {object} file
+   * @param {string} file.owner - 调用方
+   * @param {string} file.filename
+   * @param {string} file.purpose
+   * @param {Buffer} file.data - 文件内容
+   * @param {string} [file.mimeType]
+   * @returns {Promise<object>} - 文件元数据
+   */
+  async create({ owner, filename, purpose, data, mimeType = "application/jsonl" }) {
+    const id = newFileId();
+    if (this.contentDir) {
+      await fs.promises.mkdir(this.contentDir, { recursive: true });
+      await fs.promises.writeFile(path.join(this.contentDir, id), data);
+    } else {
+      this.contents.set(id, data);
+    }
+    return this.add({
+      id,
+      bytes: data.length,
+      created_at: Math.floor(Date.now() / 1000),
+      filename,
+      purpose,
+      mime_type: mimeType,
+      coze_file_id: null,
+      api_base: null,
+      coze_scope: null,
+      owner,
+    });
+  }
+
+  /**
+   * 读取本地文件的内容，内容保存在 Coze 或已丢失时返回 null
+   * @param {string} id
+   * @returns {Promise<Buffer|null>}
+   */
+  async readContent(id) {
+    if (!this.contentDir) {
+      return this.contents.get(id) || null;
+    }
+    try {
+      return await fs.promises.readFile(path.join(this.contentDir, id));
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * @param {string} id
+   * @param {string} owner - 调用方，只能访问自己上传的文件
+   * @returns {Promise<object|null>}
+   */
+  async get(id, owner) {
+    const file = this.entries.get(id);
+    return file && file.owner === owner ? file : null;
+  }
+
+  /**
+   * @param {string} owner
+   * @param {object} [options]
+   * @param {string} [options.purpose] - 只列出指定用途的文件
+   * @returns {Promise<Array<object>>} - 按上传时间从早到晚排列
+   */
+  async list(owner, { purpose } = {}) {
+    return [...this.entries.values()].filter((file) => file.owner === owner && (!purpose || file.purpose === purpose));
+  }
+
+  async delete(id) {
+    this.entries.delete(id);
+    this.contents.delete(id);
+    if (this.contentDir) {
+      await fs.promises.rm(path.join(this.contentDir, id), { force: true });
+    }
+    await this.flush();
+  }
+
+  async flush() {
+    if (!this.filePath) {
+      return;
+    }
+    await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+    await fs.promises.writeFile(this.filePath, JSON.stringify([...this.entries.values()]));
+  }
+}
+
+function newFileId() {
+  return `file-${crypto.randomBytes(12).toString("hex")}`;
+}
+
+/**
+ * 转换为 OpenAI 的 file 对象，去掉内部字段
+ * @param {object} file - FileRegistry 中的元数据
+ * @returns {object}
+ */
+export function toFileObject(file) {
+  return {
+    id: file.id,
+    object: "file",
+    bytes: file.bytes,
+    created_at: file.created_at,
+    filename: file.filename,
+    purpose: file.purpose,
+    status: "processed",
+  };
+}
+
+/**
+ * 解析 multipart/form-data 请求体
+ * @param {Buffer} body
+ * @param {string} contentType - Content-Type 请求头，包含 boundary
+ * @returns {{fields: object, files: object}} - 文件为 { filename, contentType, data }
+ */
+function parseMultipart(body, contentType) {
+  const match = /boundary=(?:"([^"]+)"|([^;]+))/i.exec(contentType || "");
+  if (!match) {
+    throw new UploadError("multipart 请求缺少 boundary。");
+  }
+  const delimiter = Buffer.from(`--${match[1] || match[2]}`);
+  const fields = {};
+  const files = {};
+  let start = body.indexOf(delimiter);
+  while (start !== -1) {
+    start += delimiter.length;
+    // 结束分隔符为 --boundary--
+    if (body.subarray(start, start + 2).toString() === "--") {
+      break;
+    }
+    const end = body.indexOf(delimiter, start);
+    if (end === -1) {
+      throw new UploadError("multipart 请求体不完整。");
+    }
+    // 每个部分以 CRLF 开头、以 CRLF 结尾，头部和内容之间是空行
+    const part = body.subarray(start + 2, end - 2);
+    const headerEnd = part.indexOf("\r\n\r\n");
+    if (headerEnd !== -1) {
+      const headers = part.subarray(0, headerEnd).toString("utf8");
+      const data = part.subarray(headerEnd + 4);
+      const name = /name="([^"]*)"/i.exec(headers);
+      const filename = /filename="([^"]*)"/i.exec(headers);
+      const type = /^content-type:\s*([^\r\n;]+)/im.exec(headers);
+      if (name && filename) {
+        files[name[1]] = { filename: filename[1], contentType: type ? type[1].trim().toLowerCase() : null, data };
+      } else if (name) {
+        fields[name[1]] = data.toString("utf8");
+      }
+    }
+    start = end;
+  }
+  return { fields, files };
+}
+
+function sendFailure(res, error) {
+  const failure = describeError(error);
+  return sendError(res, failure.status, failure.message, failure);
+}
+
+// 处理函数中未预料的错误（例如写入元数据或文件内容失败）返回错误响应，而不是让请求一直挂起
+function catchErrors(handler) {
+  return async (req, res) => {
+    try {
+      await handler(req, res);
+    } catch (error) {
+      logger.error("文件接口出错", { path: req.path, error });
+      if (!res.headersSent) {
+        sendFailure(res, error);
+      }
+    }
+  };
+}
+
+/**
+ * 创建 /v1/files 接口的处理函数，需要放在认证中间件之后
+ * @param {object} options
+ * @param {FileRegistry} options.registry - 文件元数据
+ * @param {object} options.store - 缓存 file_id 的存储，与消息中的上传共用
+ * @param {object} options.uploadOptions - 见 uploadOptionsFromEnv
+ * @param {() => string} options.apiBase - 上传使用的 Coze 域名（默认路由的 api_base）
+ * @param {number} options.connectTimeout - 连接 Coze 的超时时间（毫秒）
+ * @param {number} options.maxLocalBytes - 批处理输入文件的最大字节数
+ * @returns {{upload: Array<import("express").RequestHandler>, list: import("express").RequestHandler, retrieve: import("express").RequestHandler, content: import("express").RequestHandler, remove: import("express").RequestHandler}}
+ */
+export function createFilesHandlers({ registry, store, uploadOptions, apiBase, connectTimeout, maxLocalBytes }) {
+  const maxBytes = Math.max(uploadOptions.maxBytes, maxLocalBytes);
+  const parseBody = express.raw({ type: "multipart/form-data", limit: maxBytes + MULTIPART_OVERHEAD });
+
+  const readBody = (req, res, next) => {
+    parseBody(req, res, (error) => {
+      if (error) {
+        return error.type === "entity.too.large"
+          ? sendError(res, 413, `文件大小超过限制（${maxBytes} 字节）。`, { param: "file" })
+          : sendError(res, error.status || 400, `无法读取请求体: ${error.message}`);
+      }
+      next();
+    });
+  };
+
+  const upload = async (req, res) => {
+    if (!Buffer.isBuffer(req.body)) {
+      return sendError(res, 400, "请使用 multipart/form-data 上传文件。");
+    }
+    let fields;
+    let files;
+    try {
+      ({ fields, files } = parseMultipart(req.body, req.get("content-type")));
+    } catch (error) {
+      return sendError(res, 400, error.message);
+    }
+    if (!PURPOSES.includes(fields.purpose)) {
+      return sendError(res, 400, `purpose 必须是以下之一: ${PURPOSES.join(", ")}`, { param: "purpose" });
+    }
+    const file = files.file;
+    if (!file) {
+      return sendError(res, 400, "缺少 file 字段。", { param: "file" });
+    }
+    const filename = path.basename(file.filename) || "upload";
+    const owner = callerOf(req.auth);
+    if (LOCAL_PURPOSES.includes(fields.purpose)) {
+      if (file.data.length > maxLocalBytes) {
+        return sendError(res, 413, `文件大小超过限制（${maxLocalBytes} 字节）。`, { param: "file" });
+      }
+      return res.json(toFileObject(await registry.create({ owner, filename, purpose: fields.purpose, data: file.data })));
+    }
+    const mimeType = !file.contentType || file.contentType === "application/octet-stream"
+      ? mimeTypeOf(filename) || "application/octet-stream"
+      : file.contentType;
+    const client = new CozeClient({ apiBase: apiBase(), token: req.auth.cozeToken, connectTimeout });
+    const uploader = new Uploader(client, store, uploadOptions);
+    let cozeFileId;
+    try {
+      uploader.checkType(mimeType);
+      uploader.checkSize(file.data.length);
+      cozeFileId = await uploader.upload(file.data, mimeType, filename);
+    } catch (error) {
+      const failure = describeError(error);
+      return sendError(res, failure.status, failure.message, { ...failure, param: "file" });
+    }
+    const record = await registry.add({
+      id: newFileId(),
+      bytes: file.data.length,
+      created_at: Math.floor(Date.now() / 1000),
+      filename,
+      purpose: fields.purpose,
+      mime_type: mimeType,
+      coze_file_id: cozeFileId,
+      api_base: client.apiBase,
+      coze_scope: uploader.scope,
+      owner,
+    });
+    res.json(toFileObject(record));
+  };
+
+  const list = async (req, res) => {
+    const limit = req.query.limit === undefined ? MAX_LIST_LIMIT : parseInt(req.query.limit, 10);
+    if (!(limit >= 1 && limit <= MAX_LIST_LIMIT)) {
+      return sendError(res, 400, `limit 必须在 1 到 ${MAX_LIST_LIMIT} 之间。`, { param: "limit" });
+    }
+    const order = req.query.order || "desc";
+    if (order !== "asc" && order !== "desc") {
+      return sendError(res, 400, "order 必须是 asc 或 desc。", { param: "order" });
+    }
+    let files = await registry.list(callerOf(req.auth), { purpose: req.query.purpose });
+    if (order === "desc") {
+      files = files.reverse();
+    }
+    if (req.query.after) {
+      const index = files.findIndex((file) => file.id === req.query.after);
+      files = index === -1 ? [] : files.slice(index + 1);
+    }
+    const data = files.slice(0, limit).map(toFileObject);
+    res.json({
+      object: "list",
+      data,
+      has_more: files.length > limit,
+      first_id: data.length > 0 ? data[0].id : null,
+      last_id: data.length > 0 ? data[data.length - 1].id : null,
+    });
+  };
+
+  const find = async (req, res) => {
+    const file = await registry.get(req.params.id, callerOf(req.auth));
+    if (!file) {
+      sendError(res, 404, `文件 '${req.params.id}' 不存在。`, { param: "id", code: "file_not_found" });
+    }
+    return file;
+  };
+
+  const retrieve = async (req, res) => {
+    const file = await find(req, res);
+    if (file) {
+      res.json(toFileObject(file));
+    }
+  };
+
+  // 只有内容保存在本地的文件可以下载
+  const content = async (req, res) => {
+    const file = await find(req, res);
+    if (!file) {
+      return;
+    }
+    if (file.coze_file_id) {
+      return sendError(res, 400, `文件 '${file.id}' 的内容保存在 Coze，无法下载。`, { param: "id" });
+    }
+    const data = await registry.readContent(file.id);
+    if (!data) {
+      return sendError(res, 404, `文件 '${file.id}' 的内容已丢失。`, { param: "id", code: "file_not_found" });
+    }
+    res.type(file.mime_type).send(data);
+  };
+
+  // Coze 没有删除文件的接口，只删除本地记录，之后的对话不能再引用这个文件
+  const remove = async (req, res) => {
+    const file = await find(req, res);
+    if (file) {
+      await registry.delete(file.id);
+      res.json({ id: file.id, object: "file", deleted: true });
+    }
+  };
+
+  return {
+    upload: [readBody, catchErrors(upload)],
+    list: catchErrors(list),
+    retrieve: catchErrors(retrieve),
+    content: catchErrors(content),
+    remove: catchErrors(remove),
+  };
+}
@@ -0,0 +1,65 @@
+import { CozeClient } from "./coze.js";
+
+// 就绪检查（/readyz）：路由配置已加载，开启上游探测时所有 Coze 域名都可以连接。
+// 上游探测的结果缓存一段时间，避免频繁的探测请求打到 Coze。
+
+export class ReadinessCheck {
+  /**
+   * @param {object} options
+   * @param {import("./upstreams.js").ModelRouter} options.router
+   * @param {boolean} options.probeUpstream - 是否探测上游 Coze API 能否连接
+   * @param {number} options.timeout - 探测的超时时间（毫秒）
+   * @param {number} options.cacheTtl - 探测结果的缓存时长（毫秒）
+   */
+  constructor({ router, probeUpstream, timeout, cacheTtl }) {
+    this.router = router;
+    this.probeUpstream = probeUpstream;
+    this.timeout = timeout;
+    this.cacheTtl = cacheTtl;
+    // api_base -> { result: { ok, error }, checkedAt }
+    this.probes = new Map();
+  }
+
+  /**
+   * 探测一个 Coze 域名：收到任何 HTTP 响应（包括未认证的 401）都说明可以连接
+   * @param {string} apiBase
+   * @returns {Promise<{ok: boolean, error: string|null}>}
+   */
+  async probe(apiBase) {
+    const cached = this.probes.get(apiBase);
+    if (cached && Date.now() - cached.checkedAt < this.cacheTtl) {
+      return cached.result;
+    }
+    let result;
+    try {
+      const response = await new CozeClient({ apiBase, token: "", connectTimeout: this.timeout })
+        .fetch("GET", "/v1/bot/get_online_info");
+      // 只需要响应头，丢弃响应体
+      response.body.resume();
+      result = { ok: response.status < 500, error: response.status < 500 ? null : `HTTP ${response.status}` };
+    } catch (error) {
+      result = { ok: false, error: error.message };
+    }
+    this.probes.set(apiBase, { result, checkedAt: Date.now() });
+    return result;
+  }
+
+  /**
+   * @returns {Promise<{ready: boolean, checks: object}>}
+   */
+  async check() {
+    const routes = this.router.list();
+    const checks = {
+      config: routes.length > 0
+        ? { ok: true, models: routes.length }
+        : { ok: false, error: "没有可用的模型，请设置 BOT_ID、BOT_CONFIG 或 CONFIG_FILE。" },
+    };
+    if (this.probeUpstream) {
+      const apiBases = [...new Set(routes.flatMap((route) => route.targets.map((target) => target.api_base)))];
+      const results = await Promise.all(apiBases.map((apiBase) => this.probe(apiBase)));
+      checks.upstream = Object.fromEntries(apiBases.map((apiBase, index) => [apiBase, results[index]]));
+    }
+    const ready = checks.config.ok && Object.values(checks.upstream || {}).every((result) => result.ok);
+    return { ready, checks };
+  }
+}
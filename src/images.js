@@ -0,0 +1,171 @@
+import { cancelOnClose, describeError } from "./chat.js";
+import { ChatError, sendError } from "./errors.js";
+import { Uploader } from "./uploads.js";
+import { sumUsage } from "./usage.js";
+
+// OpenAI 图片生成接口：POST /v1/images/generations。
+// 提示词作为用户消息发给模型对应的 Coze 机器人（通常封装了图片插件），
+// 从回答中的 Markdown 图片、卡片消息和图片链接中提取图片 URL。
+
+const MAX_IMAGES = 10;
+const RESPONSE_FORMATS = ["url", "b64_json"];
+const MARKDOWN_IMAGE = /!\[[^\]]*\]\(\s*<?(https?:\/\/[^\s)>]+)>?(?:\s+"[^"]*")?\s*\)/g;
+// 只匹配 URL 中的 ASCII 字符，不会把紧跟的中文标点算进来
+const URL_PATTERN = /https?:\/\/[\w\-.~:/?#@!$&*+,;=%]+/g;
+const IMAGE_EXTENSION = /\.(png|jpe?g|gif|webp|bmp)([?#]|$)/i;
+// 卡片中通常存放图片地址的字段名
+const IMAGE_KEY = /image|img|pic|photo|src/i;
+
+// 遍历卡片 JSON，收集图片字段（包括图片字段下的嵌套字段）中的 URL 和带图片扩展名的 URL
+function collectCardUrls(value, inImage, urls) {
+  if (typeof value === "string") {
+    if (/^https?:\/\//.test(value) && (inImage || IMAGE_EXTENSION.test(value))) {
+      urls.push(value);
+    }
+  } else if (Array.isArray(value)) {
+    value.forEach((item) => collectCardUrls(item, inImage, urls));
+  } else if (value && typeof value === "object") {
+    Object.entries(value).forEach(([key, item]) => collectCardUrls(item, inImage || IMAGE_KEY.test(key), urls));
+  }
+}
+
+// 文本中带图片扩展名的链接，去掉句末的标点
+function imageLinksIn(text) {
+  return (text.match(URL_PATTERN) || [])
+    .map((url) => url.replace(/[.,;:!?]+$/, ""))
+    .filter((url) => IMAGE_EXTENSION.test(url));
+}
+
+/**
+ * 从机器人的回答中提取图片 URL：Markdown 图片和卡片中的图片，都没有时使用回答中带图片扩展名的链接
+ * @param {string} content - 回答文本
+ * @param {Array<string>} [cards] - 卡片消息的内容（JSON 字符串）
+ * @returns {Array<string>} - 去重后的 URL，按出现顺序排列
+ */
+export function extractImageUrls(content, cards = []) {
+  const urls = [...content.matchAll(MARKDOWN_IMAGE)].map((match) => match[1]);
+  for (const card of cards) {
+    try {
+      collectCardUrls(JSON.parse(card), false, urls);
+    } catch (error) {
+      // 不是 JSON 的卡片按普通文本处理
+      urls.push(...imageLinksIn(card));
+    }
+  }
+  if (urls.length === 0) {
+    urls.push(...imageLinksIn(content));
+  }
+  return [...new Set(urls)];
+}
+
+// 校验请求参数，size、quality 和 style 无法直接传给 Coze，作为要求附加在提示词之后
+function parseImageRequest(data) {
+  if (typeof data.prompt !== "string" || !data.prompt.trim()) {
+    throw new ChatError("prompt 是必需的，且不能为空。", 400, { param: "prompt" });
+  }
+  const n = data.n === undefined || data.n === null ? 1 : data.n;
+  if (!Number.isInteger(n) || n < 1 || n > MAX_IMAGES) {
+    throw new ChatError(`n 必须是 1 到 ${MAX_IMAGES} 之间的整数。`, 400, { param: "n" });
+  }
+  const responseFormat = data.response_format || "url";
+  if (!RESPONSE_FORMATS.includes(responseFormat)) {
+    throw new ChatError(`response_format 必须是 ${RESPONSE_FORMATS.join(" 或 ")}。`, 400, { param: "response_format" });
+  }
+  const requirements = [
+    data.size && data.size !== "auto" ? `尺寸 ${data.size}` : null,
+    data.quality && data.quality !== "auto" ? `质量 ${data.quality}` : null,
+    data.style ? `风格 ${data.style}` : null,
+  ].filter(Boolean);
+  return {
+    n,
+    responseFormat,
+    instructions: requirements.length > 0 ? `图片要求：${requirements.join("，")}` : undefined,
+  };
+}
+
+function sendFailure(res, error) {
+  const failure = describeError(error);
+  if (!failure || res.headersSent) {
+    return res.end();
+  }
+  return sendError(res, failure.status, failure.message, failure);
+}
+
+/**
+ * 创建 /v1/images/generations 的处理函数。
+ * 每次对话的回答中可能有多张图片，图片不足 n 张时再发起对话，最多 n 次；最终仍不足时返回已有的图片。
+ * @param {import("./chat.js").ChatService} chatService
+ */
+export function createImageGenerationsHandler(chatService) {
+  return async (req, res) => {
+    const data = req.body;
+    let request;
+    try {
+      request = parseImageRequest(data);
+    } catch (error) {
+      return sendFailure(res, error);
+    }
+
+    const urls = [];
+    const usages = [];
+    let answer = "";
+    let run;
+    try {
+      for (let attempt = 0; attempt < request.n && urls.length < request.n; attempt++) {
+        // 每张图片都是独立的请求，不使用会话
+        run = chatService.createRun({
+          model: data.model,
+          messages: [{ role: "user", content: data.prompt }],
+          user: data.user,
+          stream: false,
+          ephemeral: true,
+          instructions: request.instructions,
+        }, req.auth);
+        cancelOnClose(run, res);
+        await run.start();
+        const result = await run.result();
+        usages.push(result.usage);
+        answer = result.content || answer;
+        urls.push(...extractImageUrls(result.content || "", result.cards));
+      }
+    } catch (error) {
+      return sendFailure(res, error);
+    }
+    const usage = sumUsage(usages);
+    res.locals.usage = usage;
+    if (urls.length === 0) {
+      // 机器人没有调用图片插件，或者插件失败，回答中通常有原因
+      return sendError(res, 502, `机器人没有返回图片: ${answer.slice(0, 200) || "回答为空"}`, {
+        type: "api_error",
+        code: "no_image_generated",
+      });
+    }
+
+    let images = [...new Set(urls)].slice(0, request.n).map((url) => ({ url }));
+    if (request.responseFormat === "b64_json") {
+      // 与消息中的远程文件相同，下载时校验域名白名单、内网地址、大小和类型
+      const uploader = new Uploader(run.client, chatService.sessions.store, chatService.uploadOptions);
+      try {
+        images = await Promise.all(images.map(async ({ url }) => {
+          const { buffer, mimeType } = await uploader.download(url);
+          if (!mimeType.startsWith("image/")) {
+            throw new Error(`${url} 不是图片（${mimeType}）。`);
+          }
+          return { b64_json: buffer.toString("base64") };
+        }));
+      } catch (error) {
+        return sendError(res, 502, `下载图片失败: ${error.message}`, { type: "api_error", code: "image_download_failed" });
+      }
+    }
+
+    res.json({
+      created: Math.floor(Date.now() / 1000),
+      data: images,
+      usage: {
+        input_tokens: usage.prompt_tokens,
+        output_tokens: usage.completion_tokens,
+        total_tokens: usage.total_tokens,
+      },
+    });
+  };
+}
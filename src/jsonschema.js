@@ -0,0 +1,250 @@
+// 校验 response_format 中 JSON Schema 的精简实现，支持 OpenAI 结构化输出常用的关键字：
+// type、enum、const、properties、required、additionalProperties、items、prefixItems、
+// 字符串和数值的范围、allOf / anyOf / oneOf / not，以及指向本文档的 $ref（#/$defs/...）。
+// 客户端提供的 Schema 先用 compileSchema 检查，校验时不会因为 Schema 本身的问题出错。
+
+export class SchemaError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "SchemaError";
+  }
+}
+
+// Schema 对象 -> 编译好的 pattern
+const patterns = new WeakMap();
+
+function patternOf(schema) {
+  if (!patterns.has(schema)) {
+    patterns.set(schema, new RegExp(schema.pattern, "u"));
+  }
+  return patterns.get(schema);
+}
+
+function typeOf(value) {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  if (typeof value === "number") return Number.isInteger(value) ? "integer" : "number";
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  return actual === type || (type === "number" && actual === "integer");
+}
+
+function equals(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+function resolveRef(root, ref) {
+  if (typeof ref !== "string" || !ref.startsWith("#")) {
+    throw new SchemaError(`不支持外部 $ref: ${ref}`);
+  }
+  return ref
+    .slice(1)
+    .split("/")
+    .filter(Boolean)
+    .map((part) => decodeURIComponent(part).replace(/~1/g, "/").replace(/~0/g, "~"))
+    .reduce((node, key) => {
+      if (!node || typeof node !== "object" || !(key in node)) {
+        throw new SchemaError(`无法解析 $ref: ${ref}`);
+      }
+      return node[key];
+    }, root);
+}
+
+// 与当前值对应同一个位置的子 Schema，沿着它们回到自身时校验会无限递归
+function sameValueSchemas(root, schema) {
+  const schemas = [...(schema.allOf || []), ...(schema.anyOf || []), ...(schema.oneOf || [])];
+  if (schema.not !== undefined) {
+    schemas.push(schema.not);
+  }
+  if (schema.$ref !== undefined) {
+    schemas.push(resolveRef(root, schema.$ref));
+  }
+  return schemas;
+}
+
+/**
+ * 检查 Schema 本身：pattern 是否是合法的正则表达式、$ref 能否解析、$ref 是否存在循环引用，
+ * 同时编译 pattern，之后校验时直接使用
+ * @param {object|boolean} root - JSON Schema
+ * @throws {SchemaError} Schema 无效
+ */
+export function compileSchema(root) {
+  const schemas = [];
+  const seen = new Set();
+  const list = (value, at) => {
+    if (value !== undefined && !Array.isArray(value)) {
+      throw new SchemaError(`${at} 必须是数组`);
+    }
+    return value || [];
+  };
+  const visit = (schema, at) => {
+    if (typeof schema === "boolean") {
+      return;
+    }
+    if (typeof schema !== "object" || schema === null || Array.isArray(schema)) {
+      throw new SchemaError(`${at} 必须是对象或布尔值`);
+    }
+    if (seen.has(schema)) {
+      return;
+    }
+    seen.add(schema);
+    schemas.push(schema);
+    if (schema.$ref !== undefined) {
+      resolveRef(root, schema.$ref);
+    }
+    if (schema.pattern !== undefined) {
+      try {
+        patternOf(schema);
+      } catch (error) {
+        throw new SchemaError(`${at}.pattern 不是合法的正则表达式: ${error.message}`);
+      }
+    }
+    list(schema.required, `${at}.required`);
+    list(schema.enum, `${at}.enum`);
+    for (const keyword of ["properties", "$defs", "definitions"]) {
+      if (schema[keyword] !== undefined && (typeof schema[keyword] !== "object" || schema[keyword] === null)) {
+        throw new SchemaError(`${at}.${keyword} 必须是对象`);
+      }
+      for (const [key, item] of Object.entries(schema[keyword] || {})) {
+        visit(item, `${at}.${keyword}.${key}`);
+      }
+    }
+    for (const keyword of ["prefixItems", "allOf", "anyOf", "oneOf"]) {
+      list(schema[keyword], `${at}.${keyword}`).forEach((item, index) => visit(item, `${at}.${keyword}[${index}]`));
+    }
+    for (const keyword of ["items", "additionalProperties", "not"]) {
+      if (schema[keyword] !== undefined) {
+        visit(schema[keyword], `${at}.${keyword}`);
+      }
+    }
+  };
+  visit(root, "schema");
+
+  // 经过 properties 或 items 的递归引用（例如树形结构）随着值的层级结束，只有不经过它们的循环需要拒绝
+  const state = new Map();
+  const walk = (schema) => {
+    if (typeof schema !== "object" || state.get(schema) === "done") {
+      return;
+    }
+    if (state.get(schema) === "active") {
+      throw new SchemaError("$ref 存在循环引用");
+    }
+    state.set(schema, "active");
+    sameValueSchemas(root, schema).forEach(walk);
+    state.set(schema, "done");
+  };
+  schemas.forEach(walk);
+}
+
+/**
+ * 按 JSON Schema 校验一个值
+ * @param {*} value - 要校验的值
+ * @param {object|boolean} schema - JSON Schema
+ * @param {object|boolean} [root] - 解析 $ref 使用的根 Schema
+ * @param {string} [path] - 当前位置，用于错误信息
+ * @returns {Array<string>} - 错误信息，校验通过时为空数组
+ */
+export function validateSchema(value, schema, root = schema, path = "$") {
+  if (schema === true || schema === undefined) return [];
+  if (schema === false) return [`${path} 不允许出现`];
+  if (schema.$ref) {
+    return validateSchema(value, resolveRef(root, schema.$ref), root, path);
+  }
+
+  const errors = [];
+  if (schema.type !== undefined) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some((type) => matchesType(value, type))) {
+      // 类型不符时不再检查其它关键字
+      return [`${path} 应为 ${types.join(" 或 ")} 类型，实际为 ${typeOf(value)}`];
+    }
+  }
+  if (schema.enum && !schema.enum.some((item) => equals(item, value))) {
+    errors.push(`${path} 应为以下值之一: ${schema.enum.map((item) => JSON.stringify(item)).join(", ")}`);
+  }
+  if (schema.const !== undefined && !equals(schema.const, value)) {
+    errors.push(`${path} 应为 ${JSON.stringify(schema.const)}`);
+  }
+
+  if (typeof value === "string") {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push(`${path} 长度不能小于 ${schema.minLength}`);
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      errors.push(`${path} 长度不能大于 ${schema.maxLength}`);
+    }
+    if (schema.pattern !== undefined && !patternOf(schema).test(value)) {
+      errors.push(`${path} 应匹配 ${schema.pattern}`);
+    }
+  }
+
+  if (typeof value === "number") {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push(`${path} 不能小于 ${schema.minimum}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push(`${path} 不能大于 ${schema.maximum}`);
+    }
+    if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) {
+      errors.push(`${path} 应大于 ${schema.exclusiveMinimum}`);
+    }
+    if (schema.exclusiveMaximum !== undefined && value >= schema.exclusiveMaximum) {
+      errors.push(`${path} 应小于 ${schema.exclusiveMaximum}`);
+    }
+  }
+
+  if (Array.isArray(value)) {
+    const prefixItems = schema.prefixItems || [];
+    value.forEach((item, index) => {
+      const itemSchema = index < prefixItems.length ? prefixItems[index] : schema.items;
+      errors.push(...validateSchema(item, itemSchema, root, `${path}[${index}]`));
+    });
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push(`${path} 至少包含 ${schema.minItems} 项`);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push(`${path} 最多包含 ${schema.maxItems} 项`);
+    }
+    if (schema.uniqueItems && new Set(value.map((item) => JSON.stringify(item))).size !== value.length) {
+      errors.push(`${path} 不能包含重复项`);
+    }
+  }
+
+  if (typeOf(value) === "object") {
+    const properties = schema.properties || {};
+    for (const key of schema.required || []) {
+      if (!(key in value)) {
+        errors.push(`${path} 缺少必需字段 '${key}'`);
+      }
+    }
+    for (const [key, item] of Object.entries(value)) {
+      if (key in properties) {
+        errors.push(...validateSchema(item, properties[key], root, `${path}.${key}`));
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${path} 不允许包含字段 '${key}'`);
+      } else if (typeof schema.additionalProperties === "object") {
+        errors.push(...validateSchema(item, schema.additionalProperties, root, `${path}.${key}`));
+      }
+    }
+  }
+
+  for (const subschema of schema.allOf || []) {
+    errors.push(...validateSchema(value, subschema, root, path));
+  }
+  if (schema.anyOf && !schema.anyOf.some((subschema) => validateSchema(value, subschema, root, path).length === 0)) {
+    errors.push(`${path} 不符合 anyOf 中的任何一个 Schema`);
+  }
+  if (schema.oneOf) {
+    const matched = schema.oneOf.filter((subschema) => validateSchema(value, subschema, root, path).length === 0).length;
+    if (matched !== 1) {
+      errors.push(`${path} 应恰好符合 oneOf 中的一个 Schema，实际符合 ${matched} 个`);
+    }
+  }
+  if (schema.not && validateSchema(value, schema.not, root, path).length === 0) {
+    errors.push(`${path} 不能符合 not 中的 Schema`);
+  }
+  return errors;
+}
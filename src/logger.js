@@ -0,0 +1,243 @@
+import { AsyncLocalStorage } from "async_hooks";
+import crypto from "crypto";
+
+// 结构化日志：每行一个 JSON 对象，写到标准输出（warn 和 error 写到标准错误）。
+// 请求处理过程中的日志自动带上 request_id，日志中的 Bearer token、Coze 令牌和 base64 数据会被隐去。
+
+// silent 不输出任何日志，用于测试
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 50 };
+// 值需要整体隐去的字段名
+const SECRET_KEYS = /^(authorization|x-api-key|api_key|apikey|token|coze_token|cozeToken|secret|password)$/i;
+// 超过这个长度的 base64 字符串视为文件内容
+const BASE64_MIN_LENGTH = 256;
+
+// 当前请求的上下文 { requestId }
+export const requestContext = new AsyncLocalStorage();
+
+/**
+ * 最近的日志，供管理后台查看。不受 LOG_LEVEL 影响，保留 info 及以上级别的最后 capacity 条
+ */
+export class RecentLogs {
+  constructor(capacity) {
+    this.capacity = capacity;
+    this.entries = [];
+  }
+
+  push(entry) {
+    this.entries.push(entry);
+    if (this.entries.length > this.capacity) {
+      this.entries.shift();
+    }
+  }
+
+  /**
+   * @param {object} [options]
+   * @param {number} [options.limit] - 最多返回的条数
+   * @param {string} [options.msg] - 只返回这条消息的日志，例如 request
+   * @param {string} [options.level] - 最低级别
+   * @returns {Array<object>} - 从新到旧排列
+   */
+  list({ limit = 100, msg, level } = {}) {
+    return this.entries
+      .filter((entry) => (!msg || entry.msg === msg) && (!level || LEVELS[entry.level] >= LEVELS[level]))
+      .slice(-limit)
+      .reverse();
+  }
+}
+
+export const recentLogs = new RecentLogs(parseInt(process.env.ADMIN_LOG_SIZE || "500", 10));
+
+function redactString(text) {
+  return text
+    .replace(/Bearer\s+[\w\-.~+/]+=*/gi, "Bearer [REDACTED]")
+    .replace(/\b(pat|sat)_[A-Za-z0-9]{16,}/g, "$1_[REDACTED]")
+    // URL 中的用户名和密码，例如 redis://:password@host
+    .replace(/\/\/[^/\s:@]*:[^/\s@]+@/g, "//[REDACTED]@")
+    .replace(/(data:[\w.+-]+\/[\w.+-]+(?:;[^,;]+)*;base64,)([A-Za-z0-9+/=]+)/g,
+      (match, prefix, data) => `${prefix}[${data.length} 字节已省略]`)
+    .replace(new RegExp(`[A-Za-z0-9+/]{${BASE64_MIN_LENGTH},}={0,2}`, "g"), (data) => `[base64 ${data.length} 字节已省略]`);
+}
+
+/**
+ * 隐去日志数据中的密钥和 base64 内容，返回新的值
+ * @param {*} value
+ * @returns {*}
+ */
+export function redact(value) {
+  if (typeof value === "string") {
+    return redactString(value);
+  }
+  if (value instanceof Error) {
+    return serializeError(value);
+  }
+  if (Array.isArray(value)) {
+    return value.map(redact);
+  }
+  if (value && typeof value === "object") {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [
+      key,
+      SECRET_KEYS.test(key) && typeof item === "string" ? "[REDACTED]" : redact(item),
+    ]));
+  }
+  return value;
+}
+
+function serializeError(error) {
+  return redact({
+    name: error.name,
+    message: error.message,
+    ...(error.status !== undefined ? { status: error.status } : {}),
+    ...(error.code !== undefined ? { code: error.code } : {}),
+    // Coze 和上游的错误信息已足够定位，只为未预期的错误保留调用栈
+    ...(error.status === undefined ? { stack: error.stack } : {}),
+  });
+}
+
+export class Logger {
+  /**
+   * @param {object} [options]
+   * @param {string} [options.level] - 最低输出级别：debug、info、warn、error 或 silent
+   * @param {object} [options.fields] - 每条日志都带上的字段
+   */
+  constructor({ level = "info", fields = {} } = {}) {
+    if (!(level in LEVELS)) {
+      throw new Error(`未知的 LOG_LEVEL: ${level}`);
+    }
+    this.level = level;
+    this.fields = fields;
+  }
+
+  /**
+   * 创建带有额外字段的子日志
+   * @param {object} fields
+   * @returns {Logger}
+   */
+  child(fields) {
+    return new Logger({ level: this.level, fields: { ...this.fields, ...fields } });
+  }
+
+  log(level, msg, fields = {}) {
+    const output = LEVELS[level] >= LEVELS[this.level];
+    const recorded = LEVELS[level] >= LEVELS.info;
+    if (!output && !recorded) {
+      return;
+    }
+    const context = requestContext.getStore();
+    const entry = {
+      time: new Date().toISOString(),
+      level,
+      msg,
+      ...(context ? { request_id: context.requestId } : {}),
+      ...this.fields,
+      ...redact(fields),
+    };
+    if (recorded) {
+      recentLogs.push(entry);
+    }
+    if (output) {
+      const stream = LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout;
+      stream.write(JSON.stringify(entry) + "\n");
+    }
+  }
+
+  debug(msg, fields) {
+    this.log("debug", msg, fields);
+  }
+
+  info(msg, fields) {
+    this.log("info", msg, fields);
+  }
+
+  warn(msg, fields) {
+    this.log("warn", msg, fields);
+  }
+
+  error(msg, fields) {
+    this.log("error", msg, fields);
+  }
+}
+
+export const logger = new Logger({ level: process.env.LOG_LEVEL || "info" });
+
+// 客户端传入的请求 ID 只接受常见字符，避免日志注入
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+
+/**
+ * 请求日志中间件：沿用客户端的 x-request-id 或生成新的请求 ID 并在响应中返回，
+ * 请求结束时记录一行包含模型、机器人、耗时、token 用量和结果的日志，开启审计日志时同时记录对话内容
+ * @param {object} [options]
+ * @param {import("./audit.js").AuditLog|null} [options.audit] - 审计日志
+ * @param {Array<string>} [options.quietPaths] - 只在 debug 级别记录的路径，例如健康检查
+ * @returns {import("express").RequestHandler}
+ */
+export function requestLogger({ audit = null, quietPaths = [] } = {}) {
+  return (req, res, next) => {
+    const header = req.get("x-request-id");
+    const requestId = header && REQUEST_ID_PATTERN.test(header) ? header : crypto.randomUUID();
+    req.id = requestId;
+    res.set("x-request-id", requestId);
+    const startedAt = process.hrtime.bigint();
+
+    res.once("close", () => {
+      // 对话请求由 cancelOnClose 记录使用的模型路由和上游目标
+      const runs = res.locals.runs || [];
+      const route = runs.find((run) => run.route);
+      const targets = [...new Set(runs.filter((run) => run.target).map((run) => run.target.id))];
+      const usage = res.locals.usage;
+      let outcome = "success";
+      if (!res.writableFinished) {
+        outcome = "client_closed";
+      } else if (res.statusCode >= 400 || res.locals.error) {
+        outcome = "error";
+      }
+      const fields = {
+        request_id: requestId,
+        method: req.method,
+        path: req.path,
+        status: res.statusCode,
+        latency_ms: Math.round(Number(process.hrtime.bigint() - startedAt) / 1e6),
+        ...(route ? { model: route.route.id } : {}),
+        ...(targets.length > 0 ? { upstream: targets } : {}),
+        ...(req.auth ? { caller: callerOf(req.auth) } : {}),
+        ...(usage ? {
+          tokens: { prompt: usage.prompt_tokens, completion: usage.completion_tokens, total: usage.total_tokens },
+        } : {}),
+        outcome,
+        ...(res.locals.error ? { error: res.locals.error } : {}),
+      };
+      if (quietPaths.includes(req.path)) {
+        logger.debug("request", fields);
+      } else {
+        logger.info("request", fields);
+      }
+      if (audit && runs.length > 0) {
+        audit.record({
+          time: new Date().toISOString(),
+          request_id: requestId,
+          path: req.path,
+          model: route ? route.route.id : (req.body && req.body.model) || null,
+          upstream: targets,
+          caller: req.auth ? callerOf(req.auth) : null,
+          status: res.statusCode,
+          outcome,
+          request: req.body,
+          completions: runs.map((run) => ({ content: run.answer, finish_reason: run.finishReason })),
+          usage: usage || null,
+        });
+      }
+    });
+    requestContext.run({ requestId }, next);
+  };
+}
+
+/**
+ * 日志中标识调用方：密钥名称，passthrough 模式下为 token 哈希的前 12 位
+ * @param {object} auth - req.auth
+ * @returns {string}
+ */
+export function callerOf(auth) {
+  if (auth.key) {
+    return auth.key.name;
+  }
+  return crypto.createHash("sha256").update(auth.apiKey).digest("hex").slice(0, 12);
+}
@@ -0,0 +1,250 @@
+// Prometheus 指标：计数器、仪表和直方图，/metrics 以 Prometheus 文本格式输出。
+// 指标在各模块中直接引用这里导出的实例记录，进程内共享一份。
+
+const DURATION_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60, 120];
+const SIZE_BUCKETS = [1024, 16384, 131072, 524288, 1048576, 4194304, 10485760, 52428800];
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, "\\\\").replace(/\n/g, "\\n").replace(/"/g, '\\"');
+}
+
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) {
+    return "";
+  }
+  return `{${entries.map(([name, value]) => `${name}="${escapeLabel(value)}"`).join(",")}}`;
+}
+
+class Metric {
+  constructor(name, help, labelNames) {
+    this.name = name;
+    this.help = help;
+    this.labelNames = labelNames;
+    // 标签值组成的 key -> { labels, value }
+    this.series = new Map();
+  }
+
+  // 只保留声明过的标签，缺少的标签记为空字符串
+  entry(labels, initial) {
+    const normalized = {};
+    for (const name of this.labelNames) {
+      normalized[name] = labels[name] === undefined || labels[name] === null ? "" : String(labels[name]);
+    }
+    const key = JSON.stringify(normalized);
+    if (!this.series.has(key)) {
+      this.series.set(key, { labels: normalized, value: initial() });
+    }
+    return this.series.get(key);
+  }
+
+  header() {
+    return [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`];
+  }
+}
+
+export class Counter extends Metric {
+  get type() {
+    return "counter";
+  }
+
+  inc(labels = {}, value = 1) {
+    this.entry(labels, () => 0).value += value;
+  }
+
+  render() {
+    return [
+      ...this.header(),
+      ...[...this.series.values()].map(({ labels, value }) => `${this.name}${formatLabels(labels)} ${value}`),
+    ];
+  }
+}
+
+export class Gauge extends Counter {
+  get type() {
+    return "gauge";
+  }
+
+  dec(labels = {}, value = 1) {
+    this.inc(labels, -value);
+  }
+
+  set(labels, value) {
+    this.entry(labels, () => 0).value = value;
+  }
+}
+
+export class Histogram extends Metric {
+  constructor(name, help, labelNames, buckets) {
+    super(name, help, labelNames);
+    this.buckets = buckets;
+  }
+
+  get type() {
+    return "histogram";
+  }
+
+  observe(labels, value) {
+    const entry = this.entry(labels, () => ({ counts: this.buckets.map(() => 0), sum: 0, count: 0 }));
+    this.buckets.forEach((bound, index) => {
+      if (value <= bound) {
+        entry.value.counts[index] += 1;
+      }
+    });
+    entry.value.sum += value;
+    entry.value.count += 1;
+  }
+
+  render() {
+    const lines = this.header();
+    for (const { labels, value } of this.series.values()) {
+      this.buckets.forEach((bound, index) => {
+        lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: bound })} ${value.counts[index]}`);
+      });
+      lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: "+Inf" })} ${value.count}`);
+      lines.push(`${this.name}_sum${formatLabels(labels)} ${value.sum}`);
+      lines.push(`${this.name}_count${formatLabels(labels)} ${value.count}`);
+    }
+    return lines;
+  }
+}
+
+export class Registry {
+  constructor() {
+    this.metrics = [];
+  }
+
+  register(metric) {
+    this.metrics.push(metric);
+    return metric;
+  }
+
+  /**
+   * 以 Prometheus 文本格式输出所有指标
+   * @returns {string}
+   */
+  render() {
+    // 进程指标在输出时采集
+    const memory = process.memoryUsage();
+    processMemory.set({ type: "rss" }, memory.rss);
+    processMemory.set({ type: "heap_used" }, memory.heapUsed);
+    return this.metrics.map((metric) => metric.render().join("\n")).join("\n\n") + "\n";
+  }
+}
+
+export const registry = new Registry();
+
+export const requestsTotal = registry.register(new Counter(
+  "coze2openai_requests_total",
+  "对话请求数",
+  ["endpoint", "model", "status", "stream"]
+));
+
+export const upstreamDuration = registry.register(new Histogram(
+  "coze2openai_upstream_request_duration_seconds",
+  "Coze API 请求从发出到收到响应头的时间",
+  ["api_base", "path", "status"],
+  DURATION_BUCKETS
+));
+
+export const firstTokenDuration = registry.register(new Histogram(
+  "coze2openai_time_to_first_token_seconds",
+  "流式请求从收到请求到输出第一个 token 的时间",
+  ["model"],
+  DURATION_BUCKETS
+));
+
+export const tokensTotal = registry.register(new Counter(
+  "coze2openai_tokens_total",
+  "消耗的 token 数",
+  ["model", "type"]
+));
+
+export const activeStreams = registry.register(new Gauge(
+  "coze2openai_active_streams",
+  "正在进行的流式请求数",
+  ["model"]
+));
+
+export const uploadsTotal = registry.register(new Counter(
+  "coze2openai_uploads_total",
+  "消息中的图片和文件上传次数，result 为 uploaded、cached 或 failed",
+  ["kind", "result"]
+));
+
+export const uploadBytes = registry.register(new Histogram(
+  "coze2openai_upload_bytes",
+  "上传到 Coze 的图片和文件大小",
+  ["kind"],
+  SIZE_BUCKETS
+));
+
+const processMemory = registry.register(new Gauge(
+  "coze2openai_process_memory_bytes",
+  "进程内存占用",
+  ["type"]
+));
+
+registry.register(new Gauge("coze2openai_process_start_time_seconds", "进程启动时间", []))
+  .set({}, Math.floor(Date.now() / 1000));
+
+/**
+ * 记录对话请求的指标：请求数、流式请求数和 token 用量。放在认证之前，被拒绝的请求也会计入。
+ * @param {string} endpoint - chat_completions | messages
+ * @param {function(string): string} modelLabel - 将请求中的模型名转换为指标标签，避免任意模型名导致标签过多
+ * @returns {import("express").RequestHandler}
+ */
+export function trackRequests(endpoint, modelLabel) {
+  return (req, res, next) => {
+    const body = req.body || {};
+    const model = modelLabel(body.model);
+    const stream = Boolean(body.stream);
+    if (stream) {
+      activeStreams.inc({ model });
+    }
+    res.once("close", () => {
+      if (stream) {
+        activeStreams.dec({ model });
+      }
+      requestsTotal.inc({ endpoint, model, status: res.statusCode, stream });
+      const usage = res.locals.usage;
+      if (usage) {
+        tokensTotal.inc({ model, type: "prompt" }, usage.prompt_tokens || 0);
+        tokensTotal.inc({ model, type: "completion" }, usage.completion_tokens || 0);
+      }
+    });
+    next();
+  };
+}
+
+const startedAt = Math.floor(Date.now() / 1000);
+
+/**
+ * 管理后台使用的指标摘要：对话请求数和失败数（HTTP 状态码 >= 400）、token 用量和正在进行的流式请求数
+ * @returns {object}
+ */
+export function metricsSummary() {
+  const requests = { total: 0, errors: 0, by_endpoint: {}, by_model: {} };
+  for (const { labels, value } of requestsTotal.series.values()) {
+    const errors = Number(labels.status) >= 400 ? value : 0;
+    requests.total += value;
+    requests.errors += errors;
+    for (const [group, name] of [["by_endpoint", labels.endpoint], ["by_model", labels.model]]) {
+      const item = requests[group][name] || (requests[group][name] = { total: 0, errors: 0 });
+      item.total += value;
+      item.errors += errors;
+    }
+  }
+  const tokens = { prompt: 0, completion: 0 };
+  for (const { labels, value } of tokensTotal.series.values()) {
+    tokens[labels.type] += value;
+  }
+  return {
+    started_at: startedAt,
+    uptime_seconds: Math.floor(Date.now() / 1000) - startedAt,
+    requests,
+    tokens,
+    active_streams: [...activeStreams.series.values()].reduce((sum, { value }) => sum + value, 0),
+    memory_bytes: process.memoryUsage().rss,
+  };
+}
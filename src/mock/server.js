@@ -0,0 +1,237 @@
+import crypto from "crypto";
+import express from "express";
+import fs from "fs";
+import http from "http";
+import path from "path";
+import { fileURLToPath } from "url";
+
+// 模拟的 Coze API：回放 recordings 目录中录制的 v3 对话事件流，用于自动化测试和 MOCK_UPSTREAM 模式。
+// 非流式对话的状态和消息列表也取自同一份录制。以下机器人 ID 返回对应的错误：
+// - mock_error：机器人未发布（HTTP 200，code 4015）
+// - mock_failed：对话失败（conversation.chat.failed / status 为 failed）
+// - mock_unavailable：Coze 服务内部错误（HTTP 500，code 5000）
+// - mock_tool：机器人调用端插件（requires_action）
+// - mock_interrupted：回答输出了一部分之后对话失败（conversation.chat.failed，code 5000）
+// - mock_image：图片机器人，回答中有一张 Markdown 图片，另一张图片在卡片消息中（图片由 /images/ 提供）
+// token 为 invalid_token 时返回认证失败（HTTP 401，code 4100）。
+// eventDelay 大于 0 时，流式对话的每个事件间隔这么多毫秒发送，非流式对话的状态查询也延迟这么多毫秒返回，
+// 模拟执行插件等耗时较长的对话。
+// rateLimited 大于 0 时，接下来的这么多次对话请求返回限流错误（HTTP 200，code 4013）。
+// answers 不为空时，接下来的对话依次以其中的文本作为回答（替换录制中的回答内容）。
+
+const RECORDINGS_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), "recordings");
+
+export const INVALID_TOKEN = "invalid_token";
+
+const ERRORS = {
+  mock_error: {
+    status: 200,
+    body: { code: 4015, msg: "The bot_id mock_error has not been published to the channel Agent As API." },
+  },
+  mock_unavailable: { status: 500, body: { code: 5000, msg: "internal error" } },
+};
+
+const RECORDINGS = {
+  mock_failed: "chat_failed.sse",
+  mock_tool: "requires_action.sse",
+  mock_image: "image.sse",
+  mock_interrupted: "chat_interrupted.sse",
+};
+
+// 1x1 的 PNG 图片，图片机器人的回答引用的图片
+const PNG = Buffer.from("iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNk+M9QDwADhgGAWjR9awAAAABJRU5ErkJggg==", "base64");
+
+/**
+ * 读取录制的事件流
+ * @param {string} name - recordings 目录中的文件名
+ * @returns {Array<{event: string, data: string}>}
+ */
+export function loadRecording(name) {
+  return fs.readFileSync(path.join(RECORDINGS_DIR, name), "utf8")
+    .split("\n\n")
+    .filter((block) => block.trim())
+    .map((block) => {
+      const lines = block.split("\n");
+      return {
+        event: lines.find((line) => line.startsWith("event:")).slice(6),
+        data: lines.find((line) => line.startsWith("data:")).slice(5),
+      };
+    });
+}
+
+// 把录制中的回答替换为指定的文本，整段回答在一个 delta 事件中发送
+function withAnswer(recording, answer) {
+  let sent = false;
+  return recording.flatMap((item) => {
+    const data = JSON.parse(item.data);
+    if (data.type !== "answer" || !item.event.startsWith("conversation.message.")) {
+      return [item];
+    }
+    if (item.event === "conversation.message.delta") {
+      if (sent) {
+        return [];
+      }
+      sent = true;
+    }
+    return [{ event: item.event, data: JSON.stringify({ ...data, content: answer }) }];
+  });
+}
+
+function fill(text, values) {
+  return text.replace(/\{\{(\w+)\}\}/g, (match, key) => values[key]);
+}
+
+export class MockCoze {
+  constructor() {
+    // 收到的请求 { method, path, query, body, aborted }，测试中用于检查发给 Coze 的内容；
+    // aborted 表示响应结束之前代理已断开连接
+    this.requests = [];
+    // 上传的文件 { id, file_name, bytes }
+    this.files = [];
+    // chat_id -> { chat, recording, values }
+    this.chats = new Map();
+    this.rateLimited = 0;
+    this.eventDelay = 0;
+    this.answers = [];
+    this.app = this.createApp();
+    this.server = null;
+  }
+
+  createApp() {
+    const app = express();
+    app.use(express.json({ limit: "50mb" }));
+    app.use(express.raw({ type: "multipart/form-data", limit: "50mb" }));
+    app.use((req, res, next) => {
+      const request = { method: req.method, path: req.path, query: req.query, body: req.body, aborted: false };
+      this.requests.push(request);
+      res.once("close", () => {
+        request.aborted = !res.writableFinished;
+      });
+      if (req.get("authorization") === `Bearer ${INVALID_TOKEN}`) {
+        return res.status(401).json({ code: 4100, msg: "authentication is invalid" });
+      }
+      next();
+    });
+
+    app.post("/v3/chat", (req, res) => this.startChat(req, res, req.body.bot_id, req.query.conversation_id));
+    app.post("/v3/chat/submit_tool_outputs", (req, res) => {
+      const chat = this.chats.get(req.query.chat_id);
+      this.startChat(req, res, chat ? chat.chat.bot_id : "mock_bot", req.query.conversation_id);
+    });
+    app.get("/v3/chat/retrieve", async (req, res) => {
+      if (this.eventDelay > 0) {
+        await new Promise((resolve) => setTimeout(resolve, this.eventDelay));
+      }
+      const chat = this.chats.get(req.query.chat_id);
+      if (!chat) {
+        return res.json({ code: 4000, msg: "chat not found" });
+      }
+      // 非流式对话在第一次查询时即已结束，状态取自录制的最后一个对话事件
+      const last = chat.recording.filter((item) => item.event.startsWith("conversation.chat.")).pop();
+      res.json({ code: 0, msg: "", data: JSON.parse(fill(last.data, chat.values)) });
+    });
+    app.get("/v3/chat/message/list", (req, res) => {
+      const chat = this.chats.get(req.query.chat_id);
+      if (!chat) {
+        return res.json({ code: 4000, msg: "chat not found" });
+      }
+      const messages = chat.recording
+        .filter((item) => item.event === "conversation.message.completed")
+        .map((item) => JSON.parse(fill(item.data, chat.values)));
+      res.json({ code: 0, msg: "", data: messages });
+    });
+    app.post("/v3/chat/cancel", (req, res) => {
+      res.json({ code: 0, msg: "", data: { id: req.body.chat_id, conversation_id: req.body.conversation_id, status: "canceled" } });
+    });
+    app.post("/v1/files/upload", (req, res) => {
+      const body = req.body || Buffer.alloc(0);
+      const match = body.toString("latin1").match(/filename="([^"]*)"/);
+      const file = {
+        id: `file_${this.files.length + 1}`,
+        file_name: match ? match[1] : "upload",
+        bytes: body.length,
+        created_at: Math.floor(Date.now() / 1000),
+      };
+      this.files.push(file);
+      res.json({ code: 0, msg: "", data: file });
+    });
+    app.get("/v1/bot/get_online_info", (req, res) => {
+      res.json({
+        code: 0,
+        msg: "",
+        data: { bot_id: req.query.bot_id, name: "模拟机器人", description: "MOCK_UPSTREAM 模式下的模拟机器人", create_time: 1729000000 },
+      });
+    });
+    app.get("/images/:name", (req, res) => {
+      res.type("image/png").send(PNG);
+    });
+    app.use((req, res) => {
+      res.status(404).json({ code: 4000, msg: `mock does not implement ${req.method} ${req.path}` });
+    });
+    return app;
+  }
+
+  async startChat(req, res, botId, conversationId) {
+    if (this.rateLimited > 0) {
+      this.rateLimited--;
+      return res.json({ code: 4013, msg: "The requests exceed the limit." });
+    }
+    const error = ERRORS[botId];
+    if (error) {
+      return res.status(error.status).json(error.body);
+    }
+    const values = {
+      chat_id: `chat_${crypto.randomUUID()}`,
+      conversation_id: conversationId || `conv_${crypto.randomUUID()}`,
+      bot_id: botId,
+      // 录制中的图片地址指向模拟服务自身
+      base_url: `${req.protocol}://${req.get("host")}`,
+    };
+    let recording = loadRecording(RECORDINGS[botId] || "chat.sse");
+    if (this.answers.length > 0) {
+      recording = withAnswer(recording, this.answers.shift());
+    }
+    const created = JSON.parse(fill(recording[0].data, values));
+    this.chats.set(values.chat_id, { chat: created, recording, values });
+    if (!req.body.stream) {
+      return res.json({ code: 0, msg: "", data: { ...created, status: "in_progress" } });
+    }
+    res.writeHead(200, { "Content-Type": "text/event-stream" });
+    for (const item of recording) {
+      if (this.eventDelay > 0) {
+        await new Promise((resolve) => setTimeout(resolve, this.eventDelay));
+        if (res.destroyed) {
+          return;
+        }
+      }
+      res.write(`event:${item.event}\ndata:${fill(item.data, values)}\n\n`);
+    }
+    res.end();
+  }
+
+  /**
+   * 在本机监听，返回可以用作 COZE_API_BASE 的地址
+   * @param {number} [port] - 端口，0 表示随机端口
+   * @returns {Promise<string>} - 例如 http://127.0.0.1:54321
+   */
+  listen(port = 0) {
+    return new Promise((resolve, reject) => {
+      this.server = http.createServer(this.app);
+      this.server.once("error", reject);
+      this.server.listen(port, "127.0.0.1", () => {
+        resolve(`http://127.0.0.1:${this.server.address().port}`);
+      });
+    });
+  }
+
+  close() {
+    return new Promise((resolve) => {
+      if (!this.server) {
+        return resolve();
+      }
+      this.server.close(() => resolve());
+      // 代理与模拟服务之间的 keep-alive 连接不会自行关闭
+      this.server.closeAllConnections();
+    });
+  }
+}
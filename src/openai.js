@@ -0,0 +1,425 @@
+import crypto from "crypto";
+import { canUseRoute, cancelOnClose, describeError, mergeEvents } from "./chat.js";
+import { ChatError, errorBody, sendError } from "./errors.js";
+import { callerOf, logger } from "./logger.js";
+import { parseSamplingParams } from "./params.js";
+import { SSEWriter } from "./sse.js";
+import { completeStructured, formatInstructions, parseResponseFormat } from "./structured.js";
+import { extractToolOutputs } from "./tools.js";
+import { sumUsage } from "./usage.js";
+
+// OpenAI 前端：POST /v1/chat/completions
+
+// 无法传给 Coze 的参数，严格模式下返回 400 错误
+const UNSUPPORTED_PARAMS = [
+  "temperature",
+  "top_p",
+  "presence_penalty",
+  "frequency_penalty",
+  "logit_bias",
+  "logprobs",
+  "top_logprobs",
+  "seed",
+  "audio",
+  "modalities",
+  "prediction",
+  "reasoning_effort",
+  "service_tier",
+];
+
+// 一次 completion 的 id，流式响应的每个数据块使用相同的 id
+function completionId() {
+  return `chatcmpl-${crypto.randomBytes(12).toString("hex")}`;
+}
+
+/**
+ * 转换为 OpenAI 的 chat.completion 对象
+ * @param {object} data - 请求体
+ * @param {Array<object>} results - 每个 choice 的结果，格式见 ChatRun.result()
+ * @returns {object}
+ */
+export function formatCompletion(data, results) {
+  return {
+    id: completionId(),
+    object: "chat.completion",
+    created: Math.floor(Date.now() / 1000),
+    model: data.model,
+    choices: results.map((result, index) => ({
+      index,
+      message: {
+        role: "assistant",
+        content: result.content,
+        // 与 DeepSeek 相同的推理内容字段
+        ...(result.reasoning ? { reasoning_content: result.reasoning } : {}),
+        ...(result.toolCalls.length > 0 ? { tool_calls: result.toolCalls } : {}),
+        ...(result.followUps ? { follow_ups: result.followUps } : {}),
+        ...(result.citations ? { citations: result.citations } : {}),
+      },
+      logprobs: null,
+      finish_reason: result.finishReason,
+    })),
+    usage: results.length === 1 ? results[0].usage : sumUsage(results.map((result) => result.usage)),
+    system_fingerprint: "fp_2f57f81c11",
+  };
+}
+
+/**
+ * 执行一次 chat completion 请求：校验参数，读取响应缓存，处理结构化输出，并发起 n 个 Coze 对话。
+ * /v1/chat/completions 和批处理共用。非流式请求、结构化输出和命中缓存时返回完整的结果 results；
+ * 流式请求返回已经开始的对话 runs，由调用方读取事件，结束后调用 store 写入缓存。出错时取消已发起的对话并抛出错误。
+ * @param {import("./chat.js").ChatService} chatService
+ * @param {object} data - 请求体
+ * @param {object} options
+ * @param {object} options.auth - 认证信息（req.auth）
+ * @param {object} [options.headers] - 请求头（小写），用于会话和 Cache-Control
+ * @param {boolean} [options.stream] - 是否流式输出
+ * @param {import("./cache.js").ResponseCache|null} [options.cache] - 响应缓存
+ * @param {number} [options.structuredOutputRetries] - 结构化输出校验失败后的最多重试次数
+ * @param {function(import("./chat.js").ChatRun): void} [options.onRun] - 每创建一个对话时调用，例如绑定客户端连接
+ * @returns {Promise<{results: Array<object>|null, runs: Array<import("./chat.js").ChatRun>, cached: boolean,
+ *   cacheStatus: string|null, store: function(Array<object>): void}>}
+ */
+export async function runChatCompletion(chatService, data, {
+  auth,
+  headers = {},
+  stream = false,
+  cache = null,
+  structuredOutputRetries = 1,
+  onRun = () => {},
+}) {
+  if (!Array.isArray(data.messages) || data.messages.length === 0) {
+    throw new ChatError("messages 是必需的，且不能为空。", 400, { param: "messages" });
+  }
+  const params = parseSamplingParams(data, { unsupported: UNSUPPORTED_PARAMS, strict: chatService.strictParams });
+  const format = parseResponseFormat(data.response_format);
+  if (params.n > 1 && extractToolOutputs(data.messages).length > 0) {
+    throw new ChatError("提交工具结果时 n 必须为 1。", 400, { param: "n" });
+  }
+
+  const runs = [];
+  // 创建一次 Coze 对话
+  const createRun = (overrides) => {
+    const run = chatService.createRun({
+      model: data.model,
+      messages: data.messages,
+      user: data.user,
+      stream,
+      conversationId: headers["x-conversation-id"],
+      reset: headers["x-conversation-reset"] === "true",
+      // 扩展字段：["follow_ups", "citations"]，true 表示全部开启
+      extensions: data.coze_extensions,
+      // 工作流模型的输入参数，不传时使用最后一条用户消息
+      workflowParameters: data.coze_parameters,
+      stop: params.stop,
+      maxTokens: params.maxTokens,
+      ...overrides,
+    }, auth);
+    onRun(run);
+    runs.push(run);
+    return run;
+  };
+
+  // 响应缓存：命中时直接返回缓存的回答。Cache-Control: no-cache 时不读取缓存，no-store 时也不写入
+  const cacheControl = headers["cache-control"] || "";
+  const noStore = /\bno-store\b/.test(cacheControl);
+  const noCache = noStore || /\bno-cache\b/.test(cacheControl);
+  const cacheKey = cacheKeyOf(cache, chatService.router.resolve(data.model), chatService.sessions, { data, auth, headers, params, format });
+  let cacheStatus = null;
+  if (cacheKey) {
+    const cached = noCache ? null : await cache.get(cacheKey);
+    cacheStatus = cached ? "HIT" : noCache ? "BYPASS" : "MISS";
+    if (cached) {
+      return { results: cached, runs, cached: true, cacheStatus, store: () => {} };
+    }
+  }
+  const store = (results) => {
+    if (cacheKey && !noStore) {
+      cache.set(cacheKey, results);
+    }
+  };
+  const complete = (results) => {
+    store(results);
+    return { results, runs, cached: false, cacheStatus, store };
+  };
+
+  try {
+    if (format) {
+      // 结构化输出要先拿到完整的回答才能校验，因此总是以非流式方式请求 Coze，
+      // 重试时带上不合格的回答和错误信息，使用不保存的临时会话
+      return complete(await Promise.all(Array.from({ length: params.n }, (item, index) => completeStructured(
+        format,
+        data.messages,
+        async (messages, attempt) => {
+          const run = createRun({
+            messages,
+            stream: false,
+            ephemeral: index > 0 || attempt > 0,
+            instructions: formatInstructions(format),
+          });
+          await run.start();
+          return run.result();
+        },
+        { retries: structuredOutputRetries }
+      ))));
+    }
+
+    // n > 1 时并行发起 n 个 Coze 对话，只有第一个使用并保存会话
+    for (let index = 0; index < params.n; index++) {
+      createRun({ ephemeral: index > 0 });
+    }
+    await Promise.all(runs.map((run) => run.start()));
+    if (!stream) {
+      return complete(await Promise.all(runs.map((run) => run.result())));
+    }
+    return { results: null, runs, cached: false, cacheStatus, store };
+  } catch (error) {
+    runs.forEach((run) => run.cancel());
+    throw error;
+  }
+}
+
+/**
+ * 创建 /v1/chat/completions 的处理函数
+ * @param {import("./chat.js").ChatService} chatService
+ * @param {object} [options]
+ * @param {number} [options.structuredOutputRetries] - 结构化输出校验失败后的最多重试次数
+ * @param {import("./cache.js").ResponseCache|null} [options.cache] - 响应缓存
+ * @param {number} [options.keepAliveInterval] - 流式响应的保活间隔（毫秒），0 表示不发送
+ */
+export function createChatCompletionsHandler(chatService, { structuredOutputRetries = 1, cache = null, keepAliveInterval = 0 } = {}) {
+  return async (req, res) => {
+    const data = req.body;
+    const stream = data.stream !== undefined ? data.stream : false;
+    const include_usage = Boolean(data.stream_options && data.stream_options.include_usage);
+    const sse = stream ? new SSEWriter(res, { keepAliveInterval }) : null;
+    // 等待 Coze 返回第一个 token（例如执行插件）时也保活，此后出现的错误只能在事件流中返回
+    if (sse) {
+      sse.keepAlive();
+    }
+
+    // 事件流已经开始时，错误以数据块的形式返回
+    const writeFailure = async (failure) => {
+      res.locals.error = failure.code || failure.type;
+      logger.error("Coze 流式 API 错误", { error: failure.message });
+      await sse.send(errorBody(failure.message, failure));
+      await sse.send("[DONE]");
+      sse.end();
+    };
+
+    let completion;
+    try {
+      completion = await runChatCompletion(chatService, data, {
+        auth: req.auth,
+        headers: req.headers,
+        stream: Boolean(stream),
+        cache,
+        structuredOutputRetries,
+        // 客户端断开时取消对话
+        onRun: (run) => cancelOnClose(run, res),
+      });
+    } catch (error) {
+      const failure = describeError(error);
+      if (failure && sse && res.headersSent) {
+        return writeFailure(failure);
+      }
+      if (sse) {
+        sse.stopKeepAlive();
+      }
+      return sendFailure(res, error);
+    }
+    // 已经发送过保活时响应头已发出，不再设置
+    if (completion.cacheStatus && !res.headersSent) {
+      res.set("x-cache", completion.cacheStatus);
+    }
+
+    const sendResults = (results, { countUsage = true } = {}) => {
+      const formattedResponse = formatCompletion(data, results);
+      if (countUsage) {
+        res.locals.usage = formattedResponse.usage;
+      }
+      res.set("Content-Type", "application/json");
+      return res.send(JSON.stringify(formattedResponse, null, 2));
+    };
+
+    const id = completionId();
+    const created = Math.floor(Date.now() / 1000);
+    const writeChunk = (delta, finish_reason, index = 0) => sse.send({
+      id,
+      object: "chat.completion.chunk",
+      created,
+      model: data.model,
+      choices: [
+        {
+          index,
+          delta: delta,
+          finish_reason: finish_reason,
+        },
+      ],
+    });
+
+    // stream_options.include_usage 为 true 时，在 [DONE] 之前发送一个只包含 usage 的数据块
+    const writeUsageChunk = async (usage) => {
+      if (!include_usage) return;
+      await sse.send({
+        id,
+        object: "chat.completion.chunk",
+        created,
+        model: data.model,
+        choices: [],
+        usage: usage,
+      });
+    };
+
+    // 把完整的结果以流式响应输出：结构化输出校验通过后，或命中缓存时
+    const writeResults = async (results, { countUsage = true } = {}) => {
+      for (const [index, result] of results.entries()) {
+        if (result.reasoning) {
+          await writeChunk({ role: "assistant", reasoning_content: result.reasoning }, null, index);
+        }
+        if (result.toolCalls.length > 0) {
+          await writeChunk({
+            role: "assistant",
+            content: null,
+            tool_calls: result.toolCalls.map((toolCall, toolIndex) => ({ index: toolIndex, ...toolCall })),
+          }, null, index);
+        } else {
+          await writeChunk({ role: "assistant", content: result.content }, null, index);
+        }
+        if (result.citations && result.citations.length > 0) {
+          await writeChunk({ citations: result.citations }, null, index);
+        }
+        if (result.followUps && result.followUps.length > 0) {
+          await writeChunk({ follow_ups: result.followUps }, null, index);
+        }
+        await writeChunk({}, result.finishReason, index);
+      }
+      const usage = sumUsage(results.map((result) => result.usage));
+      if (countUsage) {
+        res.locals.usage = usage;
+      }
+      await writeUsageChunk(usage);
+      await sse.send("[DONE]");
+      sse.end();
+    };
+
+    if (completion.results) {
+      // 命中缓存时没有消耗 Coze 的 token，不计入用量
+      const countUsage = !completion.cached;
+      return stream ? writeResults(completion.results, { countUsage }) : sendResults(completion.results, { countUsage });
+    }
+
+    const runs = completion.runs;
+    const cancelAll = () => runs.forEach((run) => run.cancel());
+    // 每个 choice 的完整结果，用于合并用量和写入缓存
+    const streamed = runs.map(() => ({
+      content: "",
+      reasoning: null,
+      followUps: null,
+      citations: null,
+      toolCalls: [],
+      finishReason: null,
+      stopSequence: null,
+      usage: null,
+    }));
+    try {
+      for await (const { index, event } of mergeEvents(runs)) {
+        const result = streamed[index];
+        if (event.type === "delta") {
+          result.content += event.content;
+          await writeChunk({ content: event.content }, null, index);
+        } else if (event.type === "reasoning") {
+          result.reasoning = (result.reasoning || "") + event.content;
+          await writeChunk({ reasoning_content: event.content }, null, index);
+        } else if (event.type === "citations") {
+          result.citations = [...(result.citations || []), ...event.citations];
+          await writeChunk({ citations: event.citations }, null, index);
+        } else if (event.type === "follow_ups") {
+          result.followUps = event.followUps;
+          await writeChunk({ follow_ups: event.followUps }, null, index);
+        } else if (event.type === "tool_calls") {
+          result.toolCalls = event.toolCalls;
+          await writeChunk({
+            role: "assistant",
+            content: null,
+            tool_calls: event.toolCalls.map((toolCall, toolIndex) => ({ index: toolIndex, ...toolCall })),
+          }, null, index);
+        } else if (event.type === "finish") {
+          Object.assign(result, { finishReason: event.finishReason, stopSequence: event.stopSequence, usage: event.usage });
+          await writeChunk({}, event.finishReason, index);
+        }
+      }
+      completion.store(streamed);
+      const usage = sumUsage(streamed.map((result) => result.usage));
+      // 记录本轮用量（计入 token 配额）
+      res.locals.usage = usage;
+      await writeUsageChunk(usage);
+    } catch (err) {
+      const failure = describeError(err);
+      if (!failure) {
+        // 客户端已断开，上游请求已中止
+        return;
+      }
+      cancelAll();
+      return writeFailure(failure);
+    }
+    await sse.send("[DONE]");
+    sse.end();
+  };
+}
+
+/**
+ * 计算请求的缓存 key，请求不使用缓存时返回 null：未开启缓存、模型未开启、无权使用该模型、
+ * 属于一个 Coze 会话（X-Conversation-Id，或 SESSION_MODE 为 user / hash 时能关联到会话）或提交工具结果。
+ * 模型配置中影响回答的 system_prompt_prefix 和 custom_variables 也计入 key，修改配置后不会命中旧的回答。
+ * @param {import("./cache.js").ResponseCache|null} cache
+ * @param {object|null} route - 请求的模型路由
+ * @param {import("./sessions.js").SessionManager} sessions
+ * @param {object} request
+ * @param {object} request.data - 请求体
+ * @param {object} request.auth - 认证信息（req.auth）
+ * @param {object} request.headers - 请求头
+ * @param {object} request.params - parseSamplingParams 的返回值
+ * @param {object|null} request.format - parseResponseFormat 的返回值
+ * @returns {string|null}
+ */
+function cacheKeyOf(cache, route, sessions, { data, auth, headers, params, format }) {
+  if (!cache || !cache.enabledFor(route) || !canUseRoute(auth, route)) {
+    return null;
+  }
+  if (extractToolOutputs(data.messages).length > 0) {
+    return null;
+  }
+  // 与 ChatRun 查找会话时使用同样的上下文，回答依赖 Coze 会话中的上下文和记忆
+  const sessionKey = sessions.resolveKey({
+    conversationId: headers["x-conversation-id"],
+    user: data.user,
+    model: route.id,
+    token: auth.apiKey,
+  }, data.messages.slice(0, -1));
+  if (sessionKey) {
+    return null;
+  }
+  return cache.key({
+    model: route.id,
+    caller: callerOf(auth),
+    messages: data.messages,
+    params: {
+      stop: params.stop,
+      max_tokens: params.maxTokens,
+      n: params.n,
+      response_format: format,
+      user: data.user,
+      coze_extensions: data.coze_extensions,
+      system_prompt_prefix: route.systemPromptPrefix,
+      custom_variables: route.customVariables,
+    },
+  });
+}
+
+function sendFailure(res, error) {
+  const failure = describeError(error);
+  if (!failure || res.headersSent) {
+    return res.end();
+  }
+  return sendError(res, failure.status, failure.message, failure);
+}
@@ -0,0 +1,224 @@
+import { ChatError } from "./errors.js";
+import { estimateTokens } from "./usage.js";
+
+// 系统提示词和采样参数的处理。Coze 机器人的提示词和模型参数在 Coze 中配置，代理只能做以下映射：
+// - system 消息：作为前缀拼接到第一条用户消息，或通过 Coze 的 custom_variables / parameters 传给机器人
+// - stop / max_tokens：由代理截断输出，finish_reason 分别为 "stop" 和 "length"
+// - n > 1：并行发起多个 Coze 对话
+// 其它参数（temperature 等）无法传给 Coze，默认忽略，开启严格模式（STRICT_PARAMS=true）时返回 400 错误。
+
+const SYSTEM_PROMPT_MODES = ["prefix", "variable", "parameters", "ignore"];
+// n 的上限，避免一个请求发起过多的 Coze 对话
+export const MAX_CHOICES = 8;
+const MAX_STOP_SEQUENCES = 4;
+
+/**
+ * 从环境变量读取系统提示词的处理方式
+ * @returns {{mode: string, template: string, variable: string}}
+ */
+export function systemPromptOptionsFromEnv() {
+  const mode = process.env.SYSTEM_PROMPT_MODE || "prefix";
+  if (!SYSTEM_PROMPT_MODES.includes(mode)) {
+    throw new Error(`未知的 SYSTEM_PROMPT_MODE: ${mode}`);
+  }
+  return {
+    mode,
+    // {system} 会被替换为系统提示词，环境变量中可以用 \n 表示换行
+    template: process.env.SYSTEM_PROMPT_TEMPLATE
+      ? process.env.SYSTEM_PROMPT_TEMPLATE.replace(/\\n/g, "\n")
+      : "{system}\n\n",
+    variable: process.env.SYSTEM_PROMPT_VARIABLE || "system_prompt",
+  };
+}
+
+function textOf(content) {
+  if (typeof content === "string") {
+    return content;
+  }
+  return (content || [])
+    .filter((part) => part.type === "text" || part.type === "input_text")
+    .map((part) => part.text)
+    .join("\n");
+}
+
+/**
+ * 合并所有 system（以及 developer）消息的文本
+ * @param {Array<object>} messages - OpenAI 格式的消息
+ * @returns {string}
+ */
+export function systemPromptOf(messages) {
+  return messages
+    .filter((message) => message.role === "system" || message.role === "developer")
+    .map((message) => textOf(message.content))
+    .filter(Boolean)
+    .join("\n\n");
+}
+
+/**
+ * 去掉 system 消息，按配置把系统提示词放进消息或 Coze 请求体
+ * @param {Array<object>} messages - 本次要发送给 Coze 的消息
+ * @param {string} system - 系统提示词
+ * @param {object} options - 见 systemPromptOptionsFromEnv
+ * @param {object} [state]
+ * @param {boolean} [state.fresh] - 是否新建 Coze 会话，prefix 模式只在新会话中拼接
+ * @returns {{messages: Array<object>, body: object}} - body 需要合并到 /v3/chat 的请求体中
+ */
+export function applySystemPrompt(messages, system, options, { fresh = true } = {}) {
+  const rest = messages.filter((message) => message.role !== "system" && message.role !== "developer");
+  if (!system || options.mode === "ignore") {
+    return { messages: rest, body: {} };
+  }
+  if (options.mode === "variable") {
+    return { messages: rest, body: { custom_variables: { [options.variable]: system } } };
+  }
+  if (options.mode === "parameters") {
+    return { messages: rest, body: { parameters: { [options.variable]: system } } };
+  }
+  // prefix：只在新会话中拼接，之后的轮次由 Coze 会话保留
+  const index = rest.findIndex((message) => message.role === "user");
+  if (index === -1 || !fresh) {
+    return { messages: rest, body: {} };
+  }
+  const prefix = options.template.replace("{system}", system);
+  const message = rest[index];
+  const content = typeof message.content === "string"
+    ? prefix + message.content
+    : [{ type: "text", text: prefix }, ...message.content];
+  return { messages: rest.map((item, i) => (i === index ? { ...item, content } : item)), body: {} };
+}
+
+/**
+ * 在最后一条用户消息末尾附加说明（例如 response_format 的输出要求），不修改原消息
+ * @param {Array<object>} messages - 本次要发送给 Coze 的消息
+ * @param {string} [text] - 要附加的说明
+ * @returns {Array<object>}
+ */
+export function appendInstructions(messages, text) {
+  let index = -1;
+  messages.forEach((message, i) => {
+    if (message.role === "user") index = i;
+  });
+  if (!text || index === -1) {
+    return messages;
+  }
+  const message = messages[index];
+  const content = typeof message.content === "string"
+    ? `${message.content}\n\n${text}`
+    : [...message.content, { type: "text", text }];
+  return messages.map((item, i) => (i === index ? { ...item, content } : item));
+}
+
+/**
+ * 校验 stop、max_tokens、n 等参数，严格模式下不支持的参数返回 400 错误
+ * @param {object} body - 请求体
+ * @param {object} options
+ * @param {Array<string>} options.unsupported - 无法支持的参数名
+ * @param {boolean} options.strict - 是否开启严格模式
+ * @returns {{stop: Array<string>, maxTokens: number|null, n: number}}
+ */
+export function parseSamplingParams(body, { unsupported, strict }) {
+  if (strict) {
+    const param = unsupported.find((name) => body[name] !== undefined && body[name] !== null && body[name] !== false);
+    if (param) {
+      throw new ChatError(`Coze 不支持参数 '${param}'。`, 400, { param, code: "unsupported_parameter" });
+    }
+  }
+
+  let stop = body.stop !== undefined ? body.stop : body.stop_sequences;
+  stop = stop === undefined || stop === null ? [] : Array.isArray(stop) ? stop : [stop];
+  if (stop.length > MAX_STOP_SEQUENCES || stop.some((item) => typeof item !== "string")) {
+    throw new ChatError(`stop 最多包含 ${MAX_STOP_SEQUENCES} 个字符串。`, 400, { param: "stop" });
+  }
+
+  const maxTokens = body.max_completion_tokens !== undefined && body.max_completion_tokens !== null
+    ? body.max_completion_tokens
+    : body.max_tokens;
+  if (maxTokens !== undefined && maxTokens !== null && !(Number.isInteger(maxTokens) && maxTokens > 0)) {
+    throw new ChatError("max_tokens 必须是正整数。", 400, { param: "max_tokens" });
+  }
+
+  const n = body.n === undefined || body.n === null ? 1 : body.n;
+  if (!Number.isInteger(n) || n < 1 || n > MAX_CHOICES) {
+    throw new ChatError(`n 必须是 1 到 ${MAX_CHOICES} 之间的整数。`, 400, { param: "n" });
+  }
+  return { stop: stop.filter(Boolean), maxTokens: maxTokens || null, n };
+}
+
+/**
+ * 按 stop 和 max_tokens 截断输出。流式输出时保留可能是 stop 开头的末尾几个字符，直到能确定不是 stop。
+ */
+export class OutputLimiter {
+  /**
+   * @param {object} options
+   * @param {Array<string>} [options.stop] - 停止序列
+   * @param {number|null} [options.maxTokens] - 最大输出 token 数（本地估算）
+   */
+  constructor({ stop = [], maxTokens = null } = {}) {
+    this.stop = stop;
+    this.maxTokens = maxTokens;
+    this.holdBack = Math.max(0, ...stop.map((sequence) => sequence.length - 1));
+    this.output = "";
+    this.pending = "";
+    this.done = false;
+  }
+
+  /**
+   * 输入一段新的输出
+   * @param {string} chunk
+   * @returns {{text: string, finishReason: string|null, stopSequence?: string}} - 可以发送的文本，以及截断原因
+   */
+  push(chunk) {
+    if (this.done) {
+      return { text: "", finishReason: null };
+    }
+    const buffer = this.pending + chunk;
+    let stopAt = -1;
+    let stopSequence = null;
+    for (const sequence of this.stop) {
+      const index = buffer.indexOf(sequence);
+      if (index !== -1 && (stopAt === -1 || index < stopAt)) {
+        stopAt = index;
+        stopSequence = sequence;
+      }
+    }
+    if (stopAt !== -1) {
+      this.pending = "";
+      const result = this.emit(buffer.slice(0, stopAt));
+      this.done = true;
+      return result.finishReason ? result : { ...result, finishReason: "stop", stopSequence };
+    }
+    const safe = Math.max(0, buffer.length - this.holdBack);
+    this.pending = buffer.slice(safe);
+    return this.emit(buffer.slice(0, safe));
+  }
+
+  /**
+   * 输出结束，返回保留的末尾文本
+   */
+  flush() {
+    const pending = this.pending;
+    this.pending = "";
+    return this.done ? { text: "", finishReason: null } : this.emit(pending);
+  }
+
+  emit(text) {
+    if (this.maxTokens && estimateTokens(this.output + text) > this.maxTokens) {
+      // 二分查找不超过 max_tokens 的最长前缀
+      let low = 0;
+      let high = text.length;
+      while (low < high) {
+        const middle = Math.ceil((low + high) / 2);
+        if (estimateTokens(this.output + text.slice(0, middle)) <= this.maxTokens) {
+          low = middle;
+        } else {
+          high = middle - 1;
+        }
+      }
+      this.output += text.slice(0, low);
+      this.done = true;
+      return { text: text.slice(0, low), finishReason: "length" };
+    }
+    this.output += text;
+    return { text, finishReason: null };
+  }
+}
@@ -0,0 +1,296 @@
+import crypto from "crypto";
+import { FileSessionStore, MemorySessionStore } from "./sessions.js";
+import { sendError } from "./errors.js";
+import { logger } from "./logger.js";
+
+// 按调用方（API Key）限流：每分钟请求数、并发流数、每日/每月 token 配额。
+// 计数保存在计数存储中（默认内存，可选文件或 Redis）；并发流数只在当前进程内统计。
+
+const MINUTE = 60 * 1000;
+const DAY = 24 * 60 * MINUTE;
+
+/**
+ * 内存计数存储
+ */
+export class MemoryCounterStore {
+  constructor(store = new MemorySessionStore()) {
+    this.store = store;
+  }
+
+  async get(key) {
+    return (await this.store.get(key)) || 0;
+  }
+
+  async incr(key, amount, ttl) {
+    // 读取和写入之间不能有 await，否则并发的请求读到相同的计数，限额会被超过。
+    // set 在返回 Promise 之前已经同步写入内存，只有写文件是异步的
+    const value = (this.store.read(key) || 0) + amount;
+    await this.store.set(key, value, ttl);
+    return value;
+  }
+}
+
+/**
+ * 文件计数存储，重启后 token 配额的用量不会丢失
+ */
+export class FileCounterStore extends MemoryCounterStore {
+  constructor(filePath) {
+    super(new FileSessionStore(filePath));
+  }
+}
+
+/**
+ * Redis 计数存储，多个实例共享计数，需要额外安装 redis 依赖（pnpm add redis）
+ */
+export class RedisCounterStore {
+  constructor(url) {
+    this.url = url;
+    this.client = null;
+  }
+
+  async connect() {
+    if (!this.client) {
+      const { createClient } = await import("redis");
+      this.client = createClient({ url: this.url });
+      this.client.on("error", (error) => logger.error("Redis 连接错误", { error }));
+      await this.client.connect();
+    }
+    return this.client;
+  }
+
+  async get(key) {
+    const client = await this.connect();
+    return parseInt((await client.get(`coze2openai:limit:${key}`)) || "0", 10);
+  }
+
+  async incr(key, amount, ttl) {
+    const client = await this.connect();
+    const redisKey = `coze2openai:limit:${key}`;
+    const [value] = await client.multi().incrBy(redisKey, amount).pExpire(redisKey, ttl).exec();
+    return Number(value);
+  }
+}
+
+/**
+ * 根据环境变量创建计数存储
+ */
+export function createCounterStore() {
+  switch (process.env.LIMIT_STORE || "memory") {
+    case "file":
+      return new FileCounterStore(process.env.LIMIT_FILE || "data/limits.json");
+    case "redis":
+      return new RedisCounterStore(process.env.REDIS_URL || "redis://localhost:6379");
+    case "memory":
+      return new MemoryCounterStore();
+    default:
+      throw new Error(`未知的 LIMIT_STORE: ${process.env.LIMIT_STORE}`);
+  }
+}
+
+/**
+ * 从环境变量读取默认限额，0 表示不限制。密钥表中每个密钥的 limits 字段可以覆盖这些默认值。
+ * @returns {{rpm: number, concurrent_streams: number, daily_tokens: number, monthly_tokens: number}}
+ */
+export function limitsFromEnv() {
+  const number = (value) => parseInt(value || "0", 10);
+  return {
+    rpm: number(process.env.RATE_LIMIT_RPM),
+    concurrent_streams: number(process.env.RATE_LIMIT_CONCURRENT_STREAMS),
+    daily_tokens: number(process.env.QUOTA_DAILY_TOKENS),
+    monthly_tokens: number(process.env.QUOTA_MONTHLY_TOKENS),
+  };
+}
+
+// OpenAI 的 x-ratelimit-reset-* 头使用 "1m30s" 这样的格式
+function formatDuration(ms) {
+  const seconds = Math.max(1, Math.ceil(ms / 1000));
+  const hours = Math.floor(seconds / 3600);
+  const minutes = Math.floor((seconds % 3600) / 60);
+  return `${hours ? `${hours}h` : ""}${minutes ? `${minutes}m` : ""}${seconds % 60}s`;
+}
+
+function tokenPeriods(now) {
+  const date = new Date(now);
+  const day = date.toISOString().slice(0, 10);
+  const month = day.slice(0, 7);
+  const nextDay = Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate() + 1);
+  const nextMonth = Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 1);
+  return [
+    { name: "daily", limitField: "daily_tokens", key: `d:${day}`, resetAt: nextDay, ttl: nextDay - now + DAY },
+    { name: "monthly", limitField: "monthly_tokens", key: `m:${month}`, resetAt: nextMonth, ttl: nextMonth - now + DAY },
+  ];
+}
+
+/**
+ * 查询密钥在当前周期内已使用的 token 数，供管理后台显示
+ * @param {object} store - 计数存储
+ * @param {string} name - 密钥名称
+ * @returns {Promise<{daily_tokens: number, monthly_tokens: number}>}
+ */
+export async function tokenUsage(store, name) {
+  const usage = {};
+  for (const period of tokenPeriods(Date.now())) {
+    usage[period.limitField] = await store.get(`tokens:key:${name}:${period.key}`);
+  }
+  return usage;
+}
+
+/**
+ * 调用方在计数存储中的标识：keys 模式下为密钥名称，passthrough 模式下为 token 的哈希
+ * @param {object} auth - 认证信息（req.auth）
+ * @returns {string}
+ */
+export function limitCaller(auth) {
+  return auth.key
+    ? `key:${auth.key.name}`
+    : `token:${crypto.createHash("sha256").update(auth.apiKey).digest("hex").slice(0, 16)}`;
+}
+
+/**
+ * 调用方的限额：默认限额被密钥的 limits 字段覆盖
+ * @param {object} defaults - 默认限额，见 limitsFromEnv
+ * @param {object} auth - 认证信息（req.auth）
+ * @returns {object}
+ */
+export function limitsOf(defaults, auth) {
+  return { ...defaults, ...(auth.key && auth.key.limits) };
+}
+
+/**
+ * 检查 token 配额和每分钟请求数，通过时当前分钟的请求数加一。限流中间件和批处理共用。
+ * @param {object} store - 计数存储
+ * @param {object} limits - 调用方的限额，见 limitsOf
+ * @param {string} caller - 调用方，见 limitCaller
+ * @param {number} [now]
+ * @returns {Promise<{headers: object, limited: {message: string, type: string, code: string, retryAfter: number,
+ *   quota: boolean}|null}>} - x-ratelimit-* 响应头；超出限制时 limited 说明原因，retryAfter 为毫秒，
+ *   quota 为 true 表示超出 token 配额（而不是每分钟请求数）
+ */
+export async function checkLimits(store, limits, caller, now = Date.now()) {
+  const headers = {};
+
+  // 1. token 配额
+  const periods = tokenPeriods(now).filter((period) => limits[period.limitField]);
+  for (const [index, period] of periods.entries()) {
+    const limit = limits[period.limitField];
+    const used = await store.get(`tokens:${caller}:${period.key}`);
+    // x-ratelimit-*-tokens 头反映最短的一个配额周期
+    if (index === 0) {
+      Object.assign(headers, {
+        "x-ratelimit-limit-tokens": String(limit),
+        "x-ratelimit-remaining-tokens": String(Math.max(0, limit - used)),
+        "x-ratelimit-reset-tokens": formatDuration(period.resetAt - now),
+      });
+    }
+    if (used >= limit) {
+      return {
+        headers,
+        limited: {
+          message: `已超出${period.name === "daily" ? "每日" : "每月"} token 配额（${limit}）。`,
+          type: "insufficient_quota",
+          code: "insufficient_quota",
+          retryAfter: period.resetAt - now,
+          quota: true,
+        },
+      };
+    }
+  }
+
+  // 2. 每分钟请求数（固定窗口）
+  if (limits.rpm) {
+    const window = Math.floor(now / MINUTE);
+    const resetIn = (window + 1) * MINUTE - now;
+    const count = await store.incr(`rpm:${caller}:${window}`, 1, MINUTE);
+    Object.assign(headers, {
+      "x-ratelimit-limit-requests": String(limits.rpm),
+      "x-ratelimit-remaining-requests": String(Math.max(0, limits.rpm - count)),
+      "x-ratelimit-reset-requests": formatDuration(resetIn),
+    });
+    if (count > limits.rpm) {
+      return {
+        headers,
+        limited: {
+          message: `请求过于频繁，每分钟最多 ${limits.rpm} 次请求。`,
+          type: "requests",
+          code: "rate_limit_exceeded",
+          retryAfter: resetIn,
+          quota: false,
+        },
+      };
+    }
+  }
+  return { headers, limited: null };
+}
+
+/**
+ * 把一次请求消耗的 token 计入调用方的每日和每月配额，失败时只记录错误
+ * @param {object} store - 计数存储
+ * @param {string} caller - 调用方，见 limitCaller
+ * @param {number} tokens
+ * @returns {Promise<void>}
+ */
+export async function recordTokens(store, caller, tokens) {
+  await Promise.all(tokenPeriods(Date.now()).map((period) =>
+    store.incr(`tokens:${caller}:${period.key}`, tokens, period.ttl)
+      .catch((error) => logger.error("记录 token 用量失败", { error }))));
+}
+
+/**
+ * 创建限流中间件，需要放在认证中间件之后。
+ * 请求结束后，处理函数写入 res.locals.usage 的 total_tokens 会计入 token 配额。
+ * @param {object} options
+ * @param {object} options.store - 计数存储，需实现 get/incr
+ * @param {object} options.defaults - 默认限额，见 limitsFromEnv
+ */
+export function createRateLimiter({ store, defaults }) {
+  // 当前进程内各调用方正在进行的流式请求数
+  const activeStreams = new Map();
+
+  return async (req, res, next) => {
+    const limits = limitsOf(defaults, req.auth);
+    const caller = limitCaller(req.auth);
+
+    try {
+      const { headers, limited } = await checkLimits(store, limits, caller);
+      res.set(headers);
+      if (limited) {
+        res.set("Retry-After", String(Math.ceil(limited.retryAfter / 1000)));
+        return sendError(res, 429, limited.message, { type: limited.type, code: limited.code });
+      }
+    } catch (error) {
+      logger.error("限流计数存储出错", { error });
+      return next(error);
+    }
+
+    // 3. 并发流数
+    const stream = Boolean(req.body && req.body.stream);
+    if (stream && limits.concurrent_streams) {
+      const active = activeStreams.get(caller) || 0;
+      if (active >= limits.concurrent_streams) {
+        res.set("Retry-After", "1");
+        return sendError(res, 429, `并发流式请求过多，最多同时 ${limits.concurrent_streams} 个。`, {
+          type: "requests",
+          code: "rate_limit_exceeded",
+        });
+      }
+      activeStreams.set(caller, active + 1);
+    }
+
+    // 请求结束（完成或客户端断开）后释放并发名额，并记录 token 用量
+    res.once("close", () => {
+      if (stream && limits.concurrent_streams) {
+        const active = (activeStreams.get(caller) || 1) - 1;
+        if (active > 0) {
+          activeStreams.set(caller, active);
+        } else {
+          activeStreams.delete(caller);
+        }
+      }
+      const tokens = res.locals.usage && res.locals.usage.total_tokens;
+      if (tokens) {
+        recordTokens(store, caller, tokens);
+      }
+    });
+    next();
+  };
+}
@@ -0,0 +1,275 @@
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+import { logger } from "./logger.js";
+
+// 会话层：把客户端的对话映射到 Coze 的 conversation_id，
+// 会话存在时只需要把新增的消息发给 Coze，历史由 Coze 自己保存。
+
+/**
+ * 内存存储（默认），进程重启后会话丢失
+ */
+export class MemorySessionStore {
+  constructor() {
+    this.entries = new Map();
+  }
+
+  async get(key) {
+    return this.read(key);
+  }
+
+  // 同步读取，计数存储在同一个 tick 内读取和写入，避免并发的请求丢失计数
+  read(key) {
+    const entry = this.entries.get(key);
+    if (!entry) {
+      return null;
+    }
+    if (entry.expiresAt <= Date.now()) {
+      this.entries.delete(key);
+      return null;
+    }
+    return entry.value;
+  }
+
+  async set(key, value, ttl) {
+    this.entries.set(key, { value, expiresAt: Date.now() + ttl });
+  }
+
+  async delete(key) {
+    this.entries.delete(key);
+  }
+}
+
+/**
+ * 文件存储，会话以 JSON 形式保存在本地文件中，适合单实例部署
+ */
+export class FileSessionStore extends MemorySessionStore {
+  constructor(filePath) {
+    super();
+    this.filePath = filePath;
+    // 写文件依次进行，避免同时写入同一个文件
+    this.flushing = Promise.resolve();
+    if (fs.existsSync(filePath)) {
+      try {
+        this.entries = new Map(Object.entries(JSON.parse(fs.readFileSync(filePath, "utf8"))));
+      } catch (error) {
+        logger.error("读取会话文件失败，将使用空会话", { file: filePath, error: error.message });
+      }
+    }
+  }
+
+  async set(key, value, ttl) {
+    await super.set(key, value, ttl);
+    await this.flush();
+  }
+
+  async delete(key) {
+    await super.delete(key);
+    await this.flush();
+  }
+
+  flush() {
+    const flushing = this.flushing.then(() => this.write());
+    // 一次写入失败不影响之后的写入，错误由调用方处理
+    this.flushing = flushing.catch(() => {});
+    return flushing;
+  }
+
+  // 写入当前的全部会话，先写临时文件再重命名
+  async write() {
+    const now = Date.now();
+    for (const [key, entry] of this.entries) {
+      if (entry.expiresAt <= now) {
+        this.entries.delete(key);
+      }
+    }
+    await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+    const temp = `${this.filePath}.${process.pid}.tmp`;
+    await fs.promises.writeFile(temp, JSON.stringify(Object.fromEntries(this.entries)));
+    await fs.promises.rename(temp, this.filePath);
+  }
+}
+
+/**
+ * Redis 存储，需要额外安装 redis 依赖（pnpm add redis），兼容任意实现了 Redis 协议的服务
+ */
+export class RedisSessionStore {
+  constructor(url) {
+    this.url = url;
+    this.client = null;
+  }
+
+  async connect() {
+    if (!this.client) {
+      const { createClient } = await import("redis");
+      this.client = createClient({ url: this.url });
+      this.client.on("error", (error) => logger.error("Redis 连接错误", { error }));
+      await this.client.connect();
+    }
+    return this.client;
+  }
+
+  async get(key) {
+    const client = await this.connect();
+    const value = await client.get(`coze2openai:session:${key}`);
+    return value ? JSON.parse(value) : null;
+  }
+
+  async set(key, value, ttl) {
+    const client = await this.connect();
+    await client.set(`coze2openai:session:${key}`, JSON.stringify(value), { PX: ttl });
+  }
+
+  async delete(key) {
+    const client = await this.connect();
+    await client.del(`coze2openai:session:${key}`);
+  }
+}
+
+/**
+ * 根据环境变量创建会话存储
+ * @returns {MemorySessionStore|FileSessionStore|RedisSessionStore}
+ */
+export function createSessionStore() {
+  switch (process.env.SESSION_STORE || "memory") {
+    case "file":
+      return new FileSessionStore(process.env.SESSION_FILE || "data/sessions.json");
+    case "redis":
+      return new RedisSessionStore(process.env.REDIS_URL || "redis://localhost:6379");
+    case "memory":
+      return new MemorySessionStore();
+    default:
+      throw new Error(`未知的 SESSION_STORE: ${process.env.SESSION_STORE}`);
+  }
+}
+
+function sha256(value) {
+  return crypto.createHash("sha256").update(value).digest("hex");
+}
+
+/**
+ * 计算一组消息的哈希，用于判断客户端发来的历史是否与会话中保存的一致
+ * @param {Array<object>} messages - OpenAI 格式的消息
+ * @returns {string}
+ */
+export function hashMessages(messages) {
+  const normalized = messages.map((message) => [
+    message.role,
+    typeof message.content === "string" ? message.content.trim() : JSON.stringify(message.content),
+  ]);
+  return sha256(JSON.stringify(normalized));
+}
+
+export class SessionManager {
+  /**
+   * @param {object} options
+   * @param {object} options.store - 会话存储，需实现 get/set/delete
+   * @param {string} options.mode - off | header | user | hash
+   * @param {number} options.ttl - 会话有效期（毫秒）
+   */
+  constructor({ store, mode = "header", ttl = 24 * 60 * 60 * 1000 }) {
+    this.store = store;
+    this.mode = mode;
+    this.ttl = ttl;
+  }
+
+  /**
+   * 计算会话的存储 key。key 中包含模型名和调用方 key 的哈希，不同调用方之间的会话互不可见。
+   * 优先使用客户端传入的会话 ID，其次按 SESSION_MODE 使用 user 字段或历史消息的哈希。
+   * @param {object} context - { conversationId, user, model, token }
+   * @param {Array<object>} history - 本轮新消息之前的历史消息
+   * @returns {string|null} - 不使用会话时返回 null
+   */
+  resolveKey(context, history) {
+    if (this.mode === "off") {
+      return null;
+    }
+    let clientKey = null;
+    if (context.conversationId) {
+      clientKey = `id:${context.conversationId}`;
+    } else if (this.mode === "user" && context.user) {
+      clientKey = `user:${context.user}`;
+    } else if (this.mode === "hash" && history.length > 0) {
+      clientKey = `hash:${hashMessages(history)}`;
+    }
+    if (!clientKey) {
+      return null;
+    }
+    return `${context.model}:${sha256(context.token).slice(0, 16)}:${clientKey}`;
+  }
+
+  /**
+   * 查找会话，并计算需要发送给 Coze 的新消息。
+   * 客户端的历史与会话记录对不上（例如重新生成、编辑了历史）时视为新会话，发送完整历史。
+   * @returns {Promise<{conversationId: string, target: string|null, messages: Array<object>}>}
+   *   - target：会话所在的上游目标，Coze 会话只在该目标上有效
+   */
+  async resume(context, messages) {
+    const key = this.resolveKey(context, messages.slice(0, -1));
+    const session = key ? await this.store.get(key) : null;
+    if (
+      session &&
+      messages.length > session.message_count &&
+      hashMessages(messages.slice(0, session.message_count)) === session.prefix_hash
+    ) {
+      return {
+        conversationId: session.conversation_id,
+        target: session.target || null,
+        messages: messages.slice(session.message_count),
+      };
+    }
+    return { conversationId: "", target: null, messages };
+  }
+
+  /**
+   * 一轮对话完成后保存会话，记录的历史包含本轮助手的回答。
+   * 哈希模式下，下一轮请求的历史就是本轮的完整历史，因此以它的哈希作为 key。
+   */
+  async save(context, conversationId, messages, answer, target = null) {
+    if (!conversationId) {
+      return;
+    }
+    const history = [...messages, { role: "assistant", content: answer }];
+    const key = this.resolveKey(context, history);
+    if (!key) {
+      return;
+    }
+    await this.store.set(key, {
+      conversation_id: conversationId,
+      target: target,
+      message_count: history.length,
+      prefix_hash: hashMessages(history),
+    }, this.ttl);
+    if (context.conversationId) {
+      const index = this.indexKey(context);
+      const keys = (await this.store.get(index)) || [];
+      await this.store.set(index, [...new Set([...keys, key])], this.ttl);
+    }
+  }
+
+  // 客户端会话 ID 的索引，记录使用过该 ID 的会话 key（每个模型一个），删除会话时不需要知道模型
+  indexKey(context) {
+    return `conversation:${sha256(context.token).slice(0, 16)}:${context.conversationId}`;
+  }
+
+  /**
+   * 删除客户端会话 ID 对应的所有会话，不论它们属于哪个模型
+   * @param {object} context - { conversationId, token }
+   * @returns {Promise<number>} - 删除的会话数
+   */
+  async remove(context) {
+    const index = this.indexKey(context);
+    const keys = (await this.store.get(index)) || [];
+    for (const key of [...keys, index]) {
+      await this.store.delete(key);
+    }
+    return keys.length;
+  }
+
+  async reset(context) {
+    const key = this.resolveKey(context, []);
+    if (key) {
+      await this.store.delete(key);
+    }
+  }
+}
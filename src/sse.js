@@ -0,0 +1,188 @@
+// Server-Sent Events：解析 Coze 返回的事件流，以及向客户端输出事件流。
+// 解析按照 HTML 标准的事件流格式：支持 \r\n、\r 和 \n 换行、多行 data 字段、注释行和没有空格的 "field:value"。
+// 输出时等待客户端读取（背压），并在长时间没有输出时发送注释行保活，避免反向代理或 Vercel 断开空闲连接。
+
+/**
+ * 解析 SSE 事件流，每个事件以空行结束。流结束时仍未结束的事件也会返回（Coze 最后一个事件之后可能没有空行）。
+ * @param {AsyncIterable<Buffer|string>} body - 响应体
+ * @returns {AsyncGenerator<{event: string, data: string, id: string|null}>}
+ */
+export async function* parseSSE(body) {
+  // 按流解码，多字节字符被拆到两个数据块中时不会出现乱码；开头的 BOM 由解码器去掉
+  const decoder = new TextDecoder("utf-8");
+  let buffer = "";
+  let event = "";
+  let data = [];
+  let id = null;
+
+  function* dispatch() {
+    if (data.length > 0) {
+      yield { event: event || "message", data: data.join("\n"), id };
+    }
+    event = "";
+    data = [];
+  }
+
+  function* processLine(line) {
+    if (line === "") {
+      yield* dispatch();
+      return;
+    }
+    if (line.startsWith(":")) {
+      // 注释行，通常是保活
+      return;
+    }
+    const colon = line.indexOf(":");
+    const field = colon === -1 ? line : line.slice(0, colon);
+    let value = colon === -1 ? "" : line.slice(colon + 1);
+    if (value.startsWith(" ")) {
+      value = value.slice(1);
+    }
+    if (field === "event") {
+      event = value;
+    } else if (field === "data") {
+      data.push(value);
+    } else if (field === "id" && !value.includes("\0")) {
+      id = value;
+    }
+    // retry 和未知字段忽略
+  }
+
+  function* processBuffer(final) {
+    for (;;) {
+      const match = /\r\n|\r|\n/.exec(buffer);
+      // 末尾的 \r 可能与下一个数据块开头的 \n 组成一个换行，等读到后续内容再处理
+      if (!match || (!final && match[0] === "\r" && match.index === buffer.length - 1)) {
+        return;
+      }
+      const line = buffer.slice(0, match.index);
+      buffer = buffer.slice(match.index + match[0].length);
+      yield* processLine(line);
+    }
+  }
+
+  for await (const chunk of body) {
+    buffer += typeof chunk === "string" ? chunk : decoder.decode(chunk, { stream: true });
+    yield* processBuffer(false);
+  }
+  buffer += decoder.decode();
+  yield* processBuffer(true);
+  if (buffer) {
+    yield* processLine(buffer);
+  }
+  yield* dispatch();
+}
+
+/**
+ * 格式化一个事件，data 中的换行拆成多个 data 字段
+ * @param {*} data - 字符串原样输出，其它值序列化为 JSON
+ * @param {string} [event] - 事件类型，省略时为默认的 message 事件
+ * @returns {string}
+ */
+export function formatEvent(data, event) {
+  const text = typeof data === "string" ? data : JSON.stringify(data);
+  const lines = text.split(/\r\n|\r|\n/).map((line) => `data: ${line}\n`);
+  return (event ? `event: ${event}\n` : "") + lines.join("") + "\n";
+}
+
+/**
+ * 向客户端输出事件流。
+ * 调用 keepAlive() 后，超过 keepAliveInterval 没有输出时发送注释行；在此之前还没有发送响应头时先发送响应头，
+ * 因此等待 Coze 返回第一个 token 的过程中也能保持连接。
+ */
+export class SSEWriter {
+  /**
+   * @param {import("express").Response} res
+   * @param {object} [options]
+   * @param {number} [options.keepAliveInterval] - 保活间隔（毫秒），0 表示不发送
+   */
+  constructor(res, { keepAliveInterval = 0 } = {}) {
+    this.res = res;
+    this.keepAliveInterval = keepAliveInterval;
+    this.lastWrite = Date.now();
+    this.timer = null;
+    res.once("close", () => this.stopKeepAlive());
+  }
+
+  // 连接已断开或响应已结束
+  get closed() {
+    return this.res.destroyed || this.res.writableEnded;
+  }
+
+  /**
+   * 发送事件流的响应头，已发送时不做任何事
+   */
+  open() {
+    if (this.res.headersSent) {
+      return;
+    }
+    this.res.status(200);
+    this.res.setHeader("Content-Type", "text/event-stream; charset=utf-8");
+    this.res.setHeader("Cache-Control", "no-cache");
+    this.res.setHeader("Connection", "keep-alive");
+    // 关闭 Nginx 的响应缓冲
+    this.res.setHeader("X-Accel-Buffering", "no");
+    this.res.flushHeaders();
+  }
+
+  /**
+   * 开始保活，end() 或连接断开时停止
+   */
+  keepAlive() {
+    if (!this.keepAliveInterval || this.timer) {
+      return;
+    }
+    this.lastWrite = Date.now();
+    this.timer = setInterval(() => {
+      // 客户端还没有读完之前的数据时不需要保活
+      if (this.closed || this.res.writableNeedDrain || Date.now() - this.lastWrite < this.keepAliveInterval) {
+        return;
+      }
+      this.open();
+      this.res.write(": keep-alive\n\n");
+      this.lastWrite = Date.now();
+    }, Math.max(1, Math.floor(this.keepAliveInterval / 2)));
+    this.timer.unref();
+  }
+
+  stopKeepAlive() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * 发送一个事件，客户端读取较慢时等待缓冲区清空后再返回；连接已断开时不做任何事
+   * @param {*} data - 字符串原样输出，其它值序列化为 JSON
+   * @param {string} [event] - 事件类型
+   * @returns {Promise<void>}
+   */
+  async send(data, event) {
+    if (this.closed) {
+      return;
+    }
+    this.open();
+    this.lastWrite = Date.now();
+    if (!this.res.write(formatEvent(data, event))) {
+      await new Promise((resolve) => {
+        const done = () => {
+          this.res.off("drain", done);
+          this.res.off("close", done);
+          resolve();
+        };
+        this.res.on("drain", done);
+        this.res.on("close", done);
+      });
+    }
+  }
+
+  /**
+   * 停止保活并结束响应
+   */
+  end() {
+    this.stopKeepAlive();
+    if (!this.closed) {
+      this.open();
+      this.res.end();
+    }
+  }
+}
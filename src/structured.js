@@ -0,0 +1,151 @@
+import { ChatError } from "./errors.js";
+import { SchemaError, compileSchema, validateSchema } from "./jsonschema.js";
+import { logger } from "./logger.js";
+import { sumUsage } from "./usage.js";
+
+// 结构化输出：response_format 为 json_object 或 json_schema 时，
+// 在最后一条用户消息后附加输出要求，从回答中提取 JSON 并按 Schema 校验，
+// 不合格时把错误反馈给机器人重试，重试后仍不合格返回错误。
+
+/**
+ * 解析 response_format，type 为 text 或未设置时返回 null
+ * @param {object|undefined} responseFormat - 请求中的 response_format
+ * @returns {{type: string, name: string|null, schema: object|null}|null}
+ */
+export function parseResponseFormat(responseFormat) {
+  if (!responseFormat || responseFormat.type === "text") {
+    return null;
+  }
+  if (responseFormat.type === "json_object") {
+    return { type: "json_object", name: null, schema: null };
+  }
+  if (responseFormat.type === "json_schema") {
+    const jsonSchema = responseFormat.json_schema;
+    if (!jsonSchema || typeof jsonSchema.name !== "string") {
+      throw new ChatError("response_format.json_schema.name 是必需的。", 400, { param: "response_format" });
+    }
+    if (jsonSchema.schema !== undefined && (typeof jsonSchema.schema !== "object" || jsonSchema.schema === null)) {
+      throw new ChatError("response_format.json_schema.schema 必须是对象。", 400, { param: "response_format" });
+    }
+    // 客户端提供的 Schema 可能无效，在发起对话之前检查，校验回答时不会再出错
+    if (jsonSchema.schema) {
+      try {
+        compileSchema(jsonSchema.schema);
+      } catch (error) {
+        if (!(error instanceof SchemaError)) {
+          throw error;
+        }
+        throw new ChatError(`response_format.json_schema.schema 无效: ${error.message}`, 400, {
+          param: "response_format.json_schema.schema",
+        });
+      }
+    }
+    return { type: "json_schema", name: jsonSchema.name, schema: jsonSchema.schema || null };
+  }
+  throw new ChatError(`不支持的 response_format 类型: ${responseFormat.type}`, 400, { param: "response_format" });
+}
+
+/**
+ * 生成附加到用户消息后的输出要求
+ * @param {object} format - parseResponseFormat 的返回值
+ * @returns {string}
+ */
+export function formatInstructions(format) {
+  if (!format.schema) {
+    return "请只输出一个合法的 JSON 对象，不要包含任何其它文字，也不要使用 Markdown 代码块。";
+  }
+  return [
+    "请只输出一个符合以下 JSON Schema 的 JSON，不要包含任何其它文字，也不要使用 Markdown 代码块。",
+    `JSON Schema（${format.name}）:`,
+    JSON.stringify(format.schema),
+  ].join("\n");
+}
+
+/**
+ * 从回答中提取 JSON：整段回答、Markdown 代码块，或第一个 { / [ 到最后一个 } / ] 之间的内容
+ * @param {string|null} text - 机器人的回答
+ * @returns {{value: *, text: string}} - 解析后的值和对应的 JSON 文本
+ * @throws {Error} 没有找到合法的 JSON
+ */
+export function extractJson(text) {
+  const trimmed = (text || "").trim();
+  const candidates = [trimmed];
+  for (const match of trimmed.matchAll(/```[\w-]*\s*\n?([\s\S]*?)```/g)) {
+    candidates.push(match[1].trim());
+  }
+  const start = trimmed.search(/[{[]/);
+  const end = Math.max(trimmed.lastIndexOf("}"), trimmed.lastIndexOf("]"));
+  if (start !== -1 && end > start) {
+    candidates.push(trimmed.slice(start, end + 1));
+  }
+  for (const candidate of candidates) {
+    try {
+      return { value: JSON.parse(candidate), text: candidate };
+    } catch (error) {
+      // 尝试下一种提取方式
+    }
+  }
+  throw new Error("回答中没有找到合法的 JSON");
+}
+
+/**
+ * 检查回答是否符合 response_format
+ * @param {string|null} content - 机器人的回答
+ * @param {object} format - parseResponseFormat 的返回值
+ * @returns {{text: string|null, errors: Array<string>}} - text 为提取出的 JSON 文本
+ */
+export function checkOutput(content, format) {
+  let json;
+  try {
+    json = extractJson(content);
+  } catch (error) {
+    return { text: null, errors: [error.message] };
+  }
+  if (!format.schema) {
+    const isObject = typeof json.value === "object" && json.value !== null && !Array.isArray(json.value);
+    return { text: json.text, errors: isObject ? [] : ["输出应为 JSON 对象"] };
+  }
+  return { text: json.text, errors: validateSchema(json.value, format.schema) };
+}
+
+/**
+ * 完成一次结构化输出的对话，不合格时带着错误信息重试
+ * @param {object} format - parseResponseFormat 的返回值
+ * @param {Array<object>} messages - OpenAI 格式的消息
+ * @param {function(Array<object>, number): Promise<object>} complete - 发起对话并返回 ChatRun.result()，参数为消息和第几次尝试
+ * @param {object} options
+ * @param {number} options.retries - 最多重试次数
+ * @returns {Promise<object>} - 与 ChatRun.result() 相同，content 为去掉代码块等多余文字后的 JSON，usage 为所有尝试的总和
+ */
+export async function completeStructured(format, messages, complete, { retries }) {
+  const usages = [];
+  let history = messages;
+  for (let attempt = 0; ; attempt++) {
+    const result = await complete(history, attempt);
+    usages.push(result.usage);
+    // 调用端插件时对话暂停，没有需要校验的回答
+    if (result.finishReason === "tool_calls") {
+      return { ...result, usage: sumUsage(usages) };
+    }
+    const { text, errors } = checkOutput(result.content, format);
+    if (errors.length === 0) {
+      return { ...result, content: text, usage: sumUsage(usages) };
+    }
+    if (attempt >= retries) {
+      throw new ChatError(`机器人的输出不符合 response_format（已重试 ${retries} 次）: ${errors.slice(0, 5).join("; ")}`, 502, {
+        type: "api_error",
+        param: "response_format",
+        code: "invalid_structured_output",
+      });
+    }
+    logger.info("结构化输出校验失败，重试", { attempt: attempt + 1, errors: errors.slice(0, 5) });
+    history = [
+      ...history,
+      { role: "assistant", content: result.content || "" },
+      {
+        role: "user",
+        content: `上面的输出不符合要求：\n${errors.slice(0, 10).map((error) => `- ${error}`).join("\n")}\n请只输出修正后的 JSON。`,
+      },
+    ];
+  }
+}
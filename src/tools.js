@@ -0,0 +1,92 @@
+// OpenAI tools / function calling 与 Coze requires_action 流程之间的转换。
+// Coze 机器人调用端插件时会暂停对话（status 为 requires_action），
+// 代理把其中的 tool_calls 返回给客户端，客户端带着 role: "tool" 的消息再次请求时，
+// 通过 submit_tool_outputs 接口把结果提交给 Coze，恢复暂停的对话。
+
+import crypto from "crypto";
+
+// Coze 暂停的对话等待工具结果的时长有限，超过后无法再恢复
+const PENDING_TTL = 10 * 60 * 1000;
+
+/**
+ * 将 Coze 对话中的 required_action 转换为 OpenAI 的 tool_calls
+ * @param {object} chat - Coze 的 Chat 对象
+ * @returns {Array<object>} - OpenAI 格式的 tool_calls，没有时返回空数组
+ */
+export function toOpenAIToolCalls(chat) {
+  const toolCalls =
+    (chat &&
+      chat.required_action &&
+      chat.required_action.submit_tool_outputs &&
+      chat.required_action.submit_tool_outputs.tool_calls) ||
+    [];
+  return toolCalls.map((toolCall) => ({
+    id: toolCall.id,
+    type: "function",
+    function: {
+      name: toolCall.function.name,
+      arguments: toolCall.function.arguments || "{}",
+    },
+  }));
+}
+
+/**
+ * 取出消息列表末尾连续的 role: "tool" 消息，转换为 Coze 的 tool_outputs
+ * @param {Array<object>} messages - OpenAI 格式的消息
+ * @returns {Array<{tool_call_id: string, output: string}>}
+ */
+export function extractToolOutputs(messages) {
+  const outputs = [];
+  for (let i = messages.length - 1; i >= 0 && messages[i].role === "tool"; i--) {
+    const content = messages[i].content;
+    outputs.unshift({
+      tool_call_id: messages[i].tool_call_id,
+      output: typeof content === "string" ? content : JSON.stringify(content),
+    });
+  }
+  return outputs;
+}
+
+/**
+ * 记录等待工具结果的 Coze 对话，(调用方, tool_call_id) -> { conversation_id, chat_id, target }。
+ * key 中包含调用方 key 的哈希，其它调用方即使知道 tool_call_id 也不能恢复这个对话。
+ */
+export class PendingToolCalls {
+  /**
+   * @param {object} store - 存储，需实现 get/set/delete，与会话共用
+   */
+  constructor(store) {
+    this.store = store;
+  }
+
+  key(token, toolCallId) {
+    const caller = crypto.createHash("sha256").update(token).digest("hex").slice(0, 16);
+    return `tool:${caller}:${toolCallId}`;
+  }
+
+  /**
+   * @param {string} token - 调用方的 key
+   * @param {object} chat - 暂停的 Coze Chat 对象
+   * @param {Array<object>} toolCalls - 返回给客户端的 tool_calls
+   * @param {string} [target] - 对话所在的上游目标，恢复时必须使用同一个目标
+   */
+  async remember(token, chat, toolCalls, target = null) {
+    for (const toolCall of toolCalls) {
+      await this.store.set(this.key(token, toolCall.id), {
+        conversation_id: chat.conversation_id,
+        chat_id: chat.id,
+        target: target,
+      }, PENDING_TTL);
+    }
+  }
+
+  async lookup(token, toolCallId) {
+    return this.store.get(this.key(token, toolCallId));
+  }
+
+  async forget(token, toolOutputs) {
+    for (const output of toolOutputs) {
+      await this.store.delete(this.key(token, output.tool_call_id));
+    }
+  }
+}
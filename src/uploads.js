@@ -0,0 +1,403 @@
+import crypto from "crypto";
+import dns from "dns";
+import fetch from "node-fetch";
+import http from "http";
+import https from "https";
+import net from "net";
+import path from "path";
+import { ChatError } from "./errors.js";
+import { uploadBytes, uploadsTotal } from "./metrics.js";
+
+// 消息中的图片和文件上传：支持 data URL、远程 http(s) URL，以及 OpenAI 的 file / input_file 内容块。
+// 相同内容的文件只上传一次，之后复用缓存的 file_id。内容块中的 file_id 引用通过 /v1/files 上传的文件。
+
+// 远程文件最多跟随的重定向次数
+const MAX_REDIRECTS = 3;
+
+const DEFAULT_ALLOWED_TYPES = [
+  "image/*",
+  "text/*",
+  "application/pdf",
+  "application/json",
+  "application/msword",
+  "application/vnd.ms-excel",
+  "application/vnd.ms-powerpoint",
+  "application/vnd.openxmlformats-officedocument.*",
+];
+
+const EXTENSIONS = {
+  "application/pdf": "pdf",
+  "application/msword": "doc",
+  "application/vnd.openxmlformats-officedocument.wordprocessingml.document": "docx",
+  "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet": "xlsx",
+  "application/vnd.openxmlformats-officedocument.presentationml.presentation": "pptx",
+  "image/svg+xml": "svg",
+  "text/plain": "txt",
+  "text/markdown": "md",
+};
+
+// 常见的扩展名对应的 MIME 类型，客户端没有提供文件类型时使用
+const MIME_TYPES = {
+  ...Object.fromEntries(Object.entries(EXTENSIONS).map(([mimeType, extension]) => [extension, mimeType])),
+  png: "image/png",
+  jpg: "image/jpeg",
+  jpeg: "image/jpeg",
+  gif: "image/gif",
+  webp: "image/webp",
+  csv: "text/csv",
+  html: "text/html",
+  json: "application/json",
+  xls: "application/vnd.ms-excel",
+  ppt: "application/vnd.ms-powerpoint",
+};
+
+/**
+ * 根据文件扩展名推断 MIME 类型
+ * @param {string} filename
+ * @returns {string|null}
+ */
+export function mimeTypeOf(filename) {
+  return MIME_TYPES[path.extname(filename).slice(1).toLowerCase()] || null;
+}
+
+export class UploadError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = "UploadError";
+    this.status = status;
+  }
+}
+
+/**
+ * 从环境变量读取上传配置
+ * @returns {{maxBytes: number, allowedTypes: Array<string>, allowedHosts: Array<string>, allowPrivateHosts: boolean,
+ *   downloadTimeout: number, cacheTtl: number}}
+ */
+export function uploadOptionsFromEnv() {
+  const list = (value) => (value ? value.split(",").map((item) => item.trim()).filter(Boolean) : []);
+  return {
+    maxBytes: parseInt(process.env.UPLOAD_MAX_BYTES || String(20 * 1024 * 1024), 10),
+    allowedTypes: list(process.env.UPLOAD_ALLOWED_TYPES).length
+      ? list(process.env.UPLOAD_ALLOWED_TYPES)
+      : DEFAULT_ALLOWED_TYPES,
+    allowedHosts: list(process.env.REMOTE_FILE_HOSTS),
+    allowPrivateHosts: process.env.REMOTE_FILE_ALLOW_PRIVATE === "true",
+    // 下载一个远程文件的超时时间（毫秒），0 表示不限制
+    downloadTimeout: parseInt(process.env.REMOTE_FILE_TIMEOUT || "30", 10) * 1000,
+    cacheTtl: parseInt(process.env.UPLOAD_CACHE_TTL || "86400", 10) * 1000,
+  };
+}
+
+function matchesPattern(value, pattern) {
+  if (pattern.endsWith("*")) {
+    return value.startsWith(pattern.slice(0, -1));
+  }
+  if (pattern.startsWith("*.")) {
+    return value.endsWith(pattern.slice(1));
+  }
+  return value === pattern;
+}
+
+// 不允许下载的地址段。net.BlockList 检查 IPv6 地址时会把 ::ffff:0:0/96 中的地址按 IPv4 规则匹配，
+// 反之亦然，所以 IPv4 和 IPv6 的地址段分成两个列表，否则 ::ffff:0:0/96 会拦截所有 IPv4 地址
+function blockList(type, subnets) {
+  const list = new net.BlockList();
+  for (const subnet of subnets) {
+    const [address, prefix] = subnet.split("/");
+    list.addSubnet(address, Number(prefix), type);
+  }
+  return list;
+}
+
+const BLOCKED_IPV4 = blockList("ipv4", [
+  "0.0.0.0/8", // 本网络
+  "10.0.0.0/8", // RFC1918
+  "100.64.0.0/10", // CGNAT
+  "127.0.0.0/8", // 环回
+  "169.254.0.0/16", // 链路本地，包括云服务的元数据地址
+  "172.16.0.0/12", // RFC1918
+  "192.0.0.0/24", // IETF 协议分配
+  "192.168.0.0/16", // RFC1918
+  "198.18.0.0/15", // 基准测试
+  "224.0.0.0/4", // 组播
+  "240.0.0.0/4", // 保留，包括广播地址
+]);
+
+const BLOCKED_IPV6 = blockList("ipv6", [
+  "::/128", // 未指定地址
+  "::1/128", // 环回
+  "::ffff:0:0/96", // IPv4 映射地址
+  "64:ff9b::/96", // NAT64
+  "100::/64", // 丢弃
+  "2002::/16", // 6to4
+  "fc00::/7", // 唯一本地地址
+  "fe80::/10", // 链路本地
+  "fec0::/10", // 站点本地（已废弃）
+  "ff00::/8", // 组播
+]);
+
+function isPrivateAddress(address) {
+  if (net.isIPv4(address)) {
+    return BLOCKED_IPV4.check(address, "ipv4");
+  }
+  // 无法识别的地址按内网地址处理
+  return !net.isIPv6(address) || BLOCKED_IPV6.check(address, "ipv6");
+}
+
+// 连接只使用 checkUrl 校验过的地址，防止校验之后 DNS 解析结果改变（DNS rebinding）
+function pinnedAgent(protocol, addresses) {
+  const lookup = (hostname, options, callback) => {
+    if (typeof options === "function") {
+      callback = options;
+      options = {};
+    }
+    const family = typeof options === "number" ? options : options.family;
+    const candidates = family ? addresses.filter((item) => item.family === family) : addresses;
+    if (candidates.length === 0) {
+      const error = new Error(`getaddrinfo ENOTFOUND ${hostname}`);
+      error.code = "ENOTFOUND";
+      return callback(error);
+    }
+    if (options.all) {
+      return callback(null, candidates);
+    }
+    callback(null, candidates[0].address, candidates[0].family);
+  };
+  return protocol === "https:" ? new https.Agent({ lookup }) : new http.Agent({ lookup });
+}
+
+export class Uploader {
+  /**
+   * @param {import("./coze.js").CozeClient} client - 当前请求的 Coze 客户端
+   * @param {object} store - 缓存 file_id 的存储，需实现 get/set
+   * @param {object} options - 见 uploadOptionsFromEnv
+   * @param {object} [files]
+   * @param {import("./files.js").FileRegistry} [files.registry] - 通过 /v1/files 上传的文件
+   * @param {string} [files.owner] - 调用方，只能引用自己上传的文件
+   */
+  constructor(client, store, options, { registry = null, owner = null } = {}) {
+    this.client = client;
+    this.store = store;
+    this.options = options;
+    this.registry = registry;
+    this.owner = owner;
+    // file_id 属于上传它的 Coze 账号，缓存 key 和 /v1/files 的记录中包含域名和 token 的哈希
+    this.scope = crypto.createHash("sha256").update(`${client.apiBase}|${client.token}`).digest("hex").slice(0, 16);
+  }
+
+  /**
+   * 将 OpenAI 的内容块转换为 Coze object_string 中的对象，不是图片或文件时返回 null
+   * @param {object} part - OpenAI 的内容块
+   * @returns {Promise<{type: string, file_id: string}|null>}
+   */
+  async resolvePart(part) {
+    if (part.type === "file" && part.file && part.file.file_id) {
+      return this.resolveFileId(part.file.file_id);
+    }
+    if ((part.type === "input_file" || part.type === "input_image") && part.file_id) {
+      return this.resolveFileId(part.file_id);
+    }
+    if (part.type === "image_url" && part.image_url && part.image_url.url) {
+      return this.resolveSource(part.image_url.url, "image");
+    }
+    if (part.type === "input_image" && part.image_url) {
+      return this.resolveSource(part.image_url, "image");
+    }
+    if (part.type === "file" && part.file) {
+      return this.resolveSource(part.file.file_data || part.file.file_url, "file", part.file.filename);
+    }
+    if (part.type === "input_file") {
+      return this.resolveSource(part.file_data || part.file_url, "file", part.filename);
+    }
+    return null;
+  }
+
+  /**
+   * 查找通过 /v1/files 上传的文件，返回已保存的 Coze file_id
+   * @param {string} fileId - /v1/files 返回的 id
+   * @returns {Promise<{type: string, file_id: string}>}
+   */
+  async resolveFileId(fileId) {
+    const file = this.registry && await this.registry.get(fileId, this.owner);
+    // 批处理文件的内容不在 Coze 中，不能在消息中引用
+    if (!file || !file.coze_file_id) {
+      throw new ChatError(`文件 '${fileId}' 不存在。`, 400, { param: "messages", code: "file_not_found" });
+    }
+    // 文件上传到了另一个 Coze 账号（例如模型配置了自己的 token），当前账号无法使用它的 file_id。
+    // 文件内容没有保存在本地，无法重新上传。没有 coze_scope 的旧记录不做检查
+    if (file.coze_scope && file.coze_scope !== this.scope) {
+      throw new ChatError(`文件 '${fileId}' 上传到了另一个 Coze 账号，当前模型无法使用，请通过该模型使用的 token 重新上传。`, 400, {
+        param: "messages",
+        code: "file_account_mismatch",
+      });
+    }
+    return { type: file.mime_type.startsWith("image/") ? "image" : "file", file_id: file.coze_file_id };
+  }
+
+  async resolveSource(source, kind, filename) {
+    if (!source) {
+      throw new UploadError("文件内容块缺少 file_data 或 URL。");
+    }
+    let file;
+    let fileId;
+    try {
+      file = source.startsWith("data:")
+        ? this.decodeDataUrl(source)
+        : await this.download(source);
+      fileId = await this.upload(file.buffer, file.mimeType, filename || file.filename);
+    } catch (error) {
+      uploadsTotal.inc({ kind, result: "failed" });
+      throw error;
+    }
+    // 文件块中的图片也按图片发送，Coze 才会交给视觉模型处理
+    return { type: kind === "image" || file.mimeType.startsWith("image/") ? "image" : "file", file_id: fileId };
+  }
+
+  decodeDataUrl(dataUrl) {
+    const match = dataUrl.match(/^data:([\w.+-]+\/[\w.+-]+)(?:;[^,;]+)*;base64,(.+)$/s);
+    if (!match) {
+      throw new UploadError("无效的 data URL，需要 base64 编码的数据。");
+    }
+    const mimeType = match[1].toLowerCase();
+    this.checkType(mimeType);
+    const buffer = Buffer.from(match[2], "base64");
+    this.checkSize(buffer.length);
+    return { buffer, mimeType, filename: null };
+  }
+
+  /**
+   * 下载远程文件，校验域名白名单、内网地址、大小和 MIME 类型。
+   * 对话被取消（例如客户端断开）时中止下载，超过 downloadTimeout 时返回错误
+   */
+  async download(url) {
+    const controller = new AbortController();
+    const signal = this.client.signal;
+    const abort = () => controller.abort();
+    if (signal) {
+      if (signal.aborted) {
+        controller.abort();
+      }
+      signal.addEventListener("abort", abort, { once: true });
+    }
+    const { downloadTimeout } = this.options;
+    let timedOut = false;
+    const timer = downloadTimeout
+      ? setTimeout(() => {
+        timedOut = true;
+        controller.abort();
+      }, downloadTimeout)
+      : null;
+    try {
+      return await this.fetchFile(url, controller.signal);
+    } catch (error) {
+      if (timedOut) {
+        throw new UploadError(`下载文件超时（${downloadTimeout / 1000} 秒）: ${url}`);
+      }
+      if (error instanceof UploadError || error.name === "AbortError") {
+        throw error;
+      }
+      // 域名解析失败、连接被拒绝等网络错误是客户端提供的 URL 不可用，不是服务器内部错误
+      throw new UploadError(`下载文件失败: 无法访问 ${url}（${error.code || error.message}）。`);
+    } finally {
+      clearTimeout(timer);
+      if (signal) {
+        signal.removeEventListener("abort", abort);
+      }
+    }
+  }
+
+  async fetchFile(url, signal) {
+    let target = url;
+    for (let redirects = 0; redirects <= MAX_REDIRECTS; redirects++) {
+      const addresses = await this.checkUrl(target);
+      const agent = addresses ? pinnedAgent(new URL(target).protocol, addresses) : undefined;
+      const response = await fetch(target, { redirect: "manual", signal, agent });
+      if (response.status >= 300 && response.status < 400 && response.headers.get("location")) {
+        target = new URL(response.headers.get("location"), target).toString();
+        continue;
+      }
+      if (!response.ok) {
+        throw new UploadError(`下载文件失败: ${url} 返回 HTTP ${response.status}。`);
+      }
+      const mimeType = (response.headers.get("content-type") || "application/octet-stream")
+        .split(";")[0].trim().toLowerCase();
+      this.checkType(mimeType);
+      const contentLength = parseInt(response.headers.get("content-length") || "0", 10);
+      this.checkSize(contentLength);
+
+      const chunks = [];
+      let size = 0;
+      for await (const chunk of response.body) {
+        size += chunk.length;
+        this.checkSize(size);
+        chunks.push(chunk);
+      }
+      const filename = path.basename(new URL(target).pathname) || null;
+      return { buffer: Buffer.concat(chunks), mimeType, filename };
+    }
+    throw new UploadError(`下载文件失败: ${url} 重定向次数过多。`);
+  }
+
+  /**
+   * 校验 URL 的协议、域名白名单和解析出的地址
+   * @returns {Promise<Array<{address: string, family: number}>|null>} - 校验过的地址，允许内网地址时为 null
+   */
+  async checkUrl(url) {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch (error) {
+      throw new UploadError(`无效的文件 URL: ${url}`);
+    }
+    if (parsed.protocol !== "http:" && parsed.protocol !== "https:") {
+      throw new UploadError(`不支持的文件 URL 协议: ${parsed.protocol}`);
+    }
+    const host = parsed.hostname.replace(/^\[|\]$/g, "");
+    const { allowedHosts, allowPrivateHosts } = this.options;
+    if (allowedHosts.length > 0 && !allowedHosts.some((pattern) => matchesPattern(host, pattern))) {
+      throw new UploadError(`不允许从 ${host} 下载文件。`, 403);
+    }
+    if (allowPrivateHosts) {
+      return null;
+    }
+    // 域名可能解析出多个地址，其中任何一个是内网地址都拒绝
+    const addresses = await dns.promises.lookup(host, { all: true });
+    if (addresses.some((item) => isPrivateAddress(item.address))) {
+      throw new UploadError(`不允许从内网地址 ${host} 下载文件。`, 403);
+    }
+    return addresses;
+  }
+
+  checkType(mimeType) {
+    if (!this.options.allowedTypes.some((pattern) => matchesPattern(mimeType, pattern))) {
+      throw new UploadError(`不支持的文件类型: ${mimeType}`, 415);
+    }
+  }
+
+  checkSize(size) {
+    if (size > this.options.maxBytes) {
+      throw new UploadError(`文件大小超过限制（${this.options.maxBytes} 字节）。`, 413);
+    }
+  }
+
+  /**
+   * 上传文件到 Coze，相同内容的文件复用缓存的 file_id
+   * @returns {Promise<string>} - file_id
+   */
+  async upload(buffer, mimeType, filename) {
+    const hash = crypto.createHash("sha256").update(buffer).digest("hex");
+    const cacheKey = `file:${this.scope}:${hash}`;
+    const cached = await this.store.get(cacheKey);
+    const kind = mimeType.startsWith("image/") ? "image" : "file";
+    if (cached) {
+      uploadsTotal.inc({ kind, result: "cached" });
+      return cached.file_id;
+    }
+    const extension = EXTENSIONS[mimeType] || mimeType.split("/")[1];
+    const fileId = await this.client.uploadFile(buffer, filename || `upload.${extension}`, mimeType);
+    uploadsTotal.inc({ kind, result: "uploaded" });
+    uploadBytes.observe({ kind }, buffer.length);
+    await this.store.set(cacheKey, { file_id: fileId }, this.options.cacheTtl);
+    return fileId;
+  }
+}
@@ -0,0 +1,268 @@
+import crypto from "crypto";
+import { setTimeout as sleep } from "timers/promises";
+import { resolveSecret } from "./auth.js";
+import { CozeApiError } from "./coze.js";
+import { ChatError } from "./errors.js";
+import { logger } from "./logger.js";
+
+// 上游路由：每个模型可以配置多个上游目标（不同的 token、机器人或 Coze 域名），
+// 按轮询或权重负载均衡，失败时指数退避重试、切换到下一个目标，并对持续失败的目标熔断。
+
+/**
+ * 将一个模型的配置规范化为上游目标列表。支持四种写法：
+ * - "bot_id"
+ * - [{ bot_id, token, api_base, weight }, ...]
+ * - { targets: [...], strategy: "round_robin" | "weighted", extensions: ["follow_ups", "citations"] }
+ * - { workflow_id, token, api_base, input }：单个目标也可以直接写在模型配置中
+ * 目标配置 workflow_id 时调用 Coze 工作流（可以同时配置关联的 bot_id），一个模型的目标必须都是机器人或都是工作流。
+ * 目标没有 token 时使用调用方的 Coze token，没有 api_base 时使用模型的 api_base，再没有时使用 COZE_API_BASE。
+ * 模型还可以配置 user_id、custom_variables、system_prompt_prefix 和 aliases，见 config.js。
+ * @returns {{targets: Array<object>, strategy: string, extensions: Array<string>, kind: "bot" | "workflow", input: string,
+ *   userId: string|null, customVariables: object|null, systemPromptPrefix: string|null, aliases: Array<string>}}
+ *   - input：工作流中接收用户消息的输入参数名
+ */
+export function normalizeRoute(value, { apiBase, strategy }) {
+  let spec = value;
+  if (typeof value === "string" || Array.isArray(value)) {
+    spec = { targets: value };
+  } else if (value && value.targets === undefined) {
+    spec = { ...value, targets: [value] };
+  }
+  const targets = (Array.isArray(spec.targets) ? spec.targets : [spec.targets]).map((target) => {
+    const normalized = typeof target === "string" ? { bot_id: target } : target;
+    if (!normalized || !(normalized.bot_id || normalized.workflow_id)) {
+      throw new Error(`上游目标缺少 bot_id 或 workflow_id: ${JSON.stringify(target)}`);
+    }
+    const token = resolveSecret(normalized.token) || null;
+    // 引用的环境变量未设置时不能退回调用方的 token，否则会以调用方的身份和额度访问上游
+    if (normalized.token && !token) {
+      throw new Error(`上游目标的 token 引用的环境变量 ${String(normalized.token).slice(4)} 未设置`);
+    }
+    const targetApiBase = normalized.api_base || spec.api_base || apiBase;
+    return {
+      // 目标 ID 用于熔断状态和会话绑定，重启后保持不变
+      id: (normalized.workflow_id
+        ? `${targetApiBase}/workflow/${normalized.workflow_id}`
+        : `${targetApiBase}/${normalized.bot_id}`) +
+        (token ? `/${crypto.createHash("sha256").update(token).digest("hex").slice(0, 8)}` : ""),
+      bot_id: normalized.bot_id ? String(normalized.bot_id) : null,
+      workflow_id: normalized.workflow_id ? String(normalized.workflow_id) : null,
+      api_base: targetApiBase,
+      token,
+      weight: normalized.weight || 1,
+    };
+  });
+  const workflows = targets.filter((target) => target.workflow_id).length;
+  if (workflows > 0 && workflows < targets.length) {
+    throw new Error("同一个模型的上游目标不能同时包含机器人和工作流。");
+  }
+  return {
+    targets,
+    strategy: spec.strategy || strategy,
+    extensions: spec.extensions || [],
+    kind: workflows > 0 ? "workflow" : "bot",
+    input: spec.input || "input",
+    userId: spec.user_id || null,
+    customVariables: spec.custom_variables || null,
+    systemPromptPrefix: spec.system_prompt_prefix || null,
+    aliases: spec.aliases || [],
+    cache: spec.cache === true,
+  };
+}
+
+/**
+ * 模型路由表：模型名或别名 -> 上游目标。未配置的模型使用默认机器人。
+ */
+export class ModelRouter {
+  /**
+   * @param {object} botConfig - BOT_CONFIG 或配置文件中的 models
+   * @param {object} options
+   * @param {string} options.defaultBotId - BOT_ID
+   * @param {string} options.defaultModel - 默认机器人在模型列表中的名称
+   * @param {string} options.apiBase - COZE_API_BASE
+   * @param {string} options.strategy - 默认负载均衡策略
+   */
+  constructor(botConfig, options) {
+    this.load(botConfig, options);
+  }
+
+  /**
+   * 替换全部路由，配置文件重新加载时调用。进行中的请求继续使用原来的路由对象。
+   * 参数与构造函数相同。
+   */
+  load(botConfig, { defaultBotId, defaultModel, apiBase, strategy }) {
+    const defaults = { apiBase, strategy };
+    const routes = new Map();
+    const aliases = new Map();
+    for (const [id, value] of Object.entries(botConfig)) {
+      const route = { id, ...normalizeRoute(value, defaults) };
+      routes.set(id, route);
+      for (const alias of route.aliases) {
+        aliases.set(alias, route);
+      }
+    }
+    this.routes = routes;
+    this.aliases = aliases;
+    // 默认的 Coze 域名，文件上传等不属于某个模型的请求使用
+    this.apiBase = apiBase;
+    this.defaultRoute = defaultBotId
+      ? { id: defaultModel, ...normalizeRoute(String(defaultBotId), defaults) }
+      : null;
+  }
+
+  /**
+   * 列出所有模型，默认机器人排在最后
+   * @returns {Array<{id: string, targets: Array<object>, strategy: string, extensions: Array<string>, kind: string, input: string}>}
+   */
+  list() {
+    const routes = [...this.routes.values()];
+    if (this.defaultRoute && !this.routes.has(this.defaultRoute.id)) {
+      routes.push(this.defaultRoute);
+    }
+    return routes;
+  }
+
+  /**
+   * 查找模型的路由（也可以使用别名），未配置的模型使用默认机器人，都没有时返回 null
+   */
+  resolve(model) {
+    return (model && (this.routes.get(model) || this.aliases.get(model))) || this.defaultRoute;
+  }
+}
+
+/**
+ * 判断错误是否可以安全地重试：Coze 限流、服务端错误、连接超时，以及网络错误。
+ * AbortError 表示客户端已断开或请求总时长超时，不再重试。
+ */
+export function isRetryable(error) {
+  if (error instanceof CozeApiError) {
+    return error.retryable;
+  }
+  return error.name === "FetchError" ||
+    ["ECONNRESET", "ECONNREFUSED", "ETIMEDOUT", "EAI_AGAIN"].includes(error.code);
+}
+
+export class UpstreamPool {
+  /**
+   * @param {object} options
+   * @param {number} options.retries - 每个目标的重试次数
+   * @param {number} options.baseDelay - 首次重试的等待时间（毫秒），之后每次翻倍
+   * @param {number} options.maxDelay - 重试等待时间上限（毫秒）
+   * @param {number} options.failureThreshold - 连续失败多少次后熔断
+   * @param {number} options.cooldown - 熔断持续时间（毫秒），之后放行一次试探请求
+   */
+  constructor({ retries, baseDelay, maxDelay, failureThreshold, cooldown }) {
+    this.retries = retries;
+    this.baseDelay = baseDelay;
+    this.maxDelay = maxDelay;
+    this.failureThreshold = failureThreshold;
+    this.cooldown = cooldown;
+    // 目标 ID -> { failures, openUntil }
+    this.health = new Map();
+    // 模型 -> 轮询计数 / 平滑加权轮询的当前权重
+    this.cursors = new Map();
+  }
+
+  isAvailable(target, now = Date.now()) {
+    const health = this.health.get(target.id);
+    return !health || health.openUntil <= now;
+  }
+
+  recordSuccess(target) {
+    this.health.delete(target.id);
+  }
+
+  recordFailure(target) {
+    const health = this.health.get(target.id) || { failures: 0, openUntil: 0 };
+    health.failures += 1;
+    if (health.failures >= this.failureThreshold) {
+      health.openUntil = Date.now() + this.cooldown;
+      logger.warn("上游连续失败，熔断", { upstream: target.id, failures: health.failures, cooldown_ms: this.cooldown });
+    }
+    this.health.set(target.id, health);
+  }
+
+  /**
+   * 按负载均衡策略排列本次请求要尝试的目标：选中的目标在前，其余可用目标依次作为备用
+   * @returns {Array<object>}
+   */
+  order(route) {
+    const available = route.targets.filter((target) => this.isAvailable(target));
+    if (available.length <= 1) {
+      return available;
+    }
+    let first;
+    if (route.strategy === "weighted") {
+      // 平滑加权轮询（与 nginx 相同）
+      const weights = this.cursors.get(route.id) || new Map();
+      const total = available.reduce((sum, target) => sum + target.weight, 0);
+      for (const target of available) {
+        weights.set(target.id, (weights.get(target.id) || 0) + target.weight);
+      }
+      first = available.reduce((best, target) => (weights.get(target.id) > weights.get(best.id) ? target : best));
+      weights.set(first.id, weights.get(first.id) - total);
+      this.cursors.set(route.id, weights);
+    } else {
+      const cursor = this.cursors.get(route.id) || 0;
+      first = available[cursor % available.length];
+      this.cursors.set(route.id, cursor + 1);
+    }
+    return [first, ...available.filter((target) => target !== first)];
+  }
+
+  delay(attempt) {
+    const delay = Math.min(this.maxDelay, this.baseDelay * 2 ** attempt);
+    // 加入随机抖动，避免多个请求同时重试
+    return delay / 2 + Math.random() * (delay / 2);
+  }
+
+  /**
+   * 依次在上游目标上执行 fn，可重试的错误先在同一目标上退避重试，再切换到下一个目标
+   * @param {object} route - ModelRouter.resolve 返回的路由
+   * @param {function(object): Promise<any>} fn - 在指定目标上执行请求
+   * @param {object} [options]
+   * @param {string} [options.pinned] - 优先使用的目标 ID（例如会话所在的目标）
+   * @param {boolean} [options.failover] - 为 false 时只使用 pinned 目标，不切换；pinned 目标已不在配置中时返回 409
+   * @param {AbortSignal} [options.signal] - 中止时不再退避重试，以 AbortError 结束
+   */
+  async execute(route, fn, { pinned = null, failover = true, signal } = {}) {
+    let targets = this.order(route);
+    const pinnedTarget = pinned && route.targets.find((target) => target.id === pinned);
+    if (pinned && !pinnedTarget && !failover) {
+      // 例如暂停的对话所在的目标在重新加载配置后被删除，换一个目标无法继续这个对话
+      throw new ChatError(`模型 '${route.id}' 的上游目标 '${pinned}' 已不存在，无法在原来的目标上继续对话。`, 409, {
+        code: "upstream_target_not_found",
+      });
+    }
+    if (pinnedTarget) {
+      targets = failover
+        ? [pinnedTarget, ...targets.filter((target) => target !== pinnedTarget)]
+        : [pinnedTarget];
+    }
+    if (targets.length === 0) {
+      throw new CozeApiError(`模型 '${route.id}' 的所有上游目前都不可用，请稍后重试。`, { status: 503 });
+    }
+
+    let lastError;
+    for (const target of targets) {
+      for (let attempt = 0; attempt <= this.retries; attempt++) {
+        try {
+          const result = await fn(target);
+          this.recordSuccess(target);
+          return result;
+        } catch (error) {
+          lastError = error;
+          if (!isRetryable(error)) {
+            throw error;
+          }
+          logger.warn("上游请求失败", { upstream: target.id, attempt: attempt + 1, error: error.message });
+          if (attempt < this.retries) {
+            await sleep(this.delay(attempt), undefined, { signal });
+          }
+        }
+      }
+      this.recordFailure(target);
+    }
+    throw lastError;
+  }
+}
@@ -0,0 +1,91 @@
+// Token 用量：优先使用 Coze 返回的真实用量，没有时在本地估算。
+
+// 中日韩字符基本是一个字符一个 token
+const CJK_PATTERN = /[\u3040-\u30ff\u3400-\u4dbf\u4e00-\u9fff\uac00-\ud7af\uf900-\ufaff]/g;
+// 每条消息在 OpenAI 聊天格式中额外占用的 token 数
+const TOKENS_PER_MESSAGE = 4;
+// 图片按 OpenAI 低精度模式的固定开销估算
+const TOKENS_PER_IMAGE = 85;
+
+/**
+ * 在本地估算一段文本的 token 数：中日韩字符按 1 个计算，
+ * 其它单词按每 4 个字符 1 个计算，标点符号各算 1 个。
+ * @param {string} text
+ * @returns {number}
+ */
+export function estimateTokens(text) {
+  if (!text) {
+    return 0;
+  }
+  const cjk = (text.match(CJK_PATTERN) || []).length;
+  const rest = text.replace(CJK_PATTERN, " ");
+  let tokens = cjk;
+  for (const word of rest.match(/[\p{L}\p{N}_]+/gu) || []) {
+    tokens += Math.ceil(word.length / 4);
+  }
+  tokens += (rest.match(/[^\p{L}\p{N}_\s]/gu) || []).length;
+  return tokens;
+}
+
+/**
+ * 估算 OpenAI 格式消息列表的 prompt token 数
+ * @param {Array<object>} messages
+ * @returns {number}
+ */
+export function estimateMessagesTokens(messages) {
+  let tokens = 3;
+  for (const message of messages) {
+    tokens += TOKENS_PER_MESSAGE;
+    if (typeof message.content === "string") {
+      tokens += estimateTokens(message.content);
+    } else if (Array.isArray(message.content)) {
+      for (const part of message.content) {
+        tokens += part.type === "text" ? estimateTokens(part.text) : TOKENS_PER_IMAGE;
+      }
+    }
+  }
+  return tokens;
+}
+
+/**
+ * 生成 OpenAI 格式的 usage。Coze 返回了用量（Chat 对象的 usage 字段）时直接使用，
+ * 否则在本地估算，并标记 estimated: true。
+ * @param {object|null} cozeUsage - Coze 的 usage: { token_count, input_count, output_count }
+ * @param {Array<object>} messages - 本轮请求的消息，用于估算 prompt_tokens
+ * @param {string} completion - 本轮回答，用于估算 completion_tokens
+ * @returns {{prompt_tokens: number, completion_tokens: number, total_tokens: number, estimated?: boolean}}
+ */
+export function buildUsage(cozeUsage, messages, completion) {
+  if (cozeUsage && (cozeUsage.input_count || cozeUsage.output_count)) {
+    const promptTokens = cozeUsage.input_count || 0;
+    const completionTokens = cozeUsage.output_count || 0;
+    return {
+      prompt_tokens: promptTokens,
+      completion_tokens: completionTokens,
+      total_tokens: cozeUsage.token_count || promptTokens + completionTokens,
+    };
+  }
+  const promptTokens = estimateMessagesTokens(messages);
+  const completionTokens = estimateTokens(completion);
+  return {
+    prompt_tokens: promptTokens,
+    completion_tokens: completionTokens,
+    total_tokens: promptTokens + completionTokens,
+    estimated: true,
+  };
+}
+
+/**
+ * 合并多个对话的用量（n > 1 时每个 choice 都是一次 Coze 对话）
+ * @param {Array<object>} usages - buildUsage 的返回值
+ * @returns {object}
+ */
+export function sumUsage(usages) {
+  const usage = { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 };
+  for (const item of usages) {
+    usage.prompt_tokens += item.prompt_tokens;
+    usage.completion_tokens += item.completion_tokens;
+    usage.total_tokens += item.total_tokens;
+  }
+  return usages.some((item) => item.estimated) ? { ...usage, estimated: true } : usage;
+}
@@ -0,0 +1,93 @@
+import crypto from "crypto";
+import { ChatError } from "./errors.js";
+import { hashMessages } from "./sessions.js";
+
+// Coze 工作流作为模型：BOT_CONFIG 中配置 workflow_id 的模型通过 /v1/workflow/stream_run 执行工作流，
+// Message 事件转换为回答的增量输出。工作流在问答节点中断（Interrupt）时，问题作为助手的回答返回，
+// 客户端在下一轮请求中回答即可通过 /v1/workflow/stream_resume 继续执行。
+
+function textOf(content) {
+  if (typeof content === "string") {
+    return content;
+  }
+  return (content || [])
+    .filter((part) => part.type === "text" || part.type === "input_text")
+    .map((part) => part.text)
+    .join("\n");
+}
+
+/**
+ * 取最后一条用户消息的文本
+ * @param {Array<object>} messages - OpenAI 格式的消息
+ * @returns {string}
+ */
+export function lastUserText(messages) {
+  const message = [...messages].reverse().find((item) => item.role === "user");
+  return message ? textOf(message.content) : "";
+}
+
+/**
+ * 生成工作流的输入参数：优先使用请求中的 coze_parameters；
+ * 否则最后一条用户消息是 JSON 对象时直接作为参数，不是时作为 input 参数（参数名由模型配置的 input 指定）
+ * @param {Array<object>} messages - OpenAI 格式的消息
+ * @param {object|undefined} parameters - 请求中的 coze_parameters
+ * @param {string} input - 接收用户消息的参数名
+ * @returns {object}
+ */
+export function workflowParameters(messages, parameters, input) {
+  if (parameters !== undefined && parameters !== null) {
+    if (typeof parameters !== "object" || Array.isArray(parameters)) {
+      throw new ChatError("coze_parameters 必须是对象。", 400, { param: "coze_parameters" });
+    }
+    return parameters;
+  }
+  const text = lastUserText(messages);
+  if (text.trim().startsWith("{")) {
+    try {
+      const value = JSON.parse(text);
+      if (value && typeof value === "object" && !Array.isArray(value)) {
+        return value;
+      }
+    } catch (error) {
+      // 不是 JSON 时按普通文本处理
+    }
+  }
+  return { [input]: text };
+}
+
+/**
+ * 记录中断等待用户回答的工作流。key 由模型、调用方和包含问题在内的完整历史计算，
+ * 客户端带着同样的历史和新的用户消息请求时即可找到。
+ */
+export class PendingInterrupts {
+  /**
+   * @param {object} store - 存储，需实现 get/set/delete，与会话共用
+   * @param {number} ttl - 有效期（毫秒）
+   */
+  constructor(store, ttl) {
+    this.store = store;
+    this.ttl = ttl;
+  }
+
+  key(context, history) {
+    const caller = crypto.createHash("sha256").update(context.token).digest("hex").slice(0, 16);
+    return `interrupt:${context.model}:${caller}:${hashMessages(history)}`;
+  }
+
+  /**
+   * @param {object} context - { model, token }
+   * @param {Array<object>} history - 包含问题（助手回答）在内的完整历史
+   * @param {object} interrupt - { workflow_id, event_id, interrupt_type, target }
+   */
+  async remember(context, history, interrupt) {
+    await this.store.set(this.key(context, history), interrupt, this.ttl);
+  }
+
+  async lookup(context, history) {
+    return history.length > 0 ? this.store.get(this.key(context, history)) : null;
+  }
+
+  async forget(context, history) {
+    await this.store.delete(this.key(context, history));
+  }
+}
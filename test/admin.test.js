@@ -0,0 +1,205 @@
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { after, before, describe, it } from "node:test";
+import { post, startProxy } from "./helpers.js";
+
+const ADMIN_TOKEN = "admin-secret";
+const chatBody = (model = "coze") => ({ model, messages: [{ role: "user", content: "你好" }] });
+
+function admin(url, method = "GET", body) {
+  return fetch(url, {
+    method,
+    headers: { Authorization: `Bearer ${ADMIN_TOKEN}`, "Content-Type": "application/json" },
+    body: body === undefined ? undefined : JSON.stringify(body),
+  });
+}
+
+describe("管理接口认证", () => {
+  it("未设置 ADMIN_TOKEN 时返回 403", async () => {
+    const proxy = await startProxy();
+    try {
+      const response = await admin(`${proxy.url}/admin/api/stats`);
+      assert.equal(response.status, 403);
+      assert.equal((await response.json()).error.code, "admin_disabled");
+    } finally {
+      await proxy.close();
+    }
+  });
+
+  it("token 错误时返回 401，首页返回控制台页面", async () => {
+    const proxy = await startProxy({ ADMIN_TOKEN });
+    try {
+      const response = await fetch(`${proxy.url}/admin/api/stats`, { headers: { Authorization: "Bearer wrong" } });
+      assert.equal(response.status, 401);
+      assert.equal((await response.json()).error.code, "invalid_admin_token");
+      // Coze token 不能用来访问管理接口
+      const coze = await fetch(`${proxy.url}/admin/api/stats`, { headers: { Authorization: "Bearer test_token" } });
+      assert.equal(coze.status, 401);
+
+      const page = await fetch(proxy.url);
+      assert.equal(page.status, 200);
+      assert.match(page.headers.get("content-type"), /text\/html/);
+      assert.match(await page.text(), /管理后台/);
+    } finally {
+      await proxy.close();
+    }
+  });
+});
+
+describe("管理接口", () => {
+  let proxy;
+  let dir;
+  let configFile;
+  before(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "admin-"));
+    configFile = path.join(dir, "config.json");
+    fs.writeFileSync(configFile, JSON.stringify({ models: { "coze-pro": { bot_id: "mock_bot", token: "pat_pro" } } }));
+    proxy = await startProxy({ ADMIN_TOKEN, CONFIG_FILE: configFile });
+  });
+  after(async () => {
+    await proxy.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it("列出模型和上游目标，不返回目标的 token", async () => {
+    const list = await (await admin(`${proxy.url}/admin/api/models`)).json();
+    const model = list.data.find((item) => item.id === "coze-pro");
+    assert.equal(model.kind, "bot");
+    assert.equal(model.targets[0].bot_id, "mock_bot");
+    assert.equal(model.targets[0].has_token, true);
+    assert.equal(model.targets[0].available, true);
+    assert.equal(model.targets[0].token, undefined);
+    assert.ok(list.data.find((item) => item.id === "coze").default);
+  });
+
+  it("向模型发送测试消息", async () => {
+    const response = await admin(`${proxy.url}/admin/api/models/coze-pro/test`, "POST", { message: "你好" });
+    assert.equal(response.status, 200);
+    const result = await response.json();
+    assert.equal(result.content, "你好！我是模拟的 Coze 机器人。");
+    assert.equal(result.finish_reason, "stop");
+    assert.ok(result.latency_ms >= 0);
+
+    // 默认机器人没有自带 token，需要提供 coze_token
+    const missing = await admin(`${proxy.url}/admin/api/models/coze/test`, "POST", { message: "你好" });
+    assert.equal(missing.status, 400);
+    assert.equal((await missing.json()).error.param, "coze_token");
+    const withToken = await admin(`${proxy.url}/admin/api/models/coze/test`, "POST", { message: "你好", coze_token: "test_token" });
+    assert.equal(withToken.status, 200);
+
+    const unknown = await admin(`${proxy.url}/admin/api/models/unknown/test`, "POST", { message: "你好" });
+    assert.equal(unknown.status, 404);
+  });
+
+  it("统计对话请求和最近的请求日志", async () => {
+    const before = await (await admin(`${proxy.url}/admin/api/stats`)).json();
+    assert.equal((await post(`${proxy.url}/v1/chat/completions`, chatBody("coze-pro"))).status, 200);
+    assert.equal((await post(`${proxy.url}/v1/chat/completions`, { model: "coze-pro" })).status, 400);
+    const stats = await (await admin(`${proxy.url}/admin/api/stats`)).json();
+    assert.equal(stats.requests.total, before.requests.total + 2);
+    assert.equal(stats.requests.errors, before.requests.errors + 1);
+    assert.ok(stats.tokens.completion > before.tokens.completion);
+    assert.ok(stats.uptime_seconds >= 0);
+
+    const logs = await (await admin(`${proxy.url}/admin/api/logs?type=request&limit=3`)).json();
+    assert.equal(logs.data.length, 3);
+    assert.ok(logs.data.every((entry) => entry.msg === "request"));
+    // 从新到旧排列
+    const chats = logs.data.filter((entry) => entry.path === "/v1/chat/completions");
+    assert.deepEqual(chats.map((entry) => entry.status), [400, 200]);
+    assert.equal(chats[0].outcome, "error");
+
+    const invalid = await admin(`${proxy.url}/admin/api/logs?limit=0`);
+    assert.equal(invalid.status, 400);
+  });
+
+  it("passthrough 模式下不能管理密钥", async () => {
+    const response = await admin(`${proxy.url}/admin/api/keys`);
+    assert.equal(response.status, 400);
+    assert.equal((await response.json()).error.code, "keys_disabled");
+  });
+
+  it("重新加载配置文件，配置无效时继续使用原来的配置", async () => {
+    fs.writeFileSync(configFile, JSON.stringify({ models: { "coze-new": "mock_bot" } }));
+    const response = await admin(`${proxy.url}/admin/api/config/reload`, "POST");
+    assert.equal(response.status, 200);
+    const result = await response.json();
+    assert.equal(result.source, configFile);
+    assert.ok(result.models.includes("coze-new"));
+    assert.ok(!result.models.includes("coze-pro"));
+
+    fs.writeFileSync(configFile, JSON.stringify({ models: { broken: { weight: -1 } } }));
+    const invalid = await admin(`${proxy.url}/admin/api/config/reload`, "POST");
+    assert.equal(invalid.status, 400);
+    assert.equal((await invalid.json()).error.code, "invalid_config");
+    const list = await (await admin(`${proxy.url}/admin/api/models`)).json();
+    assert.ok(list.data.some((item) => item.id === "coze-new"));
+  });
+});
+
+describe("管理接口的密钥管理", () => {
+  let proxy;
+  let dir;
+  let keysFile;
+  before(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "admin-keys-"));
+    keysFile = path.join(dir, "keys.json");
+    fs.writeFileSync(keysFile, JSON.stringify({ keys: [{ name: "existing", key: "sk-existing", coze_token: "pat_existing" }] }));
+    proxy = await startProxy({ ADMIN_TOKEN, KEYS_FILE: keysFile });
+  });
+  after(async () => {
+    await proxy.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it("签发、修改和吊销密钥，并写回密钥表", async () => {
+    const created = await admin(`${proxy.url}/admin/api/keys`, "POST", {
+      name: "team-a",
+      coze_token: "pat_team",
+      limits: { rpm: 10 },
+    });
+    assert.equal(created.status, 200);
+    const key = await created.json();
+    assert.match(key.key, /^sk-/);
+    assert.deepEqual(key.limits, { rpm: 10 });
+    assert.deepEqual(key.usage, { daily_tokens: 0, monthly_tokens: 0 });
+
+    // 密钥表中只保存哈希
+    const saved = JSON.parse(fs.readFileSync(keysFile, "utf8")).keys;
+    assert.deepEqual(saved.map((entry) => entry.name), ["existing", "team-a"]);
+    assert.equal(saved[1].key, undefined);
+    assert.match(saved[1].key_hash, /^sha256:/);
+
+    const chat = await post(`${proxy.url}/v1/chat/completions`, chatBody(), { Authorization: `Bearer ${key.key}` });
+    assert.equal(chat.status, 200);
+    assert.equal(chat.headers.get("x-ratelimit-limit-requests"), "10");
+
+    const duplicate = await admin(`${proxy.url}/admin/api/keys`, "POST", { name: "team-a", coze_token: "pat_team" });
+    assert.equal(duplicate.status, 409);
+
+    const updated = await admin(`${proxy.url}/admin/api/keys/team-a`, "PATCH", { limits: { rpm: 20 }, models: ["coze"] });
+    assert.equal(updated.status, 200);
+    const list = await (await admin(`${proxy.url}/admin/api/keys`)).json();
+    const teamA = list.data.find((item) => item.name === "team-a");
+    assert.deepEqual(teamA.limits, { rpm: 20 });
+    assert.deepEqual(teamA.models, ["coze"]);
+    assert.ok(teamA.usage.daily_tokens > 0);
+    // 修改立即生效
+    const limited = await post(`${proxy.url}/v1/chat/completions`, chatBody(), { Authorization: `Bearer ${key.key}` });
+    assert.equal(limited.headers.get("x-ratelimit-limit-requests"), "20");
+
+    const invalid = await admin(`${proxy.url}/admin/api/keys/team-a`, "PATCH", { limits: { rpm: -1 } });
+    assert.equal(invalid.status, 400);
+
+    const revoked = await admin(`${proxy.url}/admin/api/keys/team-a`, "DELETE");
+    assert.equal(revoked.status, 200);
+    const rejected = await post(`${proxy.url}/v1/chat/completions`, chatBody(), { Authorization: `Bearer ${key.key}` });
+    assert.equal(rejected.status, 401);
+    assert.deepEqual(JSON.parse(fs.readFileSync(keysFile, "utf8")).keys.map((entry) => entry.name), ["existing"]);
+
+    const missing = await admin(`${proxy.url}/admin/api/keys/team-a`, "DELETE");
+    assert.equal(missing.status, 404);
+  });
+});
@@ -0,0 +1,126 @@
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { after, before, describe, it } from "node:test";
+import { INVALID_TOKEN } from "../src/mock/server.js";
+import { post, startProxy } from "./helpers.js";
+
+const chatBody = (model = "coze") => ({ model, messages: [{ role: "user", content: "你好" }] });
+
+describe("passthrough 认证", () => {
+  let proxy;
+  before(async () => {
+    proxy = await startProxy();
+  });
+  after(() => proxy.close());
+
+  it("缺少 Authorization 时返回 401", async () => {
+    const response = await post(`${proxy.url}/v1/chat/completions`, chatBody(), { Authorization: "" });
+    assert.equal(response.status, 401);
+    const body = await response.json();
+    assert.equal(body.error.code, "invalid_api_key");
+  });
+
+  it("Authorization 不是 Bearer 格式时返回 401", async () => {
+    const response = await post(`${proxy.url}/v1/chat/completions`, chatBody(), { Authorization: "Basic abc" });
+    assert.equal(response.status, 401);
+  });
+
+  it("把客户端的 token 转发给 Coze", async () => {
+    const response = await post(`${proxy.url}/v1/chat/completions`, chatBody());
+    assert.equal(response.status, 200);
+  });
+
+  it("Coze 认证失败时返回 401", async () => {
+    const response = await post(`${proxy.url}/v1/chat/completions`, chatBody(), {
+      Authorization: `Bearer ${INVALID_TOKEN}`,
+    });
+    assert.equal(response.status, 401);
+    const body = await response.json();
+    assert.equal(body.error.code, "4100");
+  });
+
+  it("Anthropic 接口接受 x-api-key", async () => {
+    const response = await post(`${proxy.url}/v1/messages`, { ...chatBody(), max_tokens: 100 }, {
+      Authorization: "",
+      "x-api-key": "test_token",
+    });
+    assert.equal(response.status, 200);
+  });
+});
+
+describe("keys 认证", () => {
+  let proxy;
+  let dir;
+  before(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "coze2openai-test-"));
+    const keysFile = path.join(dir, "keys.json");
+    fs.writeFileSync(keysFile, JSON.stringify({
+      keys: [
+        { name: "all", key: "sk-all", coze_token: "pat_all", models: ["*"] },
+        { name: "limited", key: "sk-limited", coze_token: "pat_limited", models: ["other"] },
+        { name: "expired", key: "sk-expired", coze_token: "pat_expired", expires_at: "2020-01-01T00:00:00Z" },
+        { name: "slow", key: "sk-slow", coze_token: "pat_slow", limits: { rpm: 1 } },
+      ],
+    }));
+    proxy = await startProxy({
+      KEYS_FILE: keysFile,
+      BOT_CONFIG: JSON.stringify({ other: "mock_bot" }),
+    });
+  });
+  after(async () => {
+    await proxy.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it("使用密钥对应的 Coze token 请求 Coze", async () => {
+    const response = await post(`${proxy.url}/v1/chat/completions`, chatBody(), { Authorization: "Bearer sk-all" });
+    assert.equal(response.status, 200);
+  });
+
+  it("未知的密钥返回 401", async () => {
+    const response = await post(`${proxy.url}/v1/chat/completions`, chatBody(), { Authorization: "Bearer sk-unknown" });
+    assert.equal(response.status, 401);
+  });
+
+  it("过期的密钥返回 401", async () => {
+    const response = await post(`${proxy.url}/v1/chat/completions`, chatBody(), { Authorization: "Bearer sk-expired" });
+    assert.equal(response.status, 401);
+    const body = await response.json();
+    assert.equal(body.error.code, "expired_api_key");
+  });
+
+  it("不允许使用的模型返回 403，/v1/models 中也不列出", async () => {
+    const response = await post(`${proxy.url}/v1/chat/completions`, chatBody("coze"), { Authorization: "Bearer sk-limited" });
+    assert.equal(response.status, 403);
+    const models = await fetch(`${proxy.url}/v1/models`, { headers: { Authorization: "Bearer sk-limited" } });
+    assert.deepEqual((await models.json()).data.map((model) => model.id), ["other"]);
+  });
+
+  it("Anthropic 接口以 Anthropic 格式返回认证和限流错误", async () => {
+    const messages = (apiKey) => post(`${proxy.url}/v1/messages`, { ...chatBody(), max_tokens: 100 }, {
+      Authorization: "",
+      "x-api-key": apiKey,
+    });
+    const unknown = await messages("sk-unknown");
+    assert.equal(unknown.status, 401);
+    assert.deepEqual(await unknown.json(), {
+      type: "error",
+      error: { type: "authentication_error", message: "无效的 API Key。" },
+    });
+
+    // 避免在两个请求之间跨过整分钟
+    const untilNextMinute = 60000 - (Date.now() % 60000);
+    if (untilNextMinute < 3000) {
+      await new Promise((resolve) => setTimeout(resolve, untilNextMinute));
+    }
+    assert.equal((await messages("sk-slow")).status, 200);
+    const limited = await messages("sk-slow");
+    assert.equal(limited.status, 429);
+    const body = await limited.json();
+    assert.equal(body.type, "error");
+    assert.equal(body.error.type, "rate_limit_error");
+    assert.ok(limited.headers.get("retry-after"));
+  });
+});
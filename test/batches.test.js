@@ -0,0 +1,372 @@
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { after, before, describe, it } from "node:test";
+// helpers.js 在导入日志模块之前关闭测试中的日志，需要先导入
+import { post, startProxy } from "./helpers.js";
+import { hashApiKey } from "../src/auth.js";
+import { callerOf } from "../src/logger.js";
+
+const ANSWER = "你好！我是模拟的 Coze 机器人。";
+const FINAL_STATUSES = ["failed", "completed", "expired", "cancelled"];
+
+function line(customId, body) {
+  return JSON.stringify({ custom_id: customId, method: "POST", url: "/v1/chat/completions", body });
+}
+
+async function uploadInput(url, lines) {
+  const form = new FormData();
+  form.append("purpose", "batch");
+  form.append("file", new Blob([lines.join("\n") + "\n"], { type: "application/jsonl" }), "input.jsonl");
+  const response = await fetch(`${url}/v1/files`, { method: "POST", headers: { Authorization: "Bearer test_token" }, body: form });
+  return response.json();
+}
+
+async function createBatch(url, lines) {
+  const file = await uploadInput(url, lines);
+  const response = await post(`${url}/v1/batches`, {
+    input_file_id: file.id,
+    endpoint: "/v1/chat/completions",
+    completion_window: "24h",
+  });
+  return response.json();
+}
+
+function get(url, token = "test_token") {
+  return fetch(url, { headers: { Authorization: `Bearer ${token}` } });
+}
+
+// 轮询到批处理结束
+async function waitFor(url, id, token = "test_token") {
+  for (let i = 0; i < 200; i++) {
+    const batch = await (await get(`${url}/v1/batches/${id}`, token)).json();
+    if (FINAL_STATUSES.includes(batch.status)) {
+      return batch;
+    }
+    await new Promise((resolve) => setTimeout(resolve, 20));
+  }
+  throw new Error(`批处理 ${id} 没有结束`);
+}
+
+async function readLines(url, fileId, token = "test_token") {
+  const text = await (await get(`${url}/v1/files/${fileId}/content`, token)).text();
+  return text.split("\n").filter(Boolean).map((item) => JSON.parse(item));
+}
+
+const chats = (proxy) => proxy.mock.requests.filter((request) => request.path === "/v3/chat");
+
+describe("Batch API", () => {
+  let proxy;
+  let dir;
+  before(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "batches-"));
+    proxy = await startProxy({
+      BOT_CONFIG: JSON.stringify({ "coze-error": "mock_error" }),
+      BATCH_DIR: dir,
+      BATCH_RATE_LIMIT_DELAY: "10",
+    });
+  });
+  after(async () => {
+    await proxy.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it("执行输入文件中的请求，成功和失败的结果分别写入结果文件和错误文件", async () => {
+    const created = await createBatch(proxy.url, [
+      line("req-1", { model: "coze", messages: [{ role: "user", content: "你好" }] }),
+      line("req-2", { model: "coze-error", messages: [{ role: "user", content: "你好" }] }),
+      line("req-3", { model: "coze", messages: [{ role: "user", content: "再见" }] }),
+    ]);
+    assert.match(created.id, /^batch_/);
+    assert.equal(created.object, "batch");
+    assert.equal(created.status, "in_progress");
+    assert.equal(created.request_counts.total, 3);
+    assert.equal(created.key_hash, undefined);
+
+    const batch = await waitFor(proxy.url, created.id);
+    assert.equal(batch.status, "completed");
+    assert.deepEqual(batch.request_counts, { total: 3, completed: 2, failed: 1 });
+    assert.ok(batch.completed_at);
+
+    const outputs = await readLines(proxy.url, batch.output_file_id);
+    assert.deepEqual(outputs.map((item) => item.custom_id), ["req-1", "req-3"]);
+    assert.equal(outputs[0].response.status_code, 200);
+    assert.equal(outputs[0].response.body.object, "chat.completion");
+    assert.equal(outputs[0].response.body.choices[0].message.content, ANSWER);
+
+    const errors = await readLines(proxy.url, batch.error_file_id);
+    assert.deepEqual(errors.map((item) => item.custom_id), ["req-2"]);
+    assert.ok(errors[0].response.status_code >= 400);
+    assert.match(errors[0].response.body.error.message, /mock_error/);
+
+    // 结束后只保留状态文件，passthrough 模式下的 token 从不写入文件
+    assert.deepEqual(fs.readdirSync(dir), [`${batch.id}.json`]);
+    assert.ok(!fs.readFileSync(path.join(dir, `${batch.id}.json`), "utf8").includes("test_token"));
+  });
+
+  it("遇到 Coze 限流时暂停后重试", async () => {
+    const before = chats(proxy).length;
+    // 第一次请求和代理的重试都被限流
+    proxy.mock.rateLimited = 2;
+    const created = await createBatch(proxy.url, [line("req-1", { model: "coze", messages: [{ role: "user", content: "你好" }] })]);
+    const batch = await waitFor(proxy.url, created.id);
+    assert.equal(batch.status, "completed");
+    assert.deepEqual(batch.request_counts, { total: 1, completed: 1, failed: 0 });
+    assert.equal(chats(proxy).length, before + 3);
+  });
+
+  it("输入有误时批处理失败并列出错误", async () => {
+    const batch = await createBatch(proxy.url, [
+      line("req-1", { model: "coze", messages: [{ role: "user", content: "你好" }] }),
+      line("req-1", { model: "coze", messages: [{ role: "user", content: "你好" }] }),
+      "不是 JSON",
+      JSON.stringify({ custom_id: "req-3", method: "POST", url: "/v1/embeddings", body: {} }),
+    ]);
+    assert.equal(batch.status, "failed");
+    assert.deepEqual(batch.errors.data.map((error) => [error.code, error.line]), [
+      ["duplicate_custom_id", 2],
+      ["invalid_json_line", 3],
+      ["mismatched_url", 4],
+    ]);
+  });
+
+  it("endpoint 不支持或输入文件不存在时返回 400", async () => {
+    const file = await uploadInput(proxy.url, [line("req-1", { model: "coze", messages: [] })]);
+    const endpoint = await post(`${proxy.url}/v1/batches`, { input_file_id: file.id, endpoint: "/v1/embeddings" });
+    assert.equal(endpoint.status, 400);
+    assert.equal((await endpoint.json()).error.param, "endpoint");
+    const missing = await post(`${proxy.url}/v1/batches`, { input_file_id: "file-missing", endpoint: "/v1/chat/completions" });
+    assert.equal(missing.status, 400);
+    assert.equal((await missing.json()).error.code, "file_not_found");
+  });
+
+  it("列出批处理，按调用方隔离", async () => {
+    const list = await (await get(`${proxy.url}/v1/batches?limit=2`)).json();
+    assert.equal(list.object, "list");
+    assert.equal(list.data.length, 2);
+    assert.equal(list.data[0].status, "failed");
+    assert.equal(list.has_more, true);
+    const next = await (await get(`${proxy.url}/v1/batches?after=${list.last_id}`)).json();
+    assert.equal(next.data.length, 1);
+
+    const other = await fetch(`${proxy.url}/v1/batches/${list.data[0].id}`, { headers: { Authorization: "Bearer other_token" } });
+    assert.equal(other.status, 404);
+  });
+
+  it("已结束的批处理不能取消", async () => {
+    const list = await (await get(`${proxy.url}/v1/batches`)).json();
+    const response = await post(`${proxy.url}/v1/batches/${list.data[0].id}/cancel`, {});
+    assert.equal(response.status, 409);
+  });
+});
+
+describe("Batch API 取消和恢复", () => {
+  let dir;
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "batches-"));
+  });
+  after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  it("取消后保留已完成的结果", async () => {
+    // 每分钟只执行一个请求，其余请求在队列中等待
+    const proxy = await startProxy({ BATCH_DIR: dir, BATCH_RPM: "1" });
+    try {
+      const created = await createBatch(proxy.url, ["一", "二", "三"].map((content, index) =>
+        line(`req-${index + 1}`, { model: "coze", messages: [{ role: "user", content }] })));
+      while ((await (await get(`${proxy.url}/v1/batches/${created.id}`)).json()).request_counts.completed === 0) {
+        await new Promise((resolve) => setTimeout(resolve, 20));
+      }
+      const response = await post(`${proxy.url}/v1/batches/${created.id}/cancel`, {});
+      assert.equal(response.status, 200);
+      const batch = await waitFor(proxy.url, created.id);
+      assert.equal(batch.status, "cancelled");
+      assert.ok(batch.cancelled_at);
+      assert.ok(batch.request_counts.completed < 3);
+      const outputs = await readLines(proxy.url, batch.output_file_id);
+      assert.equal(outputs[0].custom_id, "req-1");
+    } finally {
+      await proxy.close();
+    }
+  });
+
+  // 写入一个执行了第一个请求、还剩一个请求的批处理
+  function writeUnfinished(id, fields) {
+    const now = Math.floor(Date.now() / 1000);
+    const input = [
+      line("req-1", { model: "coze", messages: [{ role: "user", content: "你好" }] }),
+      line("req-2", { model: "coze", messages: [{ role: "user", content: "再见" }] }),
+    ];
+    const first = { id: "batch_req_1", custom_id: "req-1", response: { status_code: 200, request_id: "batch_req_1", body: {} }, error: null };
+    fs.writeFileSync(path.join(dir, `${id}.input.jsonl`), input.join("\n") + "\n");
+    fs.writeFileSync(path.join(dir, `${id}.results.jsonl`), JSON.stringify({ index: 0, line: first }) + "\n");
+    fs.writeFileSync(path.join(dir, `${id}.json`), JSON.stringify({
+      id,
+      object: "batch",
+      endpoint: "/v1/chat/completions",
+      errors: null,
+      input_file_id: "file-deleted",
+      completion_window: "24h",
+      status: "in_progress",
+      output_file_id: null,
+      error_file_id: null,
+      created_at: now,
+      in_progress_at: now,
+      expires_at: now + 86400,
+      request_counts: { total: 2, completed: 1, failed: 0 },
+      metadata: null,
+      ...fields,
+    }));
+  }
+
+  it("重启后按保存的密钥哈希继续执行未完成的请求", async () => {
+    const id = "batch_resumed";
+    writeUnfinished(id, { owner: "resume", key_hash: hashApiKey("sk-resume") });
+    const keysFile = path.join(dir, "keys.json");
+    fs.writeFileSync(keysFile, JSON.stringify({ keys: [{ name: "resume", key: "sk-resume", coze_token: "pat_resume" }] }));
+
+    const proxy = await startProxy({ BATCH_DIR: dir, KEYS_FILE: keysFile });
+    try {
+      const batch = await waitFor(proxy.url, id, "sk-resume");
+      assert.equal(batch.status, "completed");
+      assert.deepEqual(batch.request_counts, { total: 2, completed: 2, failed: 0 });
+      // 只执行了剩下的一个请求，使用密钥对应的 Coze token
+      assert.equal(chats(proxy).length, 1);
+      const outputs = await readLines(proxy.url, batch.output_file_id, "sk-resume");
+      assert.deepEqual(outputs.map((item) => item.custom_id), ["req-1", "req-2"]);
+      assert.equal(outputs[1].response.body.choices[0].message.content, ANSWER);
+    } finally {
+      await proxy.close();
+    }
+  });
+
+  it("passthrough 模式下重启后未结束的批处理失败", async () => {
+    const id = "batch_passthrough";
+    // 旧版本保存的 API Key 原文也被删除
+    writeUnfinished(id, { owner: callerOf({ apiKey: "test_token" }), api_key: "test_token" });
+
+    const proxy = await startProxy({ BATCH_DIR: dir });
+    try {
+      const batch = await waitFor(proxy.url, id);
+      assert.equal(batch.status, "failed");
+      assert.equal(batch.errors.data[0].code, "batch_resume_failed");
+      assert.equal(chats(proxy).length, 0);
+      assert.ok(!fs.readFileSync(path.join(dir, `${id}.json`), "utf8").includes("test_token"));
+    } finally {
+      await proxy.close();
+    }
+  });
+});
+
+describe("Batch API 按调用方限额", () => {
+  let proxy;
+  let dir;
+  const keyHeaders = (key) => ({ Authorization: `Bearer ${key}` });
+  before(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "batches-"));
+    const keysFile = path.join(dir, "keys.json");
+    fs.writeFileSync(keysFile, JSON.stringify({
+      keys: [
+        { name: "quota", key: "sk-quota", coze_token: "pat_quota", limits: { daily_tokens: 1 } },
+        { name: "rpm", key: "sk-rpm", coze_token: "pat_rpm", limits: { rpm: 1 } },
+        { name: "revoked", key: "sk-revoked", coze_token: "pat_revoked" },
+      ],
+    }));
+    proxy = await startProxy({
+      KEYS_FILE: keysFile,
+      ADMIN_TOKEN: "admin-secret",
+      BATCH_DIR: path.join(dir, "batches"),
+      BATCH_CONCURRENCY: "1",
+    });
+  });
+  after(async () => {
+    await proxy.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  async function createKeyBatch(key, count) {
+    const form = new FormData();
+    form.append("purpose", "batch");
+    const lines = Array.from({ length: count }, (item, index) =>
+      line(`req-${index + 1}`, { model: "coze", messages: [{ role: "user", content: "你好" }] }));
+    form.append("file", new Blob([lines.join("\n") + "\n"], { type: "application/jsonl" }), "input.jsonl");
+    const file = await (await fetch(`${proxy.url}/v1/files`, { method: "POST", headers: keyHeaders(key), body: form })).json();
+    const response = await post(`${proxy.url}/v1/batches`, { input_file_id: file.id, endpoint: "/v1/chat/completions" }, keyHeaders(key));
+    return response.json();
+  }
+
+  async function waitForKey(key, id, done = (batch) => FINAL_STATUSES.includes(batch.status)) {
+    for (let i = 0; i < 200; i++) {
+      const batch = await (await fetch(`${proxy.url}/v1/batches/${id}`, { headers: keyHeaders(key) })).json();
+      if (done(batch)) {
+        return batch;
+      }
+      await new Promise((resolve) => setTimeout(resolve, 20));
+    }
+    throw new Error(`批处理 ${id} 没有结束`);
+  }
+
+  it("token 用量计入调用方的配额，超出配额后剩下的请求以 429 失败", async () => {
+    const created = await createKeyBatch("sk-quota", 3);
+    const batch = await waitForKey("sk-quota", created.id);
+    assert.equal(batch.status, "completed");
+    assert.deepEqual(batch.request_counts, { total: 3, completed: 1, failed: 2 });
+    const errors = await (await fetch(`${proxy.url}/v1/files/${batch.error_file_id}/content`, { headers: keyHeaders("sk-quota") })).text();
+    const failures = errors.split("\n").filter(Boolean).map((item) => JSON.parse(item).response);
+    assert.deepEqual(failures.map((item) => [item.status_code, item.body.error.code]), [
+      [429, "insufficient_quota"],
+      [429, "insufficient_quota"],
+    ]);
+    // 在线请求与批处理共用同一个配额
+    const online = await post(`${proxy.url}/v1/chat/completions`, { model: "coze", messages: [{ role: "user", content: "你好" }] },
+      keyHeaders("sk-quota"));
+    assert.equal(online.status, 429);
+  });
+
+  it("超过每分钟请求数时等到下一分钟再继续", async () => {
+    // 避免在两个请求之间跨过整分钟
+    const untilNextMinute = 60000 - (Date.now() % 60000);
+    if (untilNextMinute < 3000) {
+      await new Promise((resolve) => setTimeout(resolve, untilNextMinute));
+    }
+    const created = await createKeyBatch("sk-rpm", 2);
+    // 状态文件中只保存密钥的哈希
+    const state = fs.readFileSync(path.join(dir, "batches", `${created.id}.json`), "utf8");
+    assert.equal(JSON.parse(state).key_hash, hashApiKey("sk-rpm"));
+    assert.ok(!state.includes("sk-rpm"));
+    await waitForKey("sk-rpm", created.id, (batch) => batch.request_counts.completed === 1);
+    await new Promise((resolve) => setTimeout(resolve, 200));
+    const waiting = await waitForKey("sk-rpm", created.id, () => true);
+    assert.equal(waiting.status, "in_progress");
+    assert.deepEqual(waiting.request_counts, { total: 2, completed: 1, failed: 0 });
+    await post(`${proxy.url}/v1/batches/${created.id}/cancel`, {}, keyHeaders("sk-rpm"));
+    assert.equal((await waitForKey("sk-rpm", created.id)).status, "cancelled");
+  });
+
+  it("密钥被吊销后剩下的请求以 401 失败", async () => {
+    // 第一个请求执行期间吊销密钥
+    proxy.mock.eventDelay = 200;
+    try {
+      const created = await createKeyBatch("sk-revoked", 2);
+      const revoked = await fetch(`${proxy.url}/admin/api/keys/revoked`, {
+        method: "DELETE",
+        headers: { Authorization: "Bearer admin-secret" },
+      });
+      assert.equal(revoked.status, 200);
+      // 密钥已吊销，无法再通过接口查询，从保存的状态文件中读取结果
+      const stateFile = path.join(dir, "batches", `${created.id}.json`);
+      let batch;
+      for (let i = 0; i < 200; i++) {
+        batch = JSON.parse(fs.readFileSync(stateFile, "utf8"));
+        if (FINAL_STATUSES.includes(batch.status)) {
+          break;
+        }
+        await new Promise((resolve) => setTimeout(resolve, 20));
+      }
+      assert.equal(batch.status, "completed");
+      assert.deepEqual(batch.request_counts, { total: 2, completed: 1, failed: 1 });
+    } finally {
+      proxy.mock.eventDelay = 0;
+    }
+  });
+});
@@ -0,0 +1,134 @@
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { after, before, describe, it } from "node:test";
+import { post, readEvents, startProxy } from "./helpers.js";
+
+const ANSWER = "你好！我是模拟的 Coze 机器人。";
+
+describe("响应缓存", () => {
+  let proxy;
+  before(async () => {
+    proxy = await startProxy({
+      RESPONSE_CACHE: "memory",
+      RESPONSE_CACHE_MODELS: "coze",
+      BOT_CONFIG: JSON.stringify({ uncached: "mock_bot" }),
+    });
+  });
+  after(() => proxy.close());
+
+  const chats = () => proxy.mock.requests.filter((request) => request.path === "/v3/chat").length;
+  const chat = (content, extra = {}, headers = {}) => post(`${proxy.url}/v1/chat/completions`, {
+    model: "coze",
+    messages: [{ role: "user", content }],
+    ...extra,
+  }, headers);
+
+  it("相同的请求第二次命中缓存，不再请求 Coze", async () => {
+    const first = await chat("缓存测试");
+    assert.equal(first.headers.get("x-cache"), "MISS");
+    await first.json();
+    const count = chats();
+    const second = await chat([{ type: "text", text: "缓存测试" }]);
+    assert.equal(second.headers.get("x-cache"), "HIT");
+    assert.equal((await second.json()).choices[0].message.content, ANSWER);
+    assert.equal(chats(), count);
+  });
+
+  it("流式请求以数据块回放缓存的回答", async () => {
+    await (await chat("流式缓存")).json();
+    const response = await chat("流式缓存", { stream: true });
+    assert.equal(response.headers.get("x-cache"), "HIT");
+    const events = await readEvents(response);
+    assert.equal(events.pop().data, "[DONE]");
+    const chunks = events.map((event) => event.data);
+    assert.equal(chunks.map((chunk) => chunk.choices[0].delta.content || "").join(""), ANSWER);
+    assert.equal(chunks.pop().choices[0].finish_reason, "stop");
+  });
+
+  it("流式请求的回答也会写入缓存", async () => {
+    await readEvents(await chat("先流式", { stream: true }));
+    const response = await chat("先流式");
+    assert.equal(response.headers.get("x-cache"), "HIT");
+  });
+
+  it("参数不同时不命中缓存", async () => {
+    await (await chat("参数")).json();
+    const response = await chat("参数", { max_tokens: 5 });
+    assert.equal(response.headers.get("x-cache"), "MISS");
+  });
+
+  it("Cache-Control: no-cache 时不读取缓存", async () => {
+    await (await chat("绕过")).json();
+    const count = chats();
+    const response = await chat("绕过", {}, { "Cache-Control": "no-cache" });
+    assert.equal(response.headers.get("x-cache"), "BYPASS");
+    await response.json();
+    assert.equal(chats(), count + 1);
+  });
+
+  it("未开启缓存的模型不缓存", async () => {
+    const response = await chat("未开启", { model: "uncached" });
+    assert.equal(response.headers.get("x-cache"), null);
+  });
+
+  it("缓存按调用方区分", async () => {
+    await (await chat("调用方")).json();
+    const response = await chat("调用方", {}, { Authorization: "Bearer another_token" });
+    assert.equal(response.headers.get("x-cache"), "MISS");
+  });
+
+  it("继续会话的请求不使用缓存", async () => {
+    await (await chat("会话")).json();
+    const response = await chat("会话", {}, { "X-Conversation-Id": "conv-cache" });
+    assert.equal(response.headers.get("x-cache"), null);
+  });
+});
+
+describe("响应缓存与会话、模型配置", () => {
+  const ADMIN_TOKEN = "admin-secret";
+  let proxy;
+  let dir;
+  let configFile;
+  const writeConfig = (model) => fs.writeFileSync(configFile, JSON.stringify({ models: { cached: { bot_id: "mock_bot", cache: true, ...model } } }));
+  before(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "cache-"));
+    configFile = path.join(dir, "config.json");
+    writeConfig({ system_prompt_prefix: "你是客服。" });
+    proxy = await startProxy({ RESPONSE_CACHE: "memory", SESSION_MODE: "user", CONFIG_FILE: configFile, ADMIN_TOKEN });
+  });
+  after(async () => {
+    await proxy.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const chat = (content, extra = {}) => post(`${proxy.url}/v1/chat/completions`, {
+    model: "cached",
+    messages: [{ role: "user", content }],
+    ...extra,
+  });
+  const reload = () => fetch(`${proxy.url}/admin/api/config/reload`, {
+    method: "POST",
+    headers: { Authorization: `Bearer ${ADMIN_TOKEN}` },
+  });
+
+  it("SESSION_MODE=user 时带 user 的请求不使用缓存", async () => {
+    await (await chat("用户会话", { user: "alice" })).json();
+    const response = await chat("用户会话", { user: "alice" });
+    assert.equal(response.headers.get("x-cache"), null);
+  });
+
+  it("修改 system_prompt_prefix 或 custom_variables 后不命中旧的回答", async () => {
+    await (await chat("配置")).json();
+    assert.equal((await chat("配置")).headers.get("x-cache"), "HIT");
+
+    writeConfig({ system_prompt_prefix: "你是销售。" });
+    assert.equal((await reload()).status, 200);
+    assert.equal((await chat("配置")).headers.get("x-cache"), "MISS");
+
+    writeConfig({ system_prompt_prefix: "你是销售。", custom_variables: { region: "北京" } });
+    assert.equal((await reload()).status, 200);
+    assert.equal((await chat("配置")).headers.get("x-cache"), "MISS");
+  });
+});
@@ -0,0 +1,141 @@
+import assert from "node:assert/strict";
+import { getEventListeners } from "node:events";
+import { after, before, describe, it } from "node:test";
+// helpers.js 在导入日志模块之前关闭测试中的日志，需要先导入
+import { post, startProxy } from "./helpers.js";
+import { CozeClient, primeStream } from "../src/coze.js";
+import { MockCoze } from "../src/mock/server.js";
+
+describe("CozeClient 的中止信号", () => {
+  let mock;
+  let apiBase;
+  before(async () => {
+    mock = new MockCoze();
+    apiBase = await mock.listen();
+  });
+  after(() => mock.close());
+
+  it("每个请求结束后移除对调用方 signal 的监听", async () => {
+    const controller = new AbortController();
+    const client = new CozeClient({ apiBase, token: "test_token", signal: controller.signal, connectTimeout: 1000 });
+    // 相当于非流式对话的多次轮询
+    for (let i = 0; i < 20; i++) {
+      await client.getBotInfo("mock_bot");
+    }
+    assert.equal(getEventListeners(controller.signal, "abort").length, 0);
+  });
+
+  it("等待第一个 token 超时时中止上游的事件流", async () => {
+    mock.eventDelay = 200;
+    try {
+      const controller = new AbortController();
+      const client = new CozeClient({ apiBase, token: "test_token", signal: controller.signal });
+      const events = await client.streamChat({ bot_id: "mock_bot", user_id: "apiuser", additional_messages: [] }, "");
+      await assert.rejects(primeStream(events, { timeout: 300, abortController: controller }), {
+        name: "CozeApiError",
+        status: 504,
+        code: "first_token_timeout",
+      });
+      assert.ok(controller.signal.aborted);
+      const stream = mock.requests.find((request) => request.path === "/v3/chat");
+      for (let i = 0; i < 50 && !stream.aborted; i++) {
+        await new Promise((resolve) => setTimeout(resolve, 20));
+      }
+      assert.equal(stream.aborted, true);
+    } finally {
+      mock.eventDelay = 0;
+    }
+  });
+});
+
+describe("客户端断开连接", () => {
+  let proxy;
+  before(async () => {
+    proxy = await startProxy();
+  });
+  after(() => proxy.close());
+
+  const cancelRequests = () => proxy.mock.requests.filter((request) => request.path === "/v3/chat/cancel");
+
+  async function waitForCancel(count) {
+    for (let i = 0; i < 100 && cancelRequests().length < count; i++) {
+      await new Promise((resolve) => setTimeout(resolve, 20));
+    }
+    return cancelRequests();
+  }
+
+  it("流式请求中途断开时取消 Coze 对话", async () => {
+    proxy.mock.eventDelay = 50;
+    try {
+      const controller = new AbortController();
+      const response = await post(`${proxy.url}/v1/chat/completions`, {
+        model: "coze",
+        stream: true,
+        messages: [{ role: "user", content: "你好" }],
+      }, {}, controller.signal);
+      const reader = response.body.getReader();
+      // 收到第一个数据块后断开
+      await reader.read();
+      controller.abort();
+      const cancels = await waitForCancel(1);
+      assert.equal(cancels.length, 1);
+      // 取消的是刚才发起的对话
+      assert.ok(proxy.mock.chats.has(cancels[0].body.chat_id));
+      assert.ok(cancels[0].body.conversation_id);
+    } finally {
+      proxy.mock.eventDelay = 0;
+    }
+  });
+
+  it("非流式请求在等待回答时断开也取消 Coze 对话", async () => {
+    proxy.mock.eventDelay = 200;
+    try {
+      const before = cancelRequests().length;
+      const controller = new AbortController();
+      const pending = post(`${proxy.url}/v1/chat/completions`, {
+        model: "coze",
+        messages: [{ role: "user", content: "你好" }],
+      }, {}, controller.signal).catch((error) => error);
+      // 等到代理开始轮询对话状态
+      while (!proxy.mock.requests.some((request) => request.path === "/v3/chat/retrieve")) {
+        await new Promise((resolve) => setTimeout(resolve, 10));
+      }
+      controller.abort();
+      assert.equal((await pending).name, "AbortError");
+      const cancels = await waitForCancel(before + 1);
+      assert.equal(cancels.length, before + 1);
+    } finally {
+      proxy.mock.eventDelay = 0;
+    }
+  });
+});
+
+describe("等待第一个 token 超时", () => {
+  let proxy;
+  before(async () => {
+    proxy = await startProxy({ FIRST_TOKEN_TIMEOUT: "1" });
+  });
+  after(() => proxy.close());
+
+  it("返回 504，中止上游的事件流并取消 Coze 对话", async () => {
+    // 对话创建事件在超时之前到达，第一个 token 在超时之后才会到达
+    proxy.mock.eventDelay = 700;
+    try {
+      const response = await post(`${proxy.url}/v1/chat/completions`, {
+        model: "coze",
+        stream: true,
+        messages: [{ role: "user", content: "你好" }],
+      });
+      assert.equal(response.status, 504);
+      assert.equal((await response.json()).error.code, "first_token_timeout");
+      const stream = proxy.mock.requests.find((request) => request.path === "/v3/chat");
+      for (let i = 0; i < 50 && !stream.aborted; i++) {
+        await new Promise((resolve) => setTimeout(resolve, 20));
+      }
+      assert.equal(stream.aborted, true);
+      assert.ok(proxy.mock.requests.some((request) => request.path === "/v3/chat/cancel"));
+    } finally {
+      proxy.mock.eventDelay = 0;
+    }
+  });
+});
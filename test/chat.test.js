@@ -0,0 +1,165 @@
+import assert from "node:assert/strict";
+import { after, before, describe, it } from "node:test";
+import { post, readEvents, startProxy } from "./helpers.js";
+
+// 与 recordings/chat.sse 一致
+const ANSWER = "你好！我是模拟的 Coze 机器人。";
+const USAGE = { prompt_tokens: 35, completion_tokens: 13, total_tokens: 48 };
+
+describe("OpenAI /v1/chat/completions", () => {
+  let proxy;
+  before(async () => {
+    proxy = await startProxy();
+  });
+  after(() => proxy.close());
+
+  it("非流式请求返回完整回答和用量", async () => {
+    const response = await post(`${proxy.url}/v1/chat/completions`, {
+      model: "coze",
+      messages: [{ role: "user", content: "你好" }],
+    });
+    assert.equal(response.status, 200);
+    assert.ok(response.headers.get("x-request-id"));
+    const body = await response.json();
+    assert.equal(body.object, "chat.completion");
+    assert.equal(body.model, "coze");
+    assert.equal(body.choices[0].message.role, "assistant");
+    assert.equal(body.choices[0].message.content, ANSWER);
+    assert.equal(body.choices[0].finish_reason, "stop");
+    assert.deepEqual(body.usage, USAGE);
+  });
+
+  it("转换消息为 Coze 的 additional_messages", async () => {
+    await post(`${proxy.url}/v1/chat/completions`, {
+      model: "coze",
+      messages: [
+        { role: "user", content: "第一个问题" },
+        { role: "assistant", content: "第一个回答" },
+        { role: "user", content: "第二个问题" },
+      ],
+      user: "user-1",
+    });
+    const chat = proxy.mock.requests.filter((request) => request.path === "/v3/chat").pop();
+    assert.equal(chat.body.bot_id, "mock_bot");
+    assert.equal(chat.body.user_id, "user-1");
+    assert.deepEqual(chat.body.additional_messages.map((message) => [message.role, message.type, message.content]), [
+      ["user", "question", "第一个问题"],
+      ["assistant", "answer", "第一个回答"],
+      ["user", "question", "第二个问题"],
+    ]);
+  });
+
+  it("流式请求逐块返回回答，并以 [DONE] 结束", async () => {
+    const response = await post(`${proxy.url}/v1/chat/completions`, {
+      model: "coze",
+      stream: true,
+      stream_options: { include_usage: true },
+      messages: [{ role: "user", content: "你好" }],
+    });
+    assert.equal(response.status, 200);
+    assert.match(response.headers.get("content-type"), /text\/event-stream/);
+    const events = await readEvents(response);
+    assert.equal(events.pop().data, "[DONE]");
+    const usageChunk = events.pop().data;
+    assert.deepEqual(usageChunk.choices, []);
+    assert.deepEqual(usageChunk.usage, USAGE);
+    const chunks = events.map((event) => event.data);
+    assert.ok(chunks.every((chunk) => chunk.object === "chat.completion.chunk"));
+    assert.equal(chunks.map((chunk) => chunk.choices[0].delta.content || "").join(""), ANSWER);
+    assert.equal(chunks.pop().choices[0].finish_reason, "stop");
+  });
+
+  it("开启 follow_ups 扩展时返回推荐问题", async () => {
+    const response = await post(`${proxy.url}/v1/chat/completions`, {
+      model: "coze",
+      coze_extensions: ["follow_ups"],
+      messages: [{ role: "user", content: "你好" }],
+    });
+    const body = await response.json();
+    assert.deepEqual(body.choices[0].message.follow_ups, ["你能做什么？"]);
+  });
+
+  it("机器人调用端插件时返回 tool_calls", async () => {
+    const toolProxy = await startProxy({ BOT_CONFIG: JSON.stringify({ tools: "mock_tool" }) });
+    try {
+      const response = await post(`${toolProxy.url}/v1/chat/completions`, {
+        model: "tools",
+        messages: [{ role: "user", content: "北京天气" }],
+      });
+      const body = await response.json();
+      assert.equal(body.choices[0].finish_reason, "tool_calls");
+      assert.deepEqual(body.choices[0].message.tool_calls, [
+        { id: "call_1", type: "function", function: { name: "get_weather", arguments: "{\"city\":\"北京\"}" } },
+      ]);
+    } finally {
+      await toolProxy.close();
+    }
+  });
+
+  it("只有发起对话的调用方可以提交工具结果", async () => {
+    const toolProxy = await startProxy({ BOT_CONFIG: JSON.stringify({ tools: "mock_tool" }) });
+    try {
+      const question = { role: "user", content: "北京天气" };
+      const body = await (await post(`${toolProxy.url}/v1/chat/completions`, { model: "tools", messages: [question] })).json();
+      const messages = [
+        question,
+        body.choices[0].message,
+        { role: "tool", tool_call_id: "call_1", content: "晴，25 度" },
+      ];
+      const other = await post(`${toolProxy.url}/v1/chat/completions`, { model: "tools", messages }, {
+        Authorization: "Bearer other_token",
+      });
+      assert.equal(other.status, 400);
+      assert.equal((await other.json()).error.code, "tool_call_not_found");
+
+      const response = await post(`${toolProxy.url}/v1/chat/completions`, { model: "tools", messages });
+      assert.equal(response.status, 200);
+      assert.ok(toolProxy.mock.requests.some((request) => request.path === "/v3/chat/submit_tool_outputs"));
+    } finally {
+      await toolProxy.close();
+    }
+  });
+});
+
+describe("Anthropic /v1/messages", () => {
+  let proxy;
+  before(async () => {
+    proxy = await startProxy();
+  });
+  after(() => proxy.close());
+
+  it("非流式请求返回 Anthropic 格式的消息", async () => {
+    const response = await post(`${proxy.url}/v1/messages`, {
+      model: "coze",
+      max_tokens: 1024,
+      messages: [{ role: "user", content: "你好" }],
+    });
+    assert.equal(response.status, 200);
+    const body = await response.json();
+    assert.equal(body.type, "message");
+    assert.equal(body.role, "assistant");
+    assert.deepEqual(body.content, [{ type: "text", text: ANSWER }]);
+    assert.equal(body.stop_reason, "end_turn");
+    assert.deepEqual(body.usage, { input_tokens: 35, output_tokens: 13 });
+  });
+
+  it("流式请求按 Anthropic 的事件顺序返回", async () => {
+    const response = await post(`${proxy.url}/v1/messages`, {
+      model: "coze",
+      max_tokens: 1024,
+      stream: true,
+      messages: [{ role: "user", content: "你好" }],
+    });
+    const events = await readEvents(response);
+    const names = events.map((event) => event.event);
+    assert.equal(names[0], "message_start");
+    assert.equal(names[1], "content_block_start");
+    assert.deepEqual(names.slice(-3), ["content_block_stop", "message_delta", "message_stop"]);
+    const text = events
+      .filter((event) => event.event === "content_block_delta")
+      .map((event) => event.data.delta.text)
+      .join("");
+    assert.equal(text, ANSWER);
+    assert.equal(events.find((event) => event.event === "message_delta").data.delta.stop_reason, "end_turn");
+  });
+});
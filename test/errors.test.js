@@ -0,0 +1,114 @@
+import assert from "node:assert/strict";
+import { after, before, describe, it } from "node:test";
+import { post, readEvents, startProxy } from "./helpers.js";
+
+describe("Coze 错误", () => {
+  let proxy;
+  before(async () => {
+    proxy = await startProxy({
+      BOT_CONFIG: JSON.stringify({
+        unpublished: "mock_error",
+        failing: "mock_failed",
+        unavailable: "mock_unavailable",
+      }),
+    });
+  });
+  after(() => proxy.close());
+
+  const chat = (model, extra = {}) => post(`${proxy.url}/v1/chat/completions`, {
+    model,
+    messages: [{ role: "user", content: "你好" }],
+    ...extra,
+  });
+
+  it("Coze 返回错误码时返回 502 和 Coze 的错误信息", async () => {
+    const response = await chat("unpublished");
+    assert.equal(response.status, 502);
+    const body = await response.json();
+    assert.equal(body.error.type, "api_error");
+    assert.equal(body.error.code, "4015");
+    assert.match(body.error.message, /has not been published/);
+  });
+
+  it("流式请求在输出之前出错时返回 HTTP 错误", async () => {
+    const response = await chat("failing", { stream: true });
+    assert.equal(response.status, 502);
+    const body = await response.json();
+    assert.equal(body.error.code, "4011");
+  });
+
+  it("非流式请求对话失败时返回错误", async () => {
+    const response = await chat("failing");
+    assert.ok(response.status >= 500);
+    const body = await response.json();
+    assert.match(body.error.message, /token quota/);
+  });
+
+  it("Coze 服务内部错误时重试，仍失败返回 502", async () => {
+    const count = () => proxy.mock.requests.filter((request) => request.body && request.body.bot_id === "mock_unavailable").length;
+    const before = count();
+    const response = await chat("unavailable");
+    assert.equal(response.status, 502);
+    // UPSTREAM_RETRIES=1：共请求两次
+    assert.equal(count() - before, 2);
+  });
+
+  it("Anthropic 接口返回 Anthropic 格式的错误", async () => {
+    const response = await post(`${proxy.url}/v1/messages`, {
+      model: "unpublished",
+      max_tokens: 100,
+      messages: [{ role: "user", content: "你好" }],
+    });
+    assert.equal(response.status, 502);
+    const body = await response.json();
+    assert.equal(body.type, "error");
+    assert.equal(body.error.type, "api_error");
+  });
+
+  it("Anthropic 图片内容块缺少 source 时返回 400", async () => {
+    const response = await post(`${proxy.url}/v1/messages`, {
+      model: "coze",
+      max_tokens: 100,
+      messages: [{ role: "user", content: [{ type: "image" }, { type: "text", text: "这是什么？" }] }],
+    });
+    assert.equal(response.status, 400);
+    const body = await response.json();
+    assert.equal(body.type, "error");
+    assert.equal(body.error.type, "invalid_request_error");
+    assert.match(body.error.message, /source/);
+  });
+
+  it("缺少 messages 时返回 400", async () => {
+    const response = await post(`${proxy.url}/v1/chat/completions`, { model: "coze" });
+    assert.equal(response.status, 400);
+  });
+
+  it("Anthropic 接口的 messages 为空时返回 400", async () => {
+    const response = await post(`${proxy.url}/v1/messages`, { model: "coze", max_tokens: 100, messages: [] });
+    assert.equal(response.status, 400);
+    const body = await response.json();
+    assert.equal(body.type, "error");
+    assert.equal(body.error.type, "invalid_request_error");
+  });
+
+  it("Anthropic 消息的 content 不是字符串或数组时返回 400，指出消息的位置", async () => {
+    for (const content of [{ type: "text", text: "你好" }, 42, undefined]) {
+      const response = await post(`${proxy.url}/v1/messages`, {
+        model: "coze",
+        max_tokens: 100,
+        messages: [{ role: "user", content: "你好" }, { role: "assistant", content: "你好" }, { role: "user", content }],
+      });
+      assert.equal(response.status, 400);
+      const body = await response.json();
+      assert.equal(body.type, "error");
+      assert.equal(body.error.type, "invalid_request_error");
+      assert.match(body.error.message, /messages\[2\]\.content/);
+    }
+  });
+
+  it("流式 SSE 以 [DONE] 结束时不包含错误", async () => {
+    const response = await chat("coze", { stream: true });
+    const events = await readEvents(response);
+    assert.ok(events.every((event) => !event.data.error));
+  });
+});
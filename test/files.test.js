@@ -0,0 +1,144 @@
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { after, before, describe, it } from "node:test";
+import { post, startProxy } from "./helpers.js";
+
+function upload(url, { content = "会议纪要", filename = "notes.txt", type = "text/plain", purpose = "user_data", token = "test_token" } = {}) {
+  const form = new FormData();
+  form.append("purpose", purpose);
+  form.append("file", new Blob([content], { type }), filename);
+  return fetch(`${url}/v1/files`, { method: "POST", headers: { Authorization: `Bearer ${token}` }, body: form });
+}
+
+function get(url, token = "test_token") {
+  return fetch(url, { headers: { Authorization: `Bearer ${token}` } });
+}
+
+describe("Files API", () => {
+  let proxy;
+  let file;
+  before(async () => {
+    // coze-other 使用自己的 Coze token，与调用方不是同一个 Coze 账号
+    proxy = await startProxy({ BOT_CONFIG: JSON.stringify({ "coze-other": { bot_id: "mock_bot", token: "pat_other" } }) });
+  });
+  after(() => proxy.close());
+
+  it("上传文件到 Coze 并返回 OpenAI 的 file 对象", async () => {
+    const response = await upload(proxy.url);
+    assert.equal(response.status, 200);
+    file = await response.json();
+    assert.match(file.id, /^file-[0-9a-f]{24}$/);
+    assert.equal(file.object, "file");
+    assert.equal(file.filename, "notes.txt");
+    assert.equal(file.purpose, "user_data");
+    assert.equal(file.bytes, Buffer.byteLength("会议纪要"));
+    assert.equal(file.status, "processed");
+    assert.equal(proxy.mock.files.length, 1);
+    assert.equal(proxy.mock.files[0].file_name, "notes.txt");
+  });
+
+  it("查询和列出文件", async () => {
+    const retrieved = await (await get(`${proxy.url}/v1/files/${file.id}`)).json();
+    assert.deepEqual(retrieved, file);
+
+    const second = await (await upload(proxy.url, { content: "第二个文件", purpose: "assistants" })).json();
+    const list = await (await get(`${proxy.url}/v1/files`)).json();
+    assert.equal(list.object, "list");
+    assert.deepEqual(list.data.map((item) => item.id), [second.id, file.id]);
+    assert.equal(list.has_more, false);
+
+    const page = await (await get(`${proxy.url}/v1/files?order=asc&limit=1`)).json();
+    assert.deepEqual(page.data.map((item) => item.id), [file.id]);
+    assert.equal(page.has_more, true);
+    const next = await (await get(`${proxy.url}/v1/files?order=asc&after=${page.last_id}`)).json();
+    assert.deepEqual(next.data.map((item) => item.id), [second.id]);
+
+    const filtered = await (await get(`${proxy.url}/v1/files?purpose=assistants`)).json();
+    assert.deepEqual(filtered.data.map((item) => item.id), [second.id]);
+  });
+
+  it("文件按调用方隔离", async () => {
+    const response = await get(`${proxy.url}/v1/files/${file.id}`, "other_token");
+    assert.equal(response.status, 404);
+    assert.equal((await response.json()).error.code, "file_not_found");
+    const list = await (await get(`${proxy.url}/v1/files`, "other_token")).json();
+    assert.deepEqual(list.data, []);
+  });
+
+  it("对话消息通过 file_id 引用已上传的文件", async () => {
+    const response = await post(`${proxy.url}/v1/chat/completions`, {
+      model: "coze",
+      messages: [{
+        role: "user",
+        content: [
+          { type: "text", text: "总结这个文件" },
+          { type: "file", file: { file_id: file.id } },
+        ],
+      }],
+    });
+    assert.equal(response.status, 200);
+    const chat = proxy.mock.requests.filter((request) => request.path === "/v3/chat").pop();
+    assert.deepEqual(JSON.parse(chat.body.additional_messages[0].content), [
+      { type: "text", text: "总结这个文件" },
+      { type: "file", file_id: proxy.mock.files[0].id },
+    ]);
+  });
+
+  it("模型使用另一个 Coze 账号时不能引用文件", async () => {
+    const response = await post(`${proxy.url}/v1/chat/completions`, {
+      model: "coze-other",
+      messages: [{ role: "user", content: [{ type: "file", file: { file_id: file.id } }] }],
+    });
+    assert.equal(response.status, 400);
+    assert.equal((await response.json()).error.code, "file_account_mismatch");
+  });
+
+  it("缺少 purpose 或类型不允许时返回 400 / 415", async () => {
+    const missing = await upload(proxy.url, { purpose: "" });
+    assert.equal(missing.status, 400);
+    assert.equal((await missing.json()).error.param, "purpose");
+    const binary = await upload(proxy.url, { filename: "app.exe", type: "application/x-msdownload" });
+    assert.equal(binary.status, 415);
+  });
+
+  it("删除文件后不能再查询或引用", async () => {
+    const response = await fetch(`${proxy.url}/v1/files/${file.id}`, {
+      method: "DELETE",
+      headers: { Authorization: "Bearer test_token" },
+    });
+    assert.deepEqual(await response.json(), { id: file.id, object: "file", deleted: true });
+    assert.equal((await get(`${proxy.url}/v1/files/${file.id}`)).status, 404);
+
+    const chat = await post(`${proxy.url}/v1/chat/completions`, {
+      model: "coze",
+      messages: [{ role: "user", content: [{ type: "input_file", file_id: file.id }] }],
+    });
+    assert.equal(chat.status, 400);
+    assert.equal((await chat.json()).error.code, "file_not_found");
+  });
+});
+
+describe("Files API 存储出错", () => {
+  let proxy;
+  let dir;
+  before(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "files-error-"));
+    // 元数据文件所在的“目录”是一个普通文件，写入元数据时出错
+    fs.writeFileSync(path.join(dir, "blocked"), "");
+    proxy = await startProxy({ FILES_STORE: "file", FILES_FILE: path.join(dir, "blocked", "files.json") });
+  });
+  after(async () => {
+    await proxy.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it("保存文件失败时返回 500 而不是挂起", async () => {
+    for (const purpose of ["user_data", "batch"]) {
+      const response = await upload(proxy.url, { purpose });
+      assert.equal(response.status, 500);
+      assert.match((await response.json()).error.message, /服务器内部错误/);
+    }
+  });
+});
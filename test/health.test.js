@@ -0,0 +1,27 @@
+import assert from "node:assert/strict";
+import { after, before, describe, it } from "node:test";
+import { post, startProxy } from "./helpers.js";
+
+const chatBody = (model = "coze") => ({ model, messages: [{ role: "user", content: "你好" }] });
+
+describe("健康检查和指标", () => {
+  let proxy;
+  before(async () => {
+    proxy = await startProxy();
+  });
+  after(() => proxy.close());
+
+  it("/healthz 和 /readyz 返回 200", async () => {
+    assert.equal((await fetch(`${proxy.url}/healthz`)).status, 200);
+    const ready = await fetch(`${proxy.url}/readyz`);
+    assert.equal(ready.status, 200);
+    assert.equal((await ready.json()).checks.config.ok, true);
+  });
+
+  it("/metrics 返回 Prometheus 文本格式", async () => {
+    await post(`${proxy.url}/v1/chat/completions`, chatBody());
+    const response = await fetch(`${proxy.url}/metrics`);
+    assert.match(response.headers.get("content-type"), /text\/plain/);
+    assert.match(await response.text(), /coze2openai_requests_total\{endpoint="chat_completions",model="coze",status="200",stream="false"\} \d+/);
+  });
+});
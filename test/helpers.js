@@ -0,0 +1,91 @@
+import { MockCoze } from "../src/mock/server.js";
+
+// 测试辅助：启动模拟的 Coze API 和代理，代理按传入的环境变量创建。
+
+// 测试中不输出日志，需要排查时可以设置 LOG_LEVEL=debug
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || "silent";
+const { createApp } = await import("../src/app.js");
+
+// 测试之间互不影响的默认配置：不使用 .env，缩短轮询和重试间隔
+const DEFAULT_ENV = {
+  BOT_ID: "mock_bot",
+  DEFAULT_MODEL: "coze",
+  POLL_INTERVAL: "10",
+  UPSTREAM_RETRIES: "1",
+  UPSTREAM_RETRY_BASE_DELAY: "1",
+  UPSTREAM_RETRY_MAX_DELAY: "1",
+};
+
+/**
+ * 启动模拟的 Coze API 和代理
+ * @param {object} [env] - 额外的环境变量
+ * @returns {Promise<{url: string, mock: MockCoze, close: function(): Promise<void>}>}
+ */
+export async function startProxy(env = {}) {
+  const mock = new MockCoze();
+  const saved = { ...process.env };
+  Object.assign(process.env, DEFAULT_ENV, { COZE_API_BASE: await mock.listen() }, env);
+  let app;
+  try {
+    app = await createApp();
+  } finally {
+    // 应用在创建时读取环境变量，之后即可恢复
+    process.env = saved;
+  }
+  const server = await new Promise((resolve) => {
+    const listening = app.listen(0, "127.0.0.1", () => resolve(listening));
+  });
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    mock,
+    async close() {
+      await new Promise((resolve) => {
+        server.close(() => resolve());
+        server.closeAllConnections();
+      });
+      await mock.close();
+    },
+  };
+}
+
+/**
+ * 发送 JSON 请求
+ * @param {string} url
+ * @param {object} body
+ * @param {object} [headers]
+ * @param {AbortSignal} [signal] - 用于模拟客户端断开连接
+ * @returns {Promise<Response>}
+ */
+export function post(url, body, headers = {}, signal = undefined) {
+  return fetch(url, {
+    method: "POST",
+    headers: { "Content-Type": "application/json", Authorization: "Bearer test_token", ...headers },
+    body: JSON.stringify(body),
+    signal,
+  });
+}
+
+/**
+ * 读取 SSE 响应，返回每个事件的 { event, data }，data 为 JSON 时解析为对象，忽略注释
+ * @param {Response} response
+ * @returns {Promise<Array<{event: string|null, data: *}>>}
+ */
+export async function readEvents(response) {
+  const text = await response.text();
+  return text
+    .split("\n\n")
+    // 跳过只有注释（保活）的块
+    .filter((block) => block.split("\n").some((line) => line.startsWith("data:")))
+    .map((block) => {
+      const lines = block.split("\n");
+      const event = lines.find((line) => line.startsWith("event:"));
+      const data = lines.find((line) => line.startsWith("data:")).slice(5).trim();
+      let parsed = data;
+      try {
+        parsed = JSON.parse(data);
+      } catch (error) {
+        // [DONE] 等非 JSON 数据
+      }
+      return { event: event ? event.slice(6).trim() : null, data: parsed };
+    });
+}
@@ -0,0 +1,86 @@
+import assert from "node:assert/strict";
+import { after, before, describe, it } from "node:test";
+import { extractImageUrls } from "../src/images.js";
+import { post, startProxy } from "./helpers.js";
+
+describe("extractImageUrls", () => {
+  it("提取 Markdown 图片和卡片中的图片", () => {
+    const content = "生成好了：![图](https://cdn.example.com/a.png) 另见 https://example.com/page";
+    const cards = [JSON.stringify({ data: { image_list: [{ url: "https://cdn.example.com/b?sign=1" }], link: "https://example.com" } })];
+    assert.deepEqual(extractImageUrls(content, cards), ["https://cdn.example.com/a.png", "https://cdn.example.com/b?sign=1"]);
+  });
+
+  it("没有 Markdown 图片时使用带图片扩展名的链接", () => {
+    assert.deepEqual(extractImageUrls("图片地址：https://cdn.example.com/c.jpg，页面 https://example.com"), [
+      "https://cdn.example.com/c.jpg",
+    ]);
+    assert.deepEqual(extractImageUrls("我无法生成这张图片。"), []);
+  });
+});
+
+describe("图片生成", () => {
+  let proxy;
+  before(async () => {
+    proxy = await startProxy({
+      BOT_CONFIG: JSON.stringify({ "coze-image": "mock_image" }),
+      REMOTE_FILE_ALLOW_PRIVATE: "true",
+    });
+  });
+  after(() => proxy.close());
+
+  const chats = () => proxy.mock.requests.filter((request) => request.path === "/v3/chat");
+
+  it("返回回答和卡片中的图片 URL", async () => {
+    const before = chats().length;
+    const response = await post(`${proxy.url}/v1/images/generations`, {
+      model: "coze-image",
+      prompt: "一只猫和一只狗",
+      n: 2,
+      size: "1024x1024",
+    });
+    assert.equal(response.status, 200);
+    const body = await response.json();
+    assert.deepEqual(body.data.map((image) => new URL(image.url).pathname), ["/images/cat.png", "/images/dog"]);
+    assert.equal(body.usage.total_tokens, 48);
+    // 一次对话已经返回两张图片
+    assert.equal(chats().length, before + 1);
+    const message = chats().pop().body.additional_messages[0];
+    assert.equal(message.content, "一只猫和一只狗\n\n图片要求：尺寸 1024x1024");
+  });
+
+  it("图片不足 n 张时再次请求机器人", async () => {
+    const before = chats().length;
+    const response = await post(`${proxy.url}/v1/images/generations`, { model: "coze-image", prompt: "猫", n: 3 });
+    const body = await response.json();
+    assert.equal(chats().length, before + 2);
+    // 模拟机器人每次返回相同的图片，去重后只有两张
+    assert.equal(body.data.length, 2);
+  });
+
+  it("response_format 为 b64_json 时下载图片", async () => {
+    const response = await post(`${proxy.url}/v1/images/generations`, {
+      model: "coze-image",
+      prompt: "一只猫",
+      response_format: "b64_json",
+    });
+    const body = await response.json();
+    assert.equal(body.data.length, 1);
+    assert.equal(Buffer.from(body.data[0].b64_json, "base64").subarray(1, 4).toString(), "PNG");
+  });
+
+  it("机器人没有返回图片时返回 502", async () => {
+    const response = await post(`${proxy.url}/v1/images/generations`, { model: "coze", prompt: "一只猫" });
+    assert.equal(response.status, 502);
+    const body = await response.json();
+    assert.equal(body.error.code, "no_image_generated");
+    assert.match(body.error.message, /模拟的 Coze 机器人/);
+  });
+
+  it("缺少 prompt 或 n 超出范围时返回 400", async () => {
+    const missing = await post(`${proxy.url}/v1/images/generations`, { model: "coze-image" });
+    assert.equal(missing.status, 400);
+    assert.equal((await missing.json()).error.param, "prompt");
+    const tooMany = await post(`${proxy.url}/v1/images/generations`, { model: "coze-image", prompt: "猫", n: 11 });
+    assert.equal((await tooMany.json()).error.param, "n");
+  });
+});
@@ -0,0 +1,99 @@
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { after, before, describe, it } from "node:test";
+// helpers.js 在导入日志模块之前关闭测试中的日志，需要先导入
+import { post, startProxy } from "./helpers.js";
+import { Logger, recentLogs, redact } from "../src/logger.js";
+
+const PAT = `pat_${"A1b2C3d4".repeat(4)}`;
+const BASE64 = Buffer.alloc(300, 7).toString("base64");
+
+describe("日志脱敏", () => {
+  it("隐去密钥字段、Bearer token、Coze 令牌、URL 中的密码和 base64 数据", () => {
+    const redacted = redact({
+      headers: { Authorization: "Bearer sk-secret", "x-api-key": "sk-secret" },
+      coze_token: PAT,
+      nested: [{ token: "t0ken", password: "hunter2" }],
+      message: `使用 Bearer sk-secret 和 ${PAT} 访问 redis://:hunter2@localhost:6379`,
+      image: `data:image/png;base64,${BASE64}`,
+      file: BASE64,
+      count: 3,
+    });
+    assert.deepEqual(redacted.headers, { Authorization: "[REDACTED]", "x-api-key": "[REDACTED]" });
+    assert.equal(redacted.coze_token, "[REDACTED]");
+    assert.deepEqual(redacted.nested, [{ token: "[REDACTED]", password: "[REDACTED]" }]);
+    assert.equal(redacted.message, "使用 Bearer [REDACTED] 和 pat_[REDACTED] 访问 redis://[REDACTED]@localhost:6379");
+    assert.equal(redacted.image, `data:image/png;base64,[${BASE64.length} 字节已省略]`);
+    assert.equal(redacted.file, `[base64 ${BASE64.length} 字节已省略]`);
+    assert.equal(redacted.count, 3);
+  });
+
+  it("错误信息中的密钥也被隐去", () => {
+    const error = new Error(`认证失败: Bearer ${PAT}`);
+    const redacted = redact({ error });
+    assert.equal(redacted.error.message, "认证失败: Bearer [REDACTED]");
+    assert.ok(!JSON.stringify(redacted).includes(PAT));
+  });
+
+  it("输出的日志行不包含密钥", () => {
+    const lines = [];
+    const write = process.stdout.write;
+    process.stdout.write = (chunk) => lines.push(String(chunk));
+    try {
+      new Logger({ level: "info", fields: { service: "test" } }).info("调用 Coze", { token: PAT, url: `https://x/?t=${PAT}` });
+    } finally {
+      process.stdout.write = write;
+    }
+    assert.equal(lines.length, 1);
+    const entry = JSON.parse(lines[0]);
+    assert.equal(entry.token, "[REDACTED]");
+    assert.ok(!lines[0].includes(PAT));
+  });
+});
+
+describe("请求日志和审计日志脱敏", () => {
+  let proxy;
+  let dir;
+  before(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "audit-"));
+    proxy = await startProxy({ AUDIT_LOG_DIR: dir });
+  });
+  after(async () => {
+    await proxy.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it("审计日志和管理后台的日志中不包含 token 和文件内容", async () => {
+    const response = await post(`${proxy.url}/v1/chat/completions`, {
+      model: "coze",
+      messages: [{
+        role: "user",
+        content: [
+          { type: "text", text: `我的令牌是 ${PAT}` },
+          { type: "image_url", image_url: { url: `data:image/png;base64,${BASE64}` } },
+        ],
+      }],
+    }, { Authorization: `Bearer ${PAT}` });
+    assert.equal(response.status, 200);
+    await response.json();
+
+    // 审计日志在响应结束后异步写入
+    let audit = "";
+    for (let i = 0; i < 50 && !audit; i++) {
+      await new Promise((resolve) => setTimeout(resolve, 20));
+      const files = fs.readdirSync(dir);
+      audit = files.length > 0 ? fs.readFileSync(path.join(dir, files[0]), "utf8") : "";
+    }
+    assert.ok(audit.includes("pat_[REDACTED]"));
+    assert.ok(audit.includes(`[${BASE64.length} 字节已省略]`));
+    assert.ok(!audit.includes(PAT));
+    assert.ok(!audit.includes(BASE64));
+
+    const recent = JSON.stringify(recentLogs.list());
+    assert.ok(recent.includes("\"msg\":\"request\""));
+    assert.ok(!recent.includes(PAT));
+    assert.ok(!recent.includes(BASE64));
+  });
+});
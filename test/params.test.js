@@ -0,0 +1,129 @@
+import assert from "node:assert/strict";
+import { after, before, describe, it } from "node:test";
+import { post, readEvents, startProxy } from "./helpers.js";
+
+const ANSWER = "你好！我是模拟的 Coze 机器人。";
+
+// 流式响应中各个 choice 的文本和 finish_reason
+async function collect(response) {
+  const choices = [];
+  for (const event of await readEvents(response)) {
+    if (event.data === "[DONE]") {
+      continue;
+    }
+    for (const choice of event.data.choices) {
+      const item = choices[choice.index] || (choices[choice.index] = { content: "", finishReason: null });
+      item.content += choice.delta.content || "";
+      item.finishReason = choice.finish_reason || item.finishReason;
+    }
+  }
+  return choices;
+}
+
+describe("采样参数", () => {
+  let proxy;
+  before(async () => {
+    proxy = await startProxy();
+  });
+  after(() => proxy.close());
+
+  const chat = (extra = {}) => post(`${proxy.url}/v1/chat/completions`, {
+    model: "coze",
+    messages: [{ role: "user", content: "你好" }],
+    ...extra,
+  });
+
+  it("stop 在第一个匹配之前截断输出", async () => {
+    const body = await (await chat({ stop: ["模拟", "不存在"] })).json();
+    assert.equal(body.choices[0].message.content, "你好！我是");
+    assert.equal(body.choices[0].finish_reason, "stop");
+
+    const [choice] = await collect(await chat({ stop: "模拟", stream: true }));
+    assert.deepEqual(choice, { content: "你好！我是", finishReason: "stop" });
+  });
+
+  it("max_tokens 截断输出，finish_reason 为 length", async () => {
+    const body = await (await chat({ max_tokens: 2 })).json();
+    assert.equal(body.choices[0].message.content, "你好");
+    assert.equal(body.choices[0].finish_reason, "length");
+    assert.equal(body.usage.completion_tokens, 2);
+
+    const [choice] = await collect(await chat({ max_completion_tokens: 2, stream: true }));
+    assert.deepEqual(choice, { content: "你好", finishReason: "length" });
+  });
+
+  it("n > 1 时并行发起多个对话，choice 按 index 排列，用量相加", async () => {
+    const single = await (await chat()).json();
+    const count = () => proxy.mock.requests.filter((request) => request.path === "/v3/chat").length;
+    const before = count();
+    const body = await (await chat({ n: 3 })).json();
+    assert.equal(count() - before, 3);
+    assert.deepEqual(body.choices.map((choice) => choice.index), [0, 1, 2]);
+    assert.ok(body.choices.every((choice) => choice.message.content === ANSWER));
+    assert.equal(body.usage.completion_tokens, single.usage.completion_tokens * 3);
+
+    const choices = await collect(await chat({ n: 2, stream: true }));
+    assert.deepEqual(choices, [
+      { content: ANSWER, finishReason: "stop" },
+      { content: ANSWER, finishReason: "stop" },
+    ]);
+  });
+
+  it("参数无效时返回 400", async () => {
+    for (const [extra, param] of [
+      [{ n: 0 }, "n"],
+      [{ n: 9 }, "n"],
+      [{ max_tokens: -1 }, "max_tokens"],
+      [{ stop: ["a", "b", "c", "d", "e"] }, "stop"],
+    ]) {
+      const response = await chat(extra);
+      assert.equal(response.status, 400);
+      assert.equal((await response.json()).error.param, param);
+    }
+  });
+
+  it("默认忽略 Coze 不支持的参数", async () => {
+    const response = await chat({ temperature: 0.2, top_p: 0.9 });
+    assert.equal(response.status, 200);
+  });
+});
+
+describe("STRICT_PARAMS", () => {
+  let proxy;
+  before(async () => {
+    proxy = await startProxy({ STRICT_PARAMS: "true" });
+  });
+  after(() => proxy.close());
+
+  it("Coze 不支持的参数返回 400", async () => {
+    const response = await post(`${proxy.url}/v1/chat/completions`, {
+      model: "coze",
+      messages: [{ role: "user", content: "你好" }],
+      temperature: 0.2,
+    });
+    assert.equal(response.status, 400);
+    const body = await response.json();
+    assert.equal(body.error.param, "temperature");
+    assert.equal(body.error.code, "unsupported_parameter");
+
+    const anthropic = await post(`${proxy.url}/v1/messages`, {
+      model: "coze",
+      max_tokens: 100,
+      messages: [{ role: "user", content: "你好" }],
+      top_k: 5,
+    });
+    assert.equal(anthropic.status, 400);
+    assert.equal((await anthropic.json()).error.type, "invalid_request_error");
+  });
+
+  it("支持的参数照常处理", async () => {
+    const response = await post(`${proxy.url}/v1/chat/completions`, {
+      model: "coze",
+      messages: [{ role: "user", content: "你好" }],
+      stop: ["模拟"],
+      max_tokens: 100,
+    });
+    assert.equal(response.status, 200);
+    assert.equal((await response.json()).choices[0].message.content, "你好！我是");
+  });
+});
@@ -0,0 +1,163 @@
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { describe, it } from "node:test";
+import { post, readEvents, startProxy } from "./helpers.js";
+import { FileCounterStore, MemoryCounterStore } from "../src/ratelimit.js";
+
+const chatBody = (extra = {}) => ({ model: "coze", messages: [{ role: "user", content: "你好" }], ...extra });
+
+// token 用量在响应结束后才计入配额
+const settle = () => new Promise((resolve) => setTimeout(resolve, 50));
+
+// 避免在几个请求之间跨过整分钟
+async function awayFromMinuteBoundary() {
+  const untilNextMinute = 60000 - (Date.now() % 60000);
+  if (untilNextMinute < 3000) {
+    await new Promise((resolve) => setTimeout(resolve, untilNextMinute));
+  }
+}
+
+describe("限流", () => {
+  it("超过每分钟请求数时返回 429 和 Retry-After", async () => {
+    const proxy = await startProxy({ RATE_LIMIT_RPM: "2" });
+    try {
+      await awayFromMinuteBoundary();
+      const first = await post(`${proxy.url}/v1/chat/completions`, chatBody());
+      assert.equal(first.status, 200);
+      assert.equal(first.headers.get("x-ratelimit-limit-requests"), "2");
+      assert.equal(first.headers.get("x-ratelimit-remaining-requests"), "1");
+      assert.match(first.headers.get("x-ratelimit-reset-requests"), /^\d+s$/);
+      const second = await post(`${proxy.url}/v1/chat/completions`, chatBody());
+      assert.equal(second.headers.get("x-ratelimit-remaining-requests"), "0");
+
+      const limited = await post(`${proxy.url}/v1/chat/completions`, chatBody());
+      assert.equal(limited.status, 429);
+      const retryAfter = Number(limited.headers.get("retry-after"));
+      assert.ok(retryAfter >= 1 && retryAfter <= 60);
+      assert.equal(limited.headers.get("x-ratelimit-remaining-requests"), "0");
+      const body = await limited.json();
+      assert.equal(body.error.type, "requests");
+      assert.equal(body.error.code, "rate_limit_exceeded");
+
+      // 其它调用方不受影响
+      const other = await post(`${proxy.url}/v1/chat/completions`, chatBody(), { Authorization: "Bearer other_token" });
+      assert.equal(other.status, 200);
+    } finally {
+      await proxy.close();
+    }
+  });
+
+  it("并发请求不会超过每分钟请求数", async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "limits-"));
+    const proxy = await startProxy({ RATE_LIMIT_RPM: "3", LIMIT_STORE: "file", LIMIT_FILE: path.join(dir, "limits.json") });
+    try {
+      await awayFromMinuteBoundary();
+      const responses = await Promise.all(Array.from({ length: 8 }, () =>
+        post(`${proxy.url}/v1/chat/completions`, chatBody())));
+      const statuses = await Promise.all(responses.map(async (response) => {
+        await response.arrayBuffer();
+        return response.status;
+      }));
+      assert.equal(statuses.filter((status) => status === 200).length, 3);
+      assert.equal(statuses.filter((status) => status === 429).length, 5);
+    } finally {
+      await proxy.close();
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  it("token 用量计入每日配额，非流式和流式请求都计入", async () => {
+    const proxy = await startProxy({ QUOTA_DAILY_TOKENS: "100000" });
+    try {
+      const first = await post(`${proxy.url}/v1/chat/completions`, chatBody());
+      assert.equal(first.headers.get("x-ratelimit-limit-tokens"), "100000");
+      assert.equal(first.headers.get("x-ratelimit-remaining-tokens"), "100000");
+      assert.match(first.headers.get("x-ratelimit-reset-tokens"), /^(\d+h)?(\d+m)?\d+s$/);
+      const used = (await first.json()).usage.total_tokens;
+      assert.ok(used > 0);
+      await settle();
+
+      const stream = await post(`${proxy.url}/v1/chat/completions`, chatBody({
+        stream: true,
+        stream_options: { include_usage: true },
+      }));
+      assert.equal(stream.headers.get("x-ratelimit-remaining-tokens"), String(100000 - used));
+      const events = await readEvents(stream);
+      const streamed = events.map((event) => event.data).find((data) => data.usage).usage.total_tokens;
+      await settle();
+
+      const third = await post(`${proxy.url}/v1/chat/completions`, chatBody());
+      assert.equal(third.headers.get("x-ratelimit-remaining-tokens"), String(100000 - used - streamed));
+    } finally {
+      await proxy.close();
+    }
+  });
+
+  it("超出 token 配额时返回 429，直到下一个周期", async () => {
+    const proxy = await startProxy({ QUOTA_DAILY_TOKENS: "1" });
+    try {
+      assert.equal((await post(`${proxy.url}/v1/chat/completions`, chatBody())).status, 200);
+      await settle();
+      const limited = await post(`${proxy.url}/v1/chat/completions`, chatBody());
+      assert.equal(limited.status, 429);
+      assert.equal(limited.headers.get("x-ratelimit-remaining-tokens"), "0");
+      // 每日配额在 UTC 零点重置
+      const retryAfter = Number(limited.headers.get("retry-after"));
+      assert.ok(retryAfter >= 1 && retryAfter <= 24 * 60 * 60);
+      const body = await limited.json();
+      assert.equal(body.error.type, "insufficient_quota");
+      assert.equal(body.error.code, "insufficient_quota");
+    } finally {
+      await proxy.close();
+    }
+  });
+
+  it("并发流式请求过多时返回 429，流结束后释放名额", async () => {
+    const proxy = await startProxy({ RATE_LIMIT_CONCURRENT_STREAMS: "1" });
+    try {
+      proxy.mock.eventDelay = 100;
+      const first = await post(`${proxy.url}/v1/chat/completions`, chatBody({ stream: true }));
+      assert.equal(first.status, 200);
+      const second = await post(`${proxy.url}/v1/chat/completions`, chatBody({ stream: true }));
+      assert.equal(second.status, 429);
+      assert.equal(second.headers.get("retry-after"), "1");
+      assert.equal((await second.json()).error.code, "rate_limit_exceeded");
+      // 非流式请求不受并发流数限制
+      assert.equal((await post(`${proxy.url}/v1/chat/completions`, chatBody())).status, 200);
+
+      await readEvents(first);
+      await settle();
+      proxy.mock.eventDelay = 0;
+      const third = await post(`${proxy.url}/v1/chat/completions`, chatBody({ stream: true }));
+      assert.equal(third.status, 200);
+      await readEvents(third);
+    } finally {
+      await proxy.close();
+    }
+  });
+});
+
+describe("计数存储", () => {
+  const increments = (store) => Promise.all(Array.from({ length: 20 }, () => store.incr("k", 1, 60000)));
+
+  it("并发的 incr 不会丢失计数", async () => {
+    const store = new MemoryCounterStore();
+    const values = await increments(store);
+    assert.deepEqual([...values].sort((a, b) => a - b), Array.from({ length: 20 }, (_, index) => index + 1));
+    assert.equal(await store.get("k"), 20);
+  });
+
+  it("文件存储依次写入，文件中是最后的计数", async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "limits-"));
+    try {
+      const file = path.join(dir, "limits.json");
+      await increments(new FileCounterStore(file));
+      assert.equal(await new FileCounterStore(file).get("k"), 20);
+      assert.deepEqual(fs.readdirSync(dir), ["limits.json"]);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
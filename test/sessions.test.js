@@ -0,0 +1,141 @@
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { after, before, describe, it } from "node:test";
+import { post, startProxy } from "./helpers.js";
+
+const ANSWER = "你好！我是模拟的 Coze 机器人。";
+
+// 启动代理，返回发送对话请求并取出对应 /v3/chat 请求的函数
+function setup(env) {
+  const state = {};
+  before(async () => {
+    state.proxy = await startProxy(env);
+  });
+  after(() => state.proxy.close());
+  state.chat = async (messages, headers = {}, model = "coze") => {
+    const response = await post(`${state.proxy.url}/v1/chat/completions`, { model, messages }, headers);
+    assert.equal(response.status, 200);
+    await response.json();
+    const request = state.proxy.mock.requests.filter((item) => item.path === "/v3/chat").pop();
+    return {
+      conversationId: request.query.conversation_id,
+      sent: request.body.additional_messages.map((message) => [message.role, message.content]),
+      // 模拟服务为这次对话创建或沿用的会话
+      created: [...state.proxy.mock.chats.values()].pop().values.conversation_id,
+    };
+  };
+  return state;
+}
+
+const user = (content) => ({ role: "user", content });
+const assistant = (content) => ({ role: "assistant", content });
+
+describe("会话（SESSION_MODE=header）", () => {
+  const state = setup({ BOT_CONFIG: JSON.stringify({ "coze-other": "other_bot" }) });
+
+  it("第二轮只发送新消息，并带上第一轮的 conversation_id", async () => {
+    const headers = { "X-Conversation-Id": "conv-header" };
+    const first = await state.chat([user("第一轮")], headers);
+    assert.equal(first.conversationId, undefined);
+    assert.deepEqual(first.sent, [["user", "第一轮"]]);
+
+    const second = await state.chat([user("第一轮"), assistant(ANSWER), user("第二轮")], headers);
+    assert.equal(second.conversationId, first.created);
+    assert.deepEqual(second.sent, [["user", "第二轮"]]);
+  });
+
+  it("历史与会话记录不一致时新建会话并发送完整历史", async () => {
+    const headers = { "X-Conversation-Id": "conv-edited" };
+    const first = await state.chat([user("原来的问题")], headers);
+    const edited = await state.chat([user("修改后的问题"), assistant(ANSWER), user("追问")], headers);
+    assert.equal(edited.conversationId, undefined);
+    assert.notEqual(edited.created, first.created);
+    assert.deepEqual(edited.sent, [["user", "修改后的问题"], ["assistant", ANSWER], ["user", "追问"]]);
+  });
+
+  it("X-Conversation-Reset 时重新开始", async () => {
+    const headers = { "X-Conversation-Id": "conv-reset" };
+    await state.chat([user("第一轮")], headers);
+    const reset = await state.chat([user("第一轮"), assistant(ANSWER), user("第二轮")], {
+      ...headers,
+      "X-Conversation-Reset": "true",
+    });
+    assert.equal(reset.conversationId, undefined);
+    assert.equal(reset.sent.length, 3);
+  });
+
+  it("DELETE /v1/conversations/:id 删除会话，不需要指定模型", async () => {
+    const headers = { "X-Conversation-Id": "conv-delete" };
+    await state.chat([user("第一轮")], headers);
+    await state.chat([user("第一轮")], headers, "coze-other");
+    const response = await fetch(`${state.proxy.url}/v1/conversations/conv-delete`, {
+      method: "DELETE",
+      headers: { Authorization: "Bearer test_token" },
+    });
+    assert.equal(response.status, 200);
+    assert.deepEqual(await response.json(), { id: "conv-delete", object: "conversation.deleted", deleted: true });
+    for (const model of ["coze", "coze-other"]) {
+      const next = await state.chat([user("第一轮"), assistant(ANSWER), user("第二轮")], headers, model);
+      assert.equal(next.conversationId, undefined);
+      assert.equal(next.sent.length, 3);
+    }
+  });
+
+  it("没有 X-Conversation-Id 时每次发送完整历史", async () => {
+    await state.chat([user("无会话")]);
+    const second = await state.chat([user("无会话"), assistant(ANSWER), user("第二轮")]);
+    assert.equal(second.conversationId, undefined);
+    assert.equal(second.sent.length, 3);
+  });
+});
+
+describe("会话（SESSION_MODE=hash）", () => {
+  const state = setup({ SESSION_MODE: "hash" });
+
+  it("按历史消息的哈希找到会话，第二轮只发送新消息", async () => {
+    const first = await state.chat([user("哈希会话")]);
+    const second = await state.chat([user("哈希会话"), assistant(ANSWER), user("第二轮")]);
+    assert.equal(second.conversationId, first.created);
+    assert.deepEqual(second.sent, [["user", "第二轮"]]);
+
+    // 第三轮沿用同一个会话
+    const third = await state.chat([user("哈希会话"), assistant(ANSWER), user("第二轮"), assistant(ANSWER), user("第三轮")]);
+    assert.equal(third.conversationId, first.created);
+    assert.deepEqual(third.sent, [["user", "第三轮"]]);
+  });
+
+  it("会话按调用方区分", async () => {
+    await state.chat([user("调用方会话")]);
+    const other = await state.chat([user("调用方会话"), assistant(ANSWER), user("第二轮")], {
+      Authorization: "Bearer other_token",
+    });
+    assert.equal(other.conversationId, undefined);
+    assert.equal(other.sent.length, 3);
+  });
+});
+
+describe("会话存储出错", () => {
+  let proxy;
+  let dir;
+  before(async () => {
+    // 会话文件的目录是一个普通文件，写入会话时出错
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "sessions-"));
+    fs.writeFileSync(path.join(dir, "blocked"), "");
+    proxy = await startProxy({ SESSION_STORE: "file", SESSION_FILE: path.join(dir, "blocked", "sessions.json") });
+  });
+  after(async () => {
+    await proxy.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it("删除会话失败时返回 500", async () => {
+    const response = await fetch(`${proxy.url}/v1/conversations/conv-broken`, {
+      method: "DELETE",
+      headers: { Authorization: "Bearer test_token" },
+    });
+    assert.equal(response.status, 500);
+    assert.equal((await response.json()).error.type, "server_error");
+  });
+});
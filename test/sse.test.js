@@ -0,0 +1,164 @@
+import assert from "node:assert/strict";
+import { EventEmitter } from "node:events";
+import { after, before, describe, it } from "node:test";
+import { post, readEvents, startProxy } from "./helpers.js";
+import { SSEWriter, formatEvent, parseSSE } from "../src/sse.js";
+
+async function parse(chunks) {
+  const events = [];
+  for await (const event of parseSSE(chunks)) {
+    events.push(event);
+  }
+  return events;
+}
+
+describe("parseSSE", () => {
+  it("支持 \\r\\n、\\r 和 \\n 换行，多行 data 和注释行", async () => {
+    const events = await parse([
+      ": keep-alive\r\n\r\n",
+      "event: first\r\ndata: a\r\ndata:b\r\n\r\n",
+      "event:second\rdata: {}\r\r",
+      "data: third\nid: 7\n\n",
+    ]);
+    assert.deepEqual(events, [
+      { event: "first", data: "a\nb", id: null },
+      { event: "second", data: "{}", id: null },
+      { event: "message", data: "third", id: "7" },
+    ]);
+  });
+
+  it("处理被拆分到多个数据块中的多字节字符和换行", async () => {
+    const bytes = Buffer.from("event: delta\r\ndata: 你好\r\n\r\n");
+    // 在“你”的中间和 \r\n 的中间拆开
+    const split = [bytes.subarray(0, 22), bytes.subarray(22, 27), bytes.subarray(27, 28), bytes.subarray(28)];
+    assert.deepEqual(await parse(split), [{ event: "delta", data: "你好", id: null }]);
+  });
+
+  it("流结束时返回最后一个没有空行结尾的事件", async () => {
+    assert.deepEqual(await parse(["event: done\ndata: \"[DONE]\""]), [{ event: "done", data: "\"[DONE]\"", id: null }]);
+  });
+
+  it("formatEvent 把换行拆成多个 data 字段", () => {
+    assert.equal(formatEvent("a\nb", "note"), "event: note\ndata: a\ndata: b\n\n");
+    assert.equal(formatEvent({ a: 1 }), "data: {\"a\":1}\n\n");
+  });
+});
+
+describe("SSEWriter", () => {
+  it("客户端读取较慢时等待缓冲区清空", async () => {
+    const written = [];
+    const res = Object.assign(new EventEmitter(), {
+      headersSent: true,
+      destroyed: false,
+      writableEnded: false,
+      write: (chunk) => written.push(chunk) && false,
+    });
+    const writer = new SSEWriter(res);
+    let sent = false;
+    const pending = writer.send({ a: 1 }).then(() => {
+      sent = true;
+    });
+    await new Promise((resolve) => setImmediate(resolve));
+    assert.equal(sent, false);
+    res.emit("drain");
+    await pending;
+    assert.deepEqual(written, ["data: {\"a\":1}\n\n"]);
+  });
+});
+
+describe("流式响应", () => {
+  let proxy;
+  before(async () => {
+    proxy = await startProxy({
+      BOT_CONFIG: JSON.stringify({ "coze-interrupted": "mock_interrupted", "coze-failed": "mock_failed" }),
+      SSE_KEEPALIVE_INTERVAL: "20",
+    });
+  });
+  after(() => proxy.close());
+
+  const chunksOf = async (response) => (await readEvents(response)).map((event) => event.data).filter((data) => data !== "[DONE]");
+
+  it("同一个 completion 的数据块使用相同的 id", async () => {
+    const response = await post(`${proxy.url}/v1/chat/completions`, {
+      model: "coze",
+      stream: true,
+      stream_options: { include_usage: true },
+      messages: [{ role: "user", content: "你好" }],
+    });
+    assert.equal(response.headers.get("cache-control"), "no-cache");
+    const chunks = await chunksOf(response);
+    assert.ok(chunks.length > 2);
+    assert.match(chunks[0].id, /^chatcmpl-/);
+    assert.deepEqual([...new Set(chunks.map((chunk) => chunk.id))], [chunks[0].id]);
+    assert.deepEqual([...new Set(chunks.map((chunk) => chunk.created))], [chunks[0].created]);
+  });
+
+  it("长时间没有输出时发送保活注释", async () => {
+    proxy.mock.eventDelay = 50;
+    try {
+      const response = await post(`${proxy.url}/v1/chat/completions`, {
+        model: "coze",
+        stream: true,
+        messages: [{ role: "user", content: "你好" }],
+      });
+      const text = await response.text();
+      // 第一个 token 之前就开始保活
+      assert.ok(text.startsWith(": keep-alive\n\n"));
+      const content = text.split("\n\n")
+        .filter((block) => block.startsWith("data: {"))
+        .map((block) => JSON.parse(block.slice(6)).choices[0].delta.content || "")
+        .join("");
+      assert.equal(content, "你好！我是模拟的 Coze 机器人。");
+    } finally {
+      proxy.mock.eventDelay = 0;
+    }
+  });
+
+  it("保活开始后出现的错误以数据块返回", async () => {
+    const request = { model: "coze-failed", stream: true, messages: [{ role: "user", content: "你好" }] };
+    // 在保活之前失败时仍然返回 HTTP 错误
+    const early = await post(`${proxy.url}/v1/chat/completions`, request);
+    assert.notEqual(early.status, 200);
+    await early.text();
+
+    proxy.mock.eventDelay = 50;
+    try {
+      const response = await post(`${proxy.url}/v1/chat/completions`, request);
+      assert.equal(response.status, 200);
+      const events = await readEvents(response);
+      assert.equal(events.pop().data, "[DONE]");
+      assert.match(events.pop().data.error.message, /token quota/);
+    } finally {
+      proxy.mock.eventDelay = 0;
+    }
+  });
+
+  it("输出一部分后失败时以 OpenAI 错误数据块结束", async () => {
+    const response = await post(`${proxy.url}/v1/chat/completions`, {
+      model: "coze-interrupted",
+      stream: true,
+      messages: [{ role: "user", content: "你好" }],
+    });
+    assert.equal(response.status, 200);
+    const events = await readEvents(response);
+    assert.equal(events.pop().data, "[DONE]");
+    const failure = events.pop().data;
+    assert.match(failure.error.message, /Internal error/);
+    assert.ok(failure.error.type);
+    assert.deepEqual(events.map((event) => event.data.choices[0].delta.content), ["你好", "！我是"]);
+  });
+
+  it("Anthropic 流式响应输出一部分后失败时以 error 事件结束", async () => {
+    const response = await post(`${proxy.url}/v1/messages`, {
+      model: "coze-interrupted",
+      stream: true,
+      max_tokens: 100,
+      messages: [{ role: "user", content: "你好" }],
+    });
+    const events = await readEvents(response);
+    const last = events.pop();
+    assert.equal(last.event, "error");
+    assert.equal(last.data.type, "error");
+    assert.match(last.data.error.message, /Internal error/);
+  });
+});
@@ -0,0 +1,135 @@
+import assert from "node:assert/strict";
+import { after, before, describe, it } from "node:test";
+// helpers.js 在导入日志模块之前关闭测试中的日志，需要先导入
+import { post, readEvents, startProxy } from "./helpers.js";
+import { compileSchema } from "../src/jsonschema.js";
+import { checkOutput, extractJson } from "../src/structured.js";
+
+const SCHEMA = {
+  type: "object",
+  properties: {
+    city: { type: "string" },
+    temperature: { type: "integer", minimum: -50 },
+    tags: { type: "array", items: { type: "string" } },
+  },
+  required: ["city", "temperature"],
+  additionalProperties: false,
+};
+const FORMAT = { type: "json_schema", json_schema: { name: "weather", schema: SCHEMA } };
+
+describe("结构化输出的校验", () => {
+  it("从代码块或多余的文字中提取 JSON", () => {
+    assert.deepEqual(extractJson("```json\n{\"a\": 1}\n```").value, { a: 1 });
+    assert.deepEqual(extractJson("结果如下：{\"a\": [1, 2]}。").value, { a: [1, 2] });
+    assert.throws(() => extractJson("没有 JSON"), /没有找到合法的 JSON/);
+  });
+
+  it("按 JSON Schema 校验", () => {
+    const format = { type: "json_schema", name: "weather", schema: SCHEMA };
+    assert.deepEqual(checkOutput("{\"city\": \"北京\", \"temperature\": 25}", format).errors, []);
+    const { errors } = checkOutput("{\"city\": 1, \"temperature\": 25.5, \"tags\": [1], \"wind\": 3}", format);
+    assert.equal(errors.length, 4);
+    assert.ok(errors.some((error) => error.includes("city")));
+    assert.ok(errors.some((error) => error.includes("wind")));
+    assert.ok(checkOutput("{\"city\": \"北京\"}", format).errors.some((error) => error.includes("temperature")));
+    // json_object 只要求是 JSON 对象
+    assert.deepEqual(checkOutput("[1]", { type: "json_object", name: null, schema: null }).errors, ["输出应为 JSON 对象"]);
+  });
+
+  it("检查 Schema 本身的错误", () => {
+    assert.throws(() => compileSchema({ properties: { a: { type: "string", pattern: "(" } } }),
+      { name: "SchemaError", message: /schema\.properties\.a\.pattern 不是合法的正则表达式/ });
+    assert.throws(() => compileSchema({ $ref: "#/$defs/missing" }), { name: "SchemaError", message: /无法解析 \$ref/ });
+    assert.throws(() => compileSchema({ $ref: "#" }), { name: "SchemaError", message: /循环引用/ });
+    assert.throws(() => compileSchema({ $defs: { a: { $ref: "#/$defs/b" }, b: { allOf: [{ $ref: "#/$defs/a" }] } }, $ref: "#/$defs/a" }),
+      { name: "SchemaError", message: /循环引用/ });
+    assert.throws(() => compileSchema({ anyOf: {} }), { name: "SchemaError", message: /anyOf 必须是数组/ });
+    // 经过 properties / items 的递归引用是合法的
+    const tree = {
+      $defs: { node: { type: "object", properties: { children: { type: "array", items: { $ref: "#/$defs/node" } } } } },
+      $ref: "#/$defs/node",
+    };
+    compileSchema(tree);
+    const format = { type: "json_schema", name: "tree", schema: tree };
+    assert.deepEqual(checkOutput("{\"children\": [{\"children\": []}]}", format).errors, []);
+  });
+});
+
+describe("response_format", () => {
+  let proxy;
+  before(async () => {
+    proxy = await startProxy({ STRUCTURED_OUTPUT_RETRIES: "1" });
+  });
+  after(() => proxy.close());
+
+  const chats = () => proxy.mock.requests.filter((request) => request.path === "/v3/chat");
+  const chat = (extra = {}) => post(`${proxy.url}/v1/chat/completions`, {
+    model: "coze",
+    messages: [{ role: "user", content: "北京天气" }],
+    response_format: FORMAT,
+    ...extra,
+  });
+
+  it("附加 Schema 要求，返回提取出的 JSON", async () => {
+    proxy.mock.answers = ["```json\n{\"city\": \"北京\", \"temperature\": 25}\n```"];
+    const response = await chat();
+    assert.equal(response.status, 200);
+    const body = await response.json();
+    assert.deepEqual(JSON.parse(body.choices[0].message.content), { city: "北京", temperature: 25 });
+    const sent = chats().pop().body.additional_messages.at(-1).content;
+    assert.match(sent, /^北京天气\n\n/);
+    assert.ok(sent.includes(JSON.stringify(SCHEMA)));
+  });
+
+  it("不符合 Schema 时把错误反馈给机器人重试", async () => {
+    proxy.mock.answers = ["{\"city\": \"北京\"}", "{\"city\": \"北京\", \"temperature\": 25}"];
+    const before = chats().length;
+    const response = await chat({ stream: true });
+    assert.equal(response.status, 200);
+    const content = (await readEvents(response))
+      .filter((event) => event.data !== "[DONE]")
+      .map((event) => event.data.choices[0].delta.content || "")
+      .join("");
+    assert.deepEqual(JSON.parse(content), { city: "北京", temperature: 25 });
+
+    // 第二次请求带着上一次的回答和校验错误
+    assert.equal(chats().length - before, 2);
+    const retry = chats().pop().body.additional_messages;
+    assert.equal(retry.at(-2).role, "assistant");
+    assert.equal(retry.at(-2).content, "{\"city\": \"北京\"}");
+    assert.match(retry.at(-1).content, /上面的输出不符合要求：\n- .*temperature/);
+  });
+
+  it("重试后仍不符合时返回 502", async () => {
+    proxy.mock.answers = ["不是 JSON", "{\"city\": \"北京\"}"];
+    const before = chats().length;
+    const response = await chat();
+    assert.equal(response.status, 502);
+    const body = await response.json();
+    assert.equal(body.error.code, "invalid_structured_output");
+    assert.equal(body.error.param, "response_format");
+    assert.equal(chats().length - before, 2);
+  });
+
+  it("Schema 无效时返回 400，不发起对话", async () => {
+    const before = chats().length;
+    for (const schema of [
+      { type: "object", properties: { city: { type: "string", pattern: "[" } } },
+      { type: "object", properties: { city: { $ref: "#/$defs/city" } } },
+      { $defs: { loop: { $ref: "#/$defs/loop" } }, $ref: "#/$defs/loop" },
+    ]) {
+      const response = await chat({ response_format: { type: "json_schema", json_schema: { name: "weather", schema } } });
+      assert.equal(response.status, 400);
+      const { error } = await response.json();
+      assert.equal(error.type, "invalid_request_error");
+      assert.equal(error.param, "response_format.json_schema.schema");
+    }
+    assert.equal(chats().length, before);
+  });
+
+  it("json_schema 缺少 name 时返回 400", async () => {
+    const response = await chat({ response_format: { type: "json_schema", json_schema: { schema: SCHEMA } } });
+    assert.equal(response.status, 400);
+    assert.equal((await response.json()).error.param, "response_format");
+  });
+});
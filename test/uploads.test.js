@@ -0,0 +1,179 @@
+import assert from "node:assert/strict";
+import dns from "node:dns";
+import { getEventListeners } from "node:events";
+import http from "node:http";
+import { after, before, describe, it } from "node:test";
+import { post, startProxy } from "./helpers.js";
+import { Uploader } from "../src/uploads.js";
+
+// 1x1 的 PNG 图片
+const PNG = "iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNk+M9QDwADhgGAWjR9awAAAABJRU5ErkJggg==";
+
+describe("图片上传", () => {
+  let proxy;
+  before(async () => {
+    proxy = await startProxy();
+  });
+  after(() => proxy.close());
+
+  it("上传 data URL 中的图片，并以 object_string 发送给 Coze", async () => {
+    const response = await post(`${proxy.url}/v1/chat/completions`, {
+      model: "coze",
+      messages: [{
+        role: "user",
+        content: [
+          { type: "text", text: "这是什么？" },
+          { type: "image_url", image_url: { url: `data:image/png;base64,${PNG}` } },
+        ],
+      }],
+    });
+    assert.equal(response.status, 200);
+    assert.equal(proxy.mock.files.length, 1);
+    const file = proxy.mock.files[0];
+    assert.match(file.file_name, /\.png$/);
+
+    const chat = proxy.mock.requests.filter((request) => request.path === "/v3/chat").pop();
+    const message = chat.body.additional_messages[0];
+    assert.equal(message.content_type, "object_string");
+    assert.deepEqual(JSON.parse(message.content), [
+      { type: "text", text: "这是什么？" },
+      { type: "image", file_id: file.id },
+    ]);
+  });
+
+  it("相同的图片只上传一次", async () => {
+    const before = proxy.mock.files.length;
+    await post(`${proxy.url}/v1/chat/completions`, {
+      model: "coze",
+      messages: [{
+        role: "user",
+        content: [{ type: "image_url", image_url: { url: `data:image/png;base64,${PNG}` } }],
+      }],
+    });
+    assert.equal(proxy.mock.files.length, before);
+  });
+
+  it("无效的 data URL 返回 400", async () => {
+    const response = await post(`${proxy.url}/v1/chat/completions`, {
+      model: "coze",
+      messages: [{
+        role: "user",
+        content: [{ type: "image_url", image_url: { url: "data:image/png,not-base64" } }],
+      }],
+    });
+    assert.equal(response.status, 400);
+    const body = await response.json();
+    assert.equal(body.error.type, "invalid_request_error");
+  });
+
+  it("无法解析域名的 URL 返回 400", async () => {
+    const response = await post(`${proxy.url}/v1/chat/completions`, {
+      model: "coze",
+      messages: [{
+        role: "user",
+        content: [{ type: "image_url", image_url: { url: "https://no-such-host.invalid/a.png" } }],
+      }],
+    });
+    assert.equal(response.status, 400);
+    const body = await response.json();
+    assert.equal(body.error.param, "messages");
+    assert.match(body.error.message, /下载文件失败: 无法访问 https:\/\/no-such-host\.invalid\/a\.png/);
+  });
+});
+
+describe("远程文件下载", () => {
+  let server;
+  let baseUrl;
+  let received = 0;
+  const options = { maxBytes: 1024, allowedTypes: ["image/*"], allowedHosts: [], allowPrivateHosts: true, cacheTtl: 1000 };
+  before(async () => {
+    // 只接收请求、从不响应的服务器
+    server = http.createServer(() => {
+      received++;
+    });
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+  after(async () => {
+    server.closeAllConnections();
+    await new Promise((resolve) => server.close(resolve));
+  });
+
+  it("下载超时返回 400", async () => {
+    const uploader = new Uploader({ apiBase: "", token: "" }, null, { ...options, downloadTimeout: 100 });
+    await assert.rejects(uploader.download(`${baseUrl}/slow.png`), (error) => {
+      assert.equal(error.name, "UploadError");
+      assert.equal(error.status, 400);
+      assert.match(error.message, /下载文件超时.*slow\.png/);
+      return true;
+    });
+  });
+
+  it("对话被取消时中止下载", async () => {
+    const controller = new AbortController();
+    const uploader = new Uploader({ apiBase: "", token: "", signal: controller.signal }, null, { ...options, downloadTimeout: 0 });
+    const download = uploader.download(`${baseUrl}/slow.png`);
+    setTimeout(() => controller.abort(), 50);
+    await assert.rejects(download, { name: "AbortError" });
+    assert.equal(getEventListeners(controller.signal, "abort").length, 0);
+  });
+
+  // 用 stub 替换 DNS 解析，模拟域名解析到指定的地址
+  async function withLookup(addresses, fn) {
+    const lookup = dns.promises.lookup;
+    dns.promises.lookup = async () => addresses;
+    try {
+      await fn();
+    } finally {
+      dns.promises.lookup = lookup;
+    }
+  }
+
+  it("域名解析出的任何一个地址是内网地址时返回 403", async () => {
+    const uploader = new Uploader({ apiBase: "", token: "" }, null, { ...options, allowPrivateHosts: false });
+    await withLookup([{ address: "203.0.113.10", family: 4 }, { address: "10.0.0.1", family: 4 }], async () => {
+      await assert.rejects(uploader.download("http://mixed.example.com/a.png"), { name: "UploadError", status: 403 });
+    });
+  });
+
+  it("拒绝各种写法的内网地址，包括 IPv4 映射的十六进制写法", async () => {
+    const uploader = new Uploader({ apiBase: "", token: "" }, null, { ...options, allowPrivateHosts: false });
+    for (const host of [
+      "127.0.0.1",
+      "0.0.0.0",
+      "100.64.0.1",
+      "169.254.169.254",
+      "172.31.0.1",
+      "198.18.0.1",
+      "224.0.0.1",
+      "[::1]",
+      "[::ffff:127.0.0.1]",
+      "[::ffff:7f00:1]",
+      "[::ffff:a9fe:a9fe]",
+      "[64:ff9b::a9fe:a9fe]",
+      "[2002:7f00:1::]",
+      "[fd00::1]",
+      "[fe80::1]",
+    ]) {
+      await assert.rejects(uploader.checkUrl(`http://${host}/a.png`), { name: "UploadError", status: 403 }, host);
+    }
+    await withLookup([{ address: "203.0.113.10", family: 4 }, { address: "2001:db8::1", family: 6 }], async () => {
+      assert.equal((await uploader.checkUrl("http://public.example.com/a.png")).length, 2);
+    });
+  });
+
+  it("连接使用校验过的地址，不再重新解析域名", async () => {
+    const uploader = new Uploader({ apiBase: "", token: "" }, null, {
+      ...options,
+      allowPrivateHosts: false,
+      downloadTimeout: 200,
+    });
+    const port = server.address().port;
+    received = 0;
+    // 校验时 localhost 解析为公网地址，连接时如果重新解析就会访问本机的服务器
+    await withLookup([{ address: "203.0.113.10", family: 4 }], async () => {
+      await assert.rejects(uploader.download(`http://localhost:${port}/a.png`));
+    });
+    assert.equal(received, 0);
+  });
+});
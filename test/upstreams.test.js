@@ -0,0 +1,77 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+// helpers.js 在导入日志模块之前关闭测试中的日志，需要先导入
+import "./helpers.js";
+import { ConfigError, configFromEnv } from "../src/config.js";
+import { CozeApiError } from "../src/coze.js";
+import { UpstreamPool, normalizeRoute } from "../src/upstreams.js";
+
+const route = { id: "coze", ...normalizeRoute(["bot_a", "bot_b"], { apiBase: "api.coze.cn", strategy: "round_robin" }) };
+
+function pool(options = {}) {
+  return new UpstreamPool({ retries: 1, baseDelay: 1, maxDelay: 1, failureThreshold: 3, cooldown: 1000, ...options });
+}
+
+describe("UpstreamPool", () => {
+  it("可重试的错误在同一目标上重试，再切换到下一个目标", async () => {
+    const calls = [];
+    const result = await pool().execute(route, async (target) => {
+      calls.push(target.bot_id);
+      if (target.bot_id === "bot_a") {
+        throw new CozeApiError("服务暂时不可用", { retryable: true });
+      }
+      return "ok";
+    }, { pinned: route.targets[0].id });
+    assert.equal(result, "ok");
+    assert.deepEqual(calls, ["bot_a", "bot_a", "bot_b"]);
+  });
+
+  it("不能切换目标时，pinned 目标已不存在返回 409 且不发起请求", async () => {
+    let called = false;
+    await assert.rejects(pool().execute(route, async () => {
+      called = true;
+    }, { pinned: "api.coze.cn/bot_removed", failover: false }), { status: 409, code: "upstream_target_not_found" });
+    assert.equal(called, false);
+  });
+
+  it("中止时不再等待退避重试", async () => {
+    const controller = new AbortController();
+    const started = Date.now();
+    const execution = pool({ baseDelay: 10000, maxDelay: 10000 }).execute(route, async () => {
+      setTimeout(() => controller.abort(), 20);
+      throw new CozeApiError("服务暂时不可用", { retryable: true });
+    }, { signal: controller.signal });
+    await assert.rejects(execution, { name: "AbortError" });
+    assert.ok(Date.now() - started < 5000);
+  });
+});
+
+describe("上游目标的 token", () => {
+  it("env:NAME 引用的环境变量未设置时配置无效", () => {
+    const saved = process.env.BOT_CONFIG;
+    process.env.BOT_CONFIG = JSON.stringify({ coze: [{ bot_id: "bot_a", token: "env:COZE2OPENAI_TEST_UNSET" }] });
+    try {
+      assert.throws(() => configFromEnv(), (error) => {
+        assert.ok(error instanceof ConfigError);
+        assert.match(error.errors[0], /^\$\.models\.coze: .*COZE2OPENAI_TEST_UNSET 未设置/);
+        return true;
+      });
+    } finally {
+      if (saved === undefined) {
+        delete process.env.BOT_CONFIG;
+      } else {
+        process.env.BOT_CONFIG = saved;
+      }
+    }
+  });
+
+  it("env:NAME 从环境变量读取", () => {
+    process.env.COZE2OPENAI_TEST_TOKEN = "pat_from_env";
+    try {
+      const { targets } = normalizeRoute({ bot_id: "bot_a", token: "env:COZE2OPENAI_TEST_TOKEN" }, { apiBase: "api.coze.cn" });
+      assert.equal(targets[0].token, "pat_from_env");
+    } finally {
+      delete process.env.COZE2OPENAI_TEST_TOKEN;
+    }
+  });
+});